@@ -0,0 +1,654 @@
+const ExcelJS = require('exceljs');
+const { clickstream, content, users, sessions } = require('../repositories');
+const { userIdQuery, accountUserIdQuery } = require('./clickstreamController');
+const { canAccessUserData } = require('../middleware/auth');
+const { ROLES, roleOf } = require('../utils/roles');
+const {
+  ClickstreamQueryError,
+  eventFilterConditions,
+  parsePageParams,
+  findPage
+} = require('../utils/clickstreamQuery');
+const { VIDEO_EVENT_TYPES, DEFAULT_BUCKET_COUNT, computeVideoCoverage } = require('../utils/videoCoverage');
+const {
+  GROUP_BY_PERIODS,
+  createCalendar,
+  summarizeEvents,
+  countEventsByType,
+  rankContent,
+  summarizeUser
+} = require('../utils/analyticsAggregates');
+const { MAX_IDLE_TIMEOUT_MINUTES, computeTimeOnTask } = require('../utils/timeOnTask');
+const { describeSession, summarizeSessions } = require('../utils/sessions');
+const {
+  MOODLE_LOG_COLUMNS,
+  createTimeFormatter,
+  toMoodleLogRow,
+  describeMoodleMapping
+} = require('../utils/moodleLog');
+
+const MIN_BUCKETS = 10;
+const MAX_BUCKETS = 200;
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Learner groups: events imported from Moodle logs carry eventData.moodle
+const COHORTS = ['platform', 'moodle'];
+
+const MAX_TOP_CONTENT = 100;
+const TOP_CONTENT_SORTS = ['events', 'views', 'learners'];
+
+const MAX_SESSIONS = 1000;
+
+// Sessions created by a Moodle log import (see utils/moodleImport.js)
+const isMoodleSession = (session) => session.sessionId.startsWith('moodle-');
+
+// Thrown by the query helpers below; carries the HTTP status to respond with
+class AnalyticsQueryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// userId filter for a request: learners may only query their own events and
+// get them by default, instructors and admins see everyone unless they filter
+const userFilterFor = (user, requestedUserId) => {
+  if (requestedUserId && !canAccessUserData(user, requestedUserId)) {
+    throw new AnalyticsQueryError(403, 'Learners can only view their own activity');
+  }
+
+  // A learner's events are found from their account, never from the request
+  if (roleOf(user) === ROLES.LEARNER) {
+    return accountUserIdQuery(user);
+  }
+
+  if (requestedUserId) {
+    return userIdQuery(requestedUserId);
+  }
+
+  return null;
+};
+
+// timestamp filter from optional startDate/endDate query parameters
+const timestampFilterFor = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    throw new AnalyticsQueryError(400, 'startDate and endDate must be valid dates');
+  }
+
+  const filter = {};
+  if (start) filter.$gte = start.toISOString();
+  if (end) filter.$lte = end.toISOString();
+  return filter;
+};
+
+const cohortFilterFor = (cohort) => {
+  if (!cohort) return null;
+  if (!COHORTS.includes(cohort)) {
+    throw new AnalyticsQueryError(400, `cohort must be one of: ${COHORTS.join(', ')}`);
+  }
+  return { $exists: cohort === 'moodle' };
+};
+
+// Build the shared user, date and cohort part of an analytics query
+const baseQueryFor = (req) => {
+  const { userId, startDate, endDate, cohort } = req.query;
+  const query = {};
+
+  const userFilter = userFilterFor(req.user, userId);
+  if (userFilter) query.userId = userFilter;
+
+  const timestampFilter = timestampFilterFor(startDate, endDate);
+  if (timestampFilter) query.timestamp = timestampFilter;
+
+  const cohortFilter = cohortFilterFor(cohort);
+  if (cohortFilter) query['eventData.moodle'] = cohortFilter;
+
+  return query;
+};
+
+// groupBy and timezone options shared by the aggregate endpoints
+const aggregateOptionsFor = (req) => {
+  const { groupBy, timezone = 'UTC' } = req.query;
+
+  if (groupBy && !GROUP_BY_PERIODS.includes(groupBy)) {
+    throw new AnalyticsQueryError(400, `groupBy must be one of: ${GROUP_BY_PERIODS.join(', ')}`);
+  }
+
+  try {
+    createCalendar(timezone);
+  } catch {
+    throw new AnalyticsQueryError(400, `Unknown timezone "${timezone}"`);
+  }
+
+  return { groupBy, timeZone: timezone };
+};
+
+// Minutes without events after which a learner counts as away (see
+// utils/timeOnTask.js); the server default applies when none is given
+const idleTimeoutFor = (req) => {
+  const { idleTimeout } = req.query;
+  if (idleTimeout === undefined) return undefined;
+
+  const minutes = Number(idleTimeout);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_IDLE_TIMEOUT_MINUTES) {
+    throw new AnalyticsQueryError(400, `idleTimeout must be more than 0 and at most ${MAX_IDLE_TIMEOUT_MINUTES} minutes`);
+  }
+  return minutes;
+};
+
+const isQueryError = (error) => error instanceof AnalyticsQueryError || error instanceof ClickstreamQueryError;
+
+const sendQueryError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Events are stored under the username or the numeric id depending on the
+// client version, so index users by both
+const indexUsers = (accounts) => {
+  const index = new Map();
+  accounts.forEach(user => {
+    index.set(String(user.id), user);
+    index.set(user.username, user);
+  });
+  return index;
+};
+
+// @desc    Query raw clickstream events, one page at a time. Pass the
+//          returned nextCursor as cursor to get the following page.
+// @route   GET /api/analytics/clickstream?userId=&eventType=&sessionId=&courseId=&page=&startDate=&endDate=&cohort=&sort=&fields=&limit=&cursor=
+// @access  Private (learners: own events only; instructors and admins: all)
+const getClickstreamAnalytics = async (req, res) => {
+  try {
+    const conditions = [baseQueryFor(req), ...eventFilterConditions(req.query)];
+    const query = conditions.length > 1 ? { $and: conditions } : conditions[0];
+    const pageParams = parsePageParams(req.query);
+
+    const [page, total] = await Promise.all([
+      findPage(clickstream, query, pageParams),
+      clickstream.count(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      total,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics data'
+    });
+  }
+};
+
+// @desc    Activity summary: totals, unique sessions and users, event type
+//          counts, quiz results and recent events, with a series per period
+//          when groupBy is set
+// @route   GET /api/analytics/summary?userId=&startDate=&endDate=&cohort=&groupBy=hour|day|week|month&timezone=
+// @access  Private (learners: own events only; instructors and admins: all)
+const getSummary = async (req, res) => {
+  try {
+    const query = baseQueryFor(req);
+    const options = aggregateOptionsFor(req);
+
+    res.json({
+      success: true,
+      data: await summarizeEvents(clickstream.iterate(query), options)
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Analytics summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute analytics summary'
+    });
+  }
+};
+
+// @desc    Event counts per event type, most frequent first, with a series per
+//          period when groupBy is set
+// @route   GET /api/analytics/events-by-type?userId=&startDate=&endDate=&cohort=&groupBy=&timezone=
+// @access  Private (learners: own events only; instructors and admins: all)
+const getEventsByType = async (req, res) => {
+  try {
+    const query = baseQueryFor(req);
+    const options = aggregateOptionsFor(req);
+
+    const data = await countEventsByType(clickstream.iterate(query), options);
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Events by type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count events by type'
+    });
+  }
+};
+
+// @desc    Content ranked by activity, with views, learners and quiz results
+// @route   GET /api/analytics/top-content?userId=&startDate=&endDate=&cohort=&type=&sortBy=events|views|learners&limit=
+// @access  Private (learners: own events only; instructors and admins: all)
+const getTopContent = async (req, res) => {
+  try {
+    const { type, sortBy = 'events', limit } = req.query;
+    const query = baseQueryFor(req);
+
+    const resultLimit = limit === undefined ? 10 : Number.parseInt(limit, 10);
+    if (!Number.isInteger(resultLimit) || resultLimit < 1 || resultLimit > MAX_TOP_CONTENT) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be a whole number between 1 and ${MAX_TOP_CONTENT}`
+      });
+    }
+
+    if (!TOP_CONTENT_SORTS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${TOP_CONTENT_SORTS.join(', ')}`
+      });
+    }
+
+    const data = await rankContent(clickstream.iterate(query), await content.find(), { limit: resultLimit, type, sortBy });
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Top content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rank content'
+    });
+  }
+};
+
+// @desc    Learning statistics for one user: sessions, courses, quizzes,
+//          reading progress, time on task, streak, achievements and recent
+//          activity
+// @route   GET /api/analytics/users/:id/summary?startDate=&endDate=&timezone=&idleTimeout=
+// @access  Private (learners: own data only)
+const getUserSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = { userId: userFilterFor(req.user, id) };
+
+    const timestampFilter = timestampFilterFor(req.query.startDate, req.query.endDate);
+    if (timestampFilter) query.timestamp = timestampFilter;
+
+    const { timeZone } = aggregateOptionsFor(req);
+    const idleTimeoutMinutes = idleTimeoutFor(req);
+
+    res.json({
+      success: true,
+      userId: id,
+      data: await summarizeUser(clickstream.iterate(query), {
+        timeZone,
+        idleTimeoutMinutes,
+        contentItems: await content.find()
+      })
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('User summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute user summary'
+    });
+  }
+};
+
+// @desc    Time on task for one user: active intervals reconstructed from
+//          event gaps, with totals per session and per content item
+// @route   GET /api/analytics/users/:id/time-on-task?startDate=&endDate=&idleTimeout=
+// @access  Private (learners: own data only)
+const getTimeOnTask = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = { userId: userFilterFor(req.user, id) };
+
+    const timestampFilter = timestampFilterFor(req.query.startDate, req.query.endDate);
+    if (timestampFilter) query.timestamp = timestampFilter;
+
+    res.json({
+      success: true,
+      userId: id,
+      data: await computeTimeOnTask(clickstream.iterate(query), { idleTimeoutMinutes: idleTimeoutFor(req) })
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Time on task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute time on task'
+    });
+  }
+};
+
+// @desc    Learning sessions, most recent first, with totals over every
+//          matching session (count, active, linked, durations, end reasons).
+//          Open sessions inactive for 30 minutes are reported as ended by
+//          timeout.
+// @route   GET /api/analytics/sessions?userId=&startDate=&endDate=&cohort=&limit=
+// @access  Private (learners: own sessions only; instructors and admins: all)
+const getSessions = async (req, res) => {
+  try {
+    const { userId, startDate, endDate, cohort, limit } = req.query;
+
+    const resultLimit = limit === undefined ? 100 : Number.parseInt(limit, 10);
+    if (!Number.isInteger(resultLimit) || resultLimit < 1 || resultLimit > MAX_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be a whole number between 1 and ${MAX_SESSIONS}`
+      });
+    }
+
+    const query = {};
+    const userFilter = userFilterFor(req.user, userId);
+    if (userFilter) query.userId = userFilter;
+
+    const timestampFilter = timestampFilterFor(startDate, endDate);
+    if (timestampFilter) query.startedAt = timestampFilter;
+
+    // Sessions carry no eventData, so the cohort is told by the session id
+    const moodleCohort = cohortFilterFor(cohort)?.$exists;
+    const now = Date.now();
+    const matching = (await sessions.find(query, { sort: { startedAt: -1 } }))
+      .filter(session => moodleCohort === undefined || isMoodleSession(session) === moodleCohort)
+      .map(session => describeSession(session, now));
+
+    res.json({
+      success: true,
+      count: Math.min(matching.length, resultLimit),
+      summary: summarizeSessions(matching),
+      data: matching.slice(0, resultLimit)
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// @desc    Watch-coverage heatmap for every video course: which parts of each
+//          video were watched, re-watched or skipped, and where viewers rewind
+//          or drop off
+// @route   GET /api/analytics/videos/coverage?courseId=&userId=&startDate=&endDate=&buckets=
+// @access  Private (learners: own playback only; instructors and admins: all)
+const getVideoCoverage = async (req, res) => {
+  try {
+    const { courseId, buckets } = req.query;
+    const query = {
+      ...baseQueryFor(req),
+      eventType: { $in: VIDEO_EVENT_TYPES }
+    };
+
+    const bucketCount = buckets === undefined ? DEFAULT_BUCKET_COUNT : Number.parseInt(buckets, 10);
+    if (!Number.isInteger(bucketCount) || bucketCount < MIN_BUCKETS || bucketCount > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `buckets must be a whole number between ${MIN_BUCKETS} and ${MAX_BUCKETS}`
+      });
+    }
+
+    const videoCourses = (await content.find({ type: 'video' }, { sort: { id: 1 } }))
+      .filter(item => !item.deletedAt)
+      .filter(item => !courseId || String(item.id) === String(courseId));
+
+    if (courseId && videoCourses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video course not found'
+      });
+    }
+
+    const videos = await computeVideoCoverage(clickstream.iterate(query), videoCourses, bucketCount);
+
+    res.json({
+      success: true,
+      bucketCount,
+      videos
+    });
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Video coverage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute video coverage'
+    });
+  }
+};
+
+// Spreadsheets run cells starting with these as formulas (a lone "-", which
+// Moodle uses for empty columns, is plain text)
+const FORMULA_PREFIX = /^[=+\-@\t\r]./s;
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+// (RFC 4180). Event data comes from clients, so values that a spreadsheet
+// would take for a formula are prefixed with ' to keep them plain text.
+const csvField = (value) => {
+  const raw = String(value ?? '');
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Moodle names downloads "logs_<course>_<yyyymmdd-hhmm>"
+const exportBaseName = (course) => {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  const label = course ? `${course.title.replace(/[^\w. -]+/g, '').trim()}_` : '';
+  return `logs_${label}${stamp}`;
+};
+
+// Resolve once the response can take more data, or the client has gone away
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Rows are written as they are read, so an export never holds the whole log
+const writeMoodleCsv = async (res, rows, fileName) => {
+  res.attachment(`${fileName}.csv`);
+  res.type('text/csv; charset=utf-8');
+  // The byte order mark makes Excel open the file as UTF-8, as with Moodle's own CSV downloads
+  res.write(`\uFEFF${MOODLE_LOG_COLUMNS.map(csvField).join(',')}\r\n`);
+  for await (const row of rows) {
+    if (res.destroyed) return;
+    if (!res.write(`${MOODLE_LOG_COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`)) {
+      await drained(res);
+    }
+  }
+  res.end();
+};
+
+const writeMoodleXlsx = async (res, rows, fileName) => {
+  res.attachment(`${fileName}.xlsx`);
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  // Worksheet names are limited to 31 characters
+  const worksheet = workbook.addWorksheet(fileName.slice(0, 31));
+  worksheet.columns = MOODLE_LOG_COLUMNS.map(column => ({
+    header: column,
+    key: column,
+    width: column === 'Description' ? 80 : 20
+  }));
+  for await (const row of rows) {
+    if (res.destroyed) return;
+    worksheet.addRow(row).commit();
+  }
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// @desc    Export clickstream events in Moodle's standard log format, most
+//          recently recorded first like Moodle's log report. Events stream
+//          from the log into the file instead of being loaded at once.
+// @route   GET /api/analytics/export/moodle?format=csv|xlsx&userId=&courseId=&startDate=&endDate=&timezone=
+// @access  Private (learners: own events only; instructors and admins: all)
+const exportMoodleLog = async (req, res) => {
+  try {
+    const { format = 'csv', courseId, timezone } = req.query;
+    const query = baseQueryFor(req);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    let formatTime;
+    try {
+      formatTime = createTimeFormatter(timezone || 'UTC');
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timezone "${timezone}"`
+      });
+    }
+
+    const courses = new Map((await content.find()).map(item => [String(item.id), item]));
+    const course = courseId ? courses.get(String(courseId)) : null;
+    if (courseId) {
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+      query['eventData.courseId'] = { $in: [course.id, String(course.id)] };
+    }
+
+    const userIndex = indexUsers(await users.find());
+
+    const rows = (async function* () {
+      for await (const event of clickstream.iterate(query, { reverse: true })) {
+        yield toMoodleLogRow(event, { users: userIndex, courses, formatTime });
+      }
+    })();
+    const fileName = exportBaseName(course);
+
+    if (format === 'xlsx') {
+      await writeMoodleXlsx(res, rows, fileName);
+    } else {
+      await writeMoodleCsv(res, rows, fileName);
+    }
+
+  } catch (error) {
+    if (isQueryError(error)) return sendQueryError(res, error);
+    console.error('Moodle export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export clickstream'
+    });
+  }
+};
+
+// @desc    Learners with clickstream activity, for picking whose progress to
+//          view. Accounts created by a Moodle log import are marked with
+//          source 'moodle', so Moodle cohorts can be told apart.
+// @route   GET /api/analytics/learners
+// @access  Instructor, Admin
+const getLearners = async (req, res) => {
+  try {
+    const userIndex = indexUsers(await users.find());
+
+    const activity = new Map();
+    for await (const event of clickstream.iterate()) {
+      const key = String(event.userId);
+      const entry = activity.get(key) || { userId: event.userId, events: 0, lastActivity: null };
+      entry.events++;
+      if (!entry.lastActivity || event.timestamp > entry.lastActivity) {
+        entry.lastActivity = event.timestamp;
+      }
+      activity.set(key, entry);
+    }
+
+    const learners = [...activity.values()]
+      .map(entry => {
+        const account = userIndex.get(String(entry.userId));
+        return {
+          ...entry,
+          username: account ? account.username : String(entry.userId),
+          source: account?.source || 'platform'
+        };
+      })
+      .sort((a, b) => a.username.localeCompare(b.username));
+
+    res.json({
+      success: true,
+      count: learners.length,
+      data: learners
+    });
+
+  } catch (error) {
+    console.error('Learners list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch learners'
+    });
+  }
+};
+
+// @desc    Mapping table from clickstream event types to Moodle components and
+//          event names, as used by the Moodle log export
+// @route   GET /api/analytics/export/moodle/mapping
+// @access  Private
+const getMoodleEventMapping = (req, res) => {
+  res.json({
+    success: true,
+    columns: MOODLE_LOG_COLUMNS,
+    data: describeMoodleMapping()
+  });
+};
+
+module.exports = {
+  getClickstreamAnalytics,
+  getSummary,
+  getEventsByType,
+  getTopContent,
+  getUserSummary,
+  getTimeOnTask,
+  getSessions,
+  getVideoCoverage,
+  getLearners,
+  exportMoodleLog,
+  getMoodleEventMapping
+};
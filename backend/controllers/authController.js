@@ -1,48 +1,153 @@
-const User = require('../models/userModel');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { users, refreshTokens, revokedTokens } = require('../repositories');
+const { generateToken, generateRefreshToken, verifyToken } = require('../utils/tokens');
+const { ROLES, roleOf } = require('../utils/roles');
+const { usernameError } = require('../utils/usernames');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+const SALT_ROUNDS = 10;
+
+// A refresh token rotated this recently may be presented again: tabs of the
+// same browser share it and can all renew at once. Later reuse means it leaked.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Expired refresh tokens and revoked access tokens are pruned at most this often
+const TOKEN_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Accounts created before hashing was introduced still hold plaintext passwords
+const isPasswordHash = (value) => typeof value === 'string' && /^\$2[aby]\$/.test(value);
+
+// Strip the password before sending a user record to the client
+const toUserResponse = (user) => {
+  const { password: _, ...userResponse } = user;
+  return { ...userResponse, role: roleOf(user) };
+};
+
+let lastTokenPruneAt = 0;
+
+// Drop refresh tokens and access token revocations past their expiry; the
+// tokens are rejected by their signature from then on
+const pruneExpiredTokens = async () => {
+  const now = Date.now();
+  const isExpired = (record) => new Date(record.expiresAt).getTime() <= now;
+  const [refresh, revoked] = await Promise.all([
+    refreshTokens.rewrite(record => (isExpired(record) ? null : record)),
+    revokedTokens.rewrite(record => (isExpired(record) ? null : record))
+  ]);
+  if (refresh.removed > 0 || revoked.removed > 0) {
+    console.log(`🧹 Pruned ${refresh.removed} expired refresh token(s) and ${revoked.removed} revoked access token(s)`);
+  }
+};
+
+// Prune in the background when the last run is older than the interval
+const schedulePruneExpiredTokens = () => {
+  if (Date.now() - lastTokenPruneAt < TOKEN_PRUNE_INTERVAL_MS) return;
+  lastTokenPruneAt = Date.now();
+  pruneExpiredTokens().catch(error => {
+    console.error('❌ Failed to prune expired tokens:', error);
   });
 };
 
+// A rotated token presented again within the grace period, while its family
+// is still active (not logged out or revoked for reuse)
+const isWithinRotationGrace = async (storedToken) => {
+  if (!storedToken.replacedBy) return false;
+  if (Date.now() - new Date(storedToken.revokedAt).getTime() > ROTATION_GRACE_MS) return false;
+
+  const replacement = await refreshTokens.findOne({ tokenId: storedToken.replacedBy });
+  return Boolean(replacement) && (!replacement.revokedAt || Boolean(replacement.replacedBy));
+};
+
+// Issue an access token plus a stored refresh token. A new login starts a new
+// token family; refreshes keep rotating within the same family.
+const issueSession = async (user, familyId = crypto.randomUUID()) => {
+  const refresh = generateRefreshToken(user, familyId);
+
+  await refreshTokens.insert({
+    tokenId: refresh.tokenId,
+    familyId,
+    userId: user.id,
+    expiresAt: refresh.expiresAt,
+    revokedAt: null,
+    replacedBy: null,
+    createdAt: new Date().toISOString()
+  });
+  schedulePruneExpiredTokens();
+
+  return {
+    token: generateToken(user),
+    refreshToken: refresh.token,
+    refreshTokenId: refresh.tokenId
+  };
+};
+
+// Revoke every still-active refresh token in a family
+const revokeTokenFamily = async (familyId) => {
+  const activeTokens = await refreshTokens.find({ familyId, revokedAt: null });
+  const revokedAt = new Date().toISOString();
+  await Promise.all(activeTokens.map(token => refreshTokens.update(token.id, { revokedAt })));
+  return activeTokens.length;
+};
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = async (req, res) => {
-  const { username, email, password } = req.body;
+  try {
+    const { username, email, password } = req.body;
 
-  if (!username || !email || !password) {
-    return res.status(400).json({ message: 'Please enter all fields' });
-  }
+    if (!username || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, email, and password are required'
+      });
+    }
 
-  try {
-    const userExists = await User.findOne({ email });
+    const invalidUsername = usernameError(username);
+    if (invalidUsername) {
+      return res.status(400).json({
+        success: false,
+        message: invalidUsername
+      });
+    }
 
-    if (userExists) {
-      return res.status(400).json({ message: 'User already exists' });
+    // Check if user already exists
+    const existingUser = await users.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email or username already exists'
+      });
     }
 
-    const user = await User.create({
+    // Create new user. Self-registration always creates a learner; only an
+    // admin can grant instructor or admin roles.
+    const newUser = await users.insert({
       username,
       email,
-      password,
+      password: await bcrypt.hash(password, SALT_ROUNDS),
+      role: ROLES.LEARNER,
+      createdAt: new Date().toISOString(),
+      lastLogin: null
+    });
+
+    // Tokens for auto-login after registration
+    const { token, refreshToken } = await issueSession(newUser);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      user: toUserResponse(newUser),
+      token,
+      refreshToken
     });
 
-    if (user) {
-      res.status(201).json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        token: generateToken(user._id),
-      });
-    } else {
-      res.status(400).json({ message: 'Invalid user data' });
-    }
   } catch (error) {
-    res.status(500).json({ message: 'Server Error: Could not complete registration.' });
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
   }
 };
 
@@ -50,28 +155,176 @@ const registerUser = async (req, res) => {
 // @route   POST /api/auth/login
 // @access  Public
 const loginUser = async (req, res) => {
-  const { email, password } = req.body;
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await users.findOne({ email });
+    const passwordMatches = user && (isPasswordHash(user.password)
+      ? await bcrypt.compare(password, user.password)
+      : user.password === password);
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
 
+    // Update last login, upgrading a legacy plaintext password to a hash
+    const changes = { lastLogin: new Date().toISOString() };
+    if (!isPasswordHash(user.password)) {
+      changes.password = await bcrypt.hash(password, SALT_ROUNDS);
+      console.log(`🔐 Upgraded plaintext password to bcrypt hash for user ${user.id}`);
+    }
+    const updatedUser = await users.update(user.id, changes);
+    const { token, refreshToken } = await issueSession(updatedUser);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: toUserResponse(updatedUser),
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+const refreshSession = async (req, res) => {
   try {
-    const user = await User.findOne({ email });
-
-    if (user && (await user.comparePassword(password))) {
-      user.lastLogin = Date.now();
-      await user.save();
-      
-      res.json({
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        token: generateToken(user._id),
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
       });
-    } else {
-      res.status(401).json({ message: 'Invalid email or password' });
     }
+
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token'
+      });
+    }
+
+    const storedToken = await refreshTokens.findOne({ tokenId: payload.jti });
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A rotated token being presented again means it leaked; end the whole
+    // family. Within the grace period it is another tab renewing at the same
+    // time, which gets a pair of its own.
+    const inGrace = storedToken.revokedAt && await isWithinRotationGrace(storedToken);
+    if (storedToken.revokedAt && !inGrace) {
+      const revokedCount = await revokeTokenFamily(storedToken.familyId);
+      console.warn(`⚠️ Refresh token reuse detected for user ${storedToken.userId}, revoked ${revokedCount} active token(s)`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    const user = await users.findById(storedToken.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    const session = await issueSession(user, storedToken.familyId);
+    if (!inGrace) {
+      await refreshTokens.update(storedToken.id, {
+        revokedAt: new Date().toISOString(),
+        replacedBy: session.refreshTokenId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
   }
 };
 
-module.exports = { registerUser, loginUser };
+// @desc    Revoke the current refresh token family and access token
+// @route   POST /api/auth/logout
+// @access  Public (revokes whichever tokens are presented)
+const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      try {
+        const payload = verifyToken(refreshToken, 'refresh');
+        await revokeTokenFamily(payload.family);
+      } catch {
+        // Expired or invalid refresh tokens are already unusable
+      }
+    }
+
+    const [scheme, accessToken] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && accessToken) {
+      try {
+        const payload = verifyToken(accessToken);
+        const alreadyRevoked = await revokedTokens.findOne({ tokenId: payload.jti });
+        if (!alreadyRevoked) {
+          await revokedTokens.insert({
+            tokenId: payload.jti,
+            expiresAt: new Date(payload.exp * 1000).toISOString(),
+            revokedAt: new Date().toISOString()
+          });
+        }
+      } catch {
+        // Expired or invalid access tokens are already unusable
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
 
+module.exports = { registerUser, loginUser, refreshSession, logoutUser, toUserResponse };
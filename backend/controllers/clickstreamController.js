@@ -0,0 +1,404 @@
+const { clickstream, clickstreamQuarantine, sessions } = require('../repositories');
+const { AuthenticationError, bearerToken, userForToken, isSameUser, canAccessUserData } = require('../middleware/auth');
+const { ROLES, roleOf } = require('../utils/roles');
+const { ANONYMOUS_USER } = require('../utils/usernames');
+const { createRecentIdIndex } = require('../utils/recentIdIndex');
+const { normalizeEvent, validateEvent, describeSchemas } = require('../utils/clickstreamSchemas');
+const { applySessionEvents } = require('../utils/sessions');
+const {
+  ClickstreamQueryError,
+  eventFilterConditions,
+  parsePageParams,
+  findPage
+} = require('../utils/clickstreamQuery');
+
+// User ids are stored as numbers for old records and usernames for newer ones,
+// so match both representations of the requested id
+const userIdQuery = (userId) => {
+  const numericId = Number(userId);
+  return Number.isNaN(numericId) ? userId : { $in: [userId, numericId] };
+};
+
+// userId filter for every event of a signed-in account, under either name
+const accountUserIdQuery = (user) => ({ $in: [user.username, user.id, String(user.id)] });
+
+// Largest number of events accepted in one batch request
+const MAX_BATCH_SIZE = 500;
+
+// Client event ids are UUIDs; anything else is ignored for deduplication
+const MAX_EVENT_ID_LENGTH = 100;
+
+// Record ids are millisecond timestamps; a batch is stored within the same
+// millisecond, so bump the id to keep it unique
+let lastRecordId = 0;
+const nextRecordId = () => {
+  lastRecordId = Math.max(Date.now(), lastRecordId + 1);
+  return lastRecordId;
+};
+
+// Client event ids seen recently, mapped to the id of the stored record
+const recentEventIds = createRecentIdIndex();
+let recentEventIdsLoaded = null;
+
+// Fill the index from stored events once, so retries are recognised across restarts
+const loadRecentEventIds = () => {
+  if (!recentEventIdsLoaded) {
+    recentEventIdsLoaded = (async () => {
+      for await (const record of clickstream.iterate({ eventId: { $exists: true } })) {
+        recentEventIds.set(record.eventId, record.id);
+      }
+      console.log(`🔁 Loaded ${recentEventIds.size} recent clickstream event ids`);
+    })().catch(error => {
+      recentEventIdsLoaded = null;
+      throw error;
+    });
+  }
+  return recentEventIdsLoaded;
+};
+
+const clientEventIdOf = (event) => (
+  typeof event.eventId === 'string' && event.eventId.length > 0 && event.eventId.length <= MAX_EVENT_ID_LENGTH
+    ? event.eventId
+    : null
+);
+
+// Where an event came from: the sending request, or the source row of an import
+const requestOrigin = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+// Build the canonical stored record for one validated event
+const toClickstreamRecord = (event, schemaVersion, origin) => ({
+  id: nextRecordId(),
+  eventId: clientEventIdOf(event) || undefined,
+  schemaVersion,
+  eventType: event.eventType,
+  sessionId: event.sessionId,
+  userId: event.userId,
+  // Filters and sorting compare timestamps as strings, so they are stored in one format
+  timestamp: (event.timestamp ? new Date(event.timestamp) : new Date()).toISOString(),
+  eventData: event.eventData,
+  url: event.url,
+  userAgent: event.userAgent || origin.userAgent,
+  viewport: event.viewport,
+  ip: origin.ip
+});
+
+// Events that fail validation are kept, untouched, for inspection
+const quarantineEvent = async (event, errors, origin) => {
+  const record = await clickstreamQuarantine.insert({
+    id: nextRecordId(),
+    receivedAt: new Date().toISOString(),
+    validationErrors: errors,
+    event,
+    ip: origin.ip
+  });
+  console.warn(`🚧 Clickstream event quarantined: ${errors.map(error => error.message).join('; ')}`);
+  return record.id;
+};
+
+// Session records are read, merged and written back, so updates run one at a
+// time; two batches of the same session must not both insert it
+let sessionUpdates = Promise.resolve();
+
+// Bring the sessions of newly stored events up to date (see utils/sessions.js).
+// Events are already stored, so a failure here is logged, not reported.
+const recordSessions = (records) => {
+  const bySession = new Map();
+  records.forEach(record => {
+    if (!record.sessionId) return;
+    bySession.set(record.sessionId, [...(bySession.get(record.sessionId) || []), record]);
+  });
+  if (bySession.size === 0) return sessionUpdates;
+
+  sessionUpdates = sessionUpdates.then(async () => {
+    for (const [sessionId, events] of bySession) {
+      const existing = await sessions.findOne({ sessionId });
+      const session = applySessionEvents(existing, events);
+      if (existing) {
+        await sessions.update(existing.id, session);
+      } else {
+        await sessions.insert(session);
+      }
+    }
+  }).catch(error => {
+    console.error('❌ Failed to update sessions:', error);
+  });
+  return sessionUpdates;
+};
+
+// navigator.sendBeacon posts text/plain to avoid a CORS preflight, so batches
+// may arrive as a JSON string instead of a parsed body. Beacons cannot set
+// headers either, so they carry the access token as { token, events }.
+const parseBatchBody = (body) => {
+  const parsed = typeof body === 'string' ? JSON.parse(body) : body;
+  return Array.isArray(parsed)
+    ? { events: parsed, token: null }
+    : { events: parsed?.events, token: typeof parsed?.token === 'string' ? parsed.token : null };
+};
+
+// The signed-in user sending events, or null when no token was sent. An
+// invalid or expired bearer token is an error, so the client keeps the events
+// and sends them again once it has a fresh token. A beacon's body token is
+// different: the page may be gone and never sees the response, so its events
+// are stored as anonymous rather than lost.
+const senderOf = async (req, bodyToken = null) => {
+  const token = bearerToken(req);
+  if (token || !bodyToken) {
+    return token ? userForToken(token) : null;
+  }
+
+  try {
+    return await userForToken(bodyToken);
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) throw error;
+    console.log(`⚠️ Beacon token rejected (${error.message}), storing its events as anonymous`);
+    return null;
+  }
+};
+
+// Events are stored under the user who sent them, not whoever the body
+// names: events without a signed-in sender, or naming another user (e.g.
+// queued in this browser before someone else signed in), are anonymous
+const attributeEvent = (event, sender) => {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return event;
+
+  const ownEvent = sender && (event.userId === undefined || isSameUser(sender, event.userId));
+  return { ...event, userId: ownEvent ? sender.username : ANONYMOUS_USER };
+};
+
+const sendAuthenticationError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Validate and store an event. Invalid events go to the quarantine collection;
+// an event whose client event id was already stored is not stored again and
+// the existing record id is returned instead. Newly stored events come back
+// as `record`, for recordSessions.
+const storeEvent = async (input, origin) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const errors = [{ field: '', message: 'Event must be an object' }];
+    return { errors, quarantineId: await quarantineEvent(input, errors, origin) };
+  }
+
+  const event = normalizeEvent(input);
+  const { errors, schemaVersion } = validateEvent(event);
+  if (errors.length > 0) {
+    return { errors, quarantineId: await quarantineEvent(input, errors, origin) };
+  }
+
+  const eventId = clientEventIdOf(event);
+  if (!eventId) {
+    const record = await clickstream.insert(toClickstreamRecord(event, schemaVersion, origin));
+    return { id: record.id, record, duplicate: false };
+  }
+
+  await loadRecentEventIds();
+  const existingId = recentEventIds.get(eventId);
+  if (existingId !== undefined) {
+    return { id: await existingId, duplicate: true };
+  }
+
+  const pendingRecord = clickstream.insert(toClickstreamRecord(event, schemaVersion, origin));
+  recentEventIds.set(eventId, pendingRecord.then(record => record.id));
+  try {
+    const record = await pendingRecord;
+    return { id: record.id, record, duplicate: false };
+  } catch (error) {
+    recentEventIds.delete(eventId);
+    throw error;
+  }
+};
+
+// @desc    Record a clickstream event. The event is validated against the
+//          schema registry; invalid events are quarantined and answered with
+//          400. Events carrying an eventId the server has already stored are
+//          not stored again; the existing id is returned. The event belongs
+//          to the user of the bearer token, or is anonymous without one.
+// @route   POST /api/clickstream
+// @access  Public
+const recordEvent = async (req, res) => {
+  try {
+    const sender = await senderOf(req);
+    const event = attributeEvent(req.body, sender);
+    const { id, record, duplicate, errors, quarantineId } = await storeEvent(event, requestOrigin(req));
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clickstream event failed validation',
+        errors,
+        quarantineId
+      });
+    }
+
+    if (record) await recordSessions([record]);
+
+    const eventType = req.body.eventType || req.body.action;
+    console.log(`📊 Clickstream ${duplicate ? 'duplicate ignored' : 'recorded'}: ${eventType} (Session: ${req.body.sessionId?.substring(0, 8)}...)`);
+
+    res.json({
+      success: true,
+      message: duplicate ? 'Clickstream event already recorded' : 'Clickstream data recorded',
+      id,
+      duplicate
+    });
+
+  } catch (error) {
+    if (error instanceof AuthenticationError) return sendAuthenticationError(res, error);
+    console.error('Clickstream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record clickstream data'
+    });
+  }
+};
+
+// @desc    Record several clickstream events in one request. Accepts a JSON
+//          array (or { events: [...] }) sent as application/json or text/plain.
+//          Invalid entries are quarantined and reported by index with their
+//          errors; duplicates (by eventId) return the id of the stored event.
+//          The batch succeeds as a whole so clients do not resend bad events.
+//          Events belong to the user of the bearer token (or the body's
+//          token, for beacons), or are anonymous without one; a beacon
+//          with an expired or invalid token is stored as anonymous too.
+// @route   POST /api/clickstream/batch
+// @access  Public
+const recordEventBatch = async (req, res) => {
+  let events;
+  let token;
+  try {
+    ({ events, token } = parseBatchBody(req.body));
+  } catch {
+    events = null;
+  }
+
+  if (!Array.isArray(events)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Request body must be an array of clickstream events'
+    });
+  }
+
+  if (events.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      success: false,
+      message: `A batch can contain at most ${MAX_BATCH_SIZE} events`
+    });
+  }
+
+  try {
+    const sender = await senderOf(req, token);
+    const origin = requestOrigin(req);
+    const ids = [];
+    const stored = [];
+    const rejected = [];
+    let duplicates = 0;
+
+    for (const [index, event] of events.entries()) {
+      const { id, record, duplicate, errors } = await storeEvent(attributeEvent(event, sender), origin);
+      if (errors) {
+        rejected.push({ index, errors });
+        continue;
+      }
+      ids.push(id);
+      if (duplicate) duplicates++;
+      if (record) stored.push(record);
+    }
+    await recordSessions(stored);
+
+    console.log(`📊 Clickstream batch recorded: ${ids.length - duplicates} events${duplicates ? `, ${duplicates} duplicates ignored` : ''}${rejected.length ? `, ${rejected.length} rejected` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Clickstream batch recorded',
+      count: ids.length,
+      ids,
+      duplicates,
+      rejected
+    });
+
+  } catch (error) {
+    if (error instanceof AuthenticationError) return sendAuthenticationError(res, error);
+    console.error('Clickstream batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record clickstream batch'
+    });
+  }
+};
+
+// @desc    Get clickstream events for a single user, most recent first by
+//          default, one page at a time (see utils/clickstreamQuery.js)
+// @route   GET /api/clickstream/user/:userId?eventType=&sessionId=&courseId=&page=&sort=&fields=&limit=&cursor=
+// @access  Private (learners: own data only)
+const getUserClickstream = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!canAccessUserData(req.user, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Learners can only view their own activity'
+      });
+    }
+
+    const userFilter = roleOf(req.user) === ROLES.LEARNER ? accountUserIdQuery(req.user) : userIdQuery(userId);
+    const conditions = [{ userId: userFilter }, ...eventFilterConditions(req.query)];
+    const query = conditions.length > 1 ? { $and: conditions } : conditions[0];
+    const pageParams = parsePageParams(req.query);
+
+    const [page, totalActions] = await Promise.all([
+      findPage(clickstream, query, pageParams),
+      clickstream.count(query)
+    ]);
+
+    res.json({
+      success: true,
+      userId,
+      totalActions,
+      count: page.data.length,
+      data: page.data,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+
+  } catch (error) {
+    if (error instanceof ClickstreamQueryError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error fetching user clickstream data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user data'
+    });
+  }
+};
+
+// @desc    List the clickstream event schemas accepted on ingest
+// @route   GET /api/clickstream/schemas
+// @access  Public
+const getEventSchemas = (req, res) => {
+  res.json({
+    success: true,
+    ...describeSchemas()
+  });
+};
+
+module.exports = {
+  recordEvent,
+  recordEventBatch,
+  getEventSchemas,
+  getUserClickstream,
+  storeEvent,
+  recordSessions,
+  userIdQuery,
+  accountUserIdQuery
+};
@@ -0,0 +1,271 @@
+const { content } = require('../repositories');
+const { CONTENT_FIELDS, pickContentFields, validateContent } = require('../utils/contentValidation');
+
+// Soft-deleted items keep their record with a deletedAt timestamp so they can be restored
+const NOT_DELETED = { $or: [{ deletedAt: { $exists: false } }, { deletedAt: null }] };
+const isDeleted = (item) => Boolean(item && item.deletedAt);
+
+// Items without a status predate drafts and count as published
+const PUBLISHED = { $and: [NOT_DELETED, { status: { $ne: 'draft' } }] };
+const isDraft = (item) => item.status === 'draft';
+
+const sendValidationError = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    message: 'Content validation failed',
+    errors
+  });
+};
+
+const sendNotFound = (res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Content not found'
+  });
+};
+
+// @desc    List published learning content
+// @route   GET /api/content
+// @access  Public
+const getContent = async (req, res) => {
+  try {
+    const items = await content.find(PUBLISHED, { sort: { id: 1 } });
+    res.json({
+      success: true,
+      content: items
+    });
+  } catch (error) {
+    console.error('Get content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch content'
+    });
+  }
+};
+
+// @desc    List all content that is not deleted, drafts included, for authoring
+// @route   GET /api/content/manage
+// @access  Instructor, Admin
+const getManagedContent = async (req, res) => {
+  try {
+    const items = await content.find(NOT_DELETED, { sort: { id: 1 } });
+    res.json({
+      success: true,
+      content: items
+    });
+  } catch (error) {
+    console.error('Get managed content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch content'
+    });
+  }
+};
+
+// @desc    List soft-deleted content that can still be restored
+// @route   GET /api/content/deleted
+// @access  Instructor, Admin
+const getDeletedContent = async (req, res) => {
+  try {
+    const items = await content.find({ deletedAt: { $exists: true, $ne: null } }, { sort: { deletedAt: -1 } });
+    res.json({
+      success: true,
+      content: items
+    });
+  } catch (error) {
+    console.error('Get deleted content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted content'
+    });
+  }
+};
+
+// @desc    Get a single published content item
+// @route   GET /api/content/:id
+// @access  Public
+const getContentById = async (req, res) => {
+  try {
+    const item = await content.findById(req.params.id);
+    if (!item || isDeleted(item) || isDraft(item)) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      content: item
+    });
+  } catch (error) {
+    console.error('Get content item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch content'
+    });
+  }
+};
+
+// @desc    Create a content item
+// @route   POST /api/content
+// @access  Instructor, Admin
+const createContent = async (req, res) => {
+  try {
+    const fields = pickContentFields(req.body);
+    const errors = validateContent(fields);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const newContent = await content.insert({
+      ...fields,
+      status: fields.status || 'published',
+      createdBy: req.user.username,
+      createdAt: new Date().toISOString()
+    });
+
+    console.log(`📚 Content ${newContent.id} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Content created successfully',
+      content: newContent
+    });
+
+  } catch (error) {
+    console.error('Create content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create content'
+    });
+  }
+};
+
+// Shared by PUT and PATCH. PUT replaces every editable field (omitted ones are
+// cleared); PATCH merges the sent fields into the stored item. Either way the
+// resulting item is validated as a whole, since the rules depend on its type.
+const saveContent = (replace) => async (req, res) => {
+  try {
+    const existing = await content.findById(req.params.id);
+    if (!existing || isDeleted(existing)) {
+      return sendNotFound(res);
+    }
+
+    const fields = pickContentFields(req.body);
+    const changes = replace
+      ? CONTENT_FIELDS.reduce((all, field) => ({ ...all, [field]: fields[field] ?? null }), {})
+      : fields;
+
+    const errors = validateContent({ ...existing, ...changes });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const updatedContent = await content.update(existing.id, {
+      ...changes,
+      updatedBy: req.user.username,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Content updated successfully',
+      content: updatedContent
+    });
+  } catch (error) {
+    console.error('Update content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update content'
+    });
+  }
+};
+
+// @desc    Replace a content item
+// @route   PUT /api/content/:id
+// @access  Instructor, Admin
+const replaceContent = saveContent(true);
+
+// @desc    Update some fields of a content item
+// @route   PATCH /api/content/:id
+// @access  Instructor, Admin
+const updateContent = saveContent(false);
+
+// @desc    Soft delete a content item
+// @route   DELETE /api/content/:id
+// @access  Instructor, Admin
+const deleteContent = async (req, res) => {
+  try {
+    const existing = await content.findById(req.params.id);
+    if (!existing || isDeleted(existing)) {
+      return sendNotFound(res);
+    }
+
+    const deletedContent = await content.update(existing.id, {
+      deletedAt: new Date().toISOString(),
+      deletedBy: req.user.username
+    });
+
+    console.log(`🗑️ Content ${existing.id} deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Content deleted. It can be restored from /api/content/:id/restore',
+      content: deletedContent
+    });
+  } catch (error) {
+    console.error('Delete content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete content'
+    });
+  }
+};
+
+// @desc    Restore a soft-deleted content item
+// @route   POST /api/content/:id/restore
+// @access  Instructor, Admin
+const restoreContent = async (req, res) => {
+  try {
+    const existing = await content.findById(req.params.id);
+    if (!existing) {
+      return sendNotFound(res);
+    }
+
+    if (!isDeleted(existing)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is not deleted'
+      });
+    }
+
+    const restoredContent = await content.update(existing.id, {
+      deletedAt: null,
+      deletedBy: null
+    });
+
+    console.log(`♻️ Content ${existing.id} restored by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Content restored successfully',
+      content: restoredContent
+    });
+  } catch (error) {
+    console.error('Restore content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore content'
+    });
+  }
+};
+
+module.exports = {
+  getContent,
+  getManagedContent,
+  getDeletedContent,
+  getContentById,
+  createContent,
+  replaceContent,
+  updateContent,
+  deleteContent,
+  restoreContent
+};
@@ -0,0 +1,36 @@
+const repository = require('../repositories');
+
+// @desc    API health check with collection sizes
+// @route   GET /api/health
+// @access  Public
+const getHealth = async (req, res) => {
+  try {
+    const [users, content, clickstream] = await Promise.all([
+      repository.users.count(),
+      repository.content.count(),
+      repository.clickstream.count()
+    ]);
+
+    res.status(200).json({
+      message: 'Learning Website API is running!',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: repository.description,
+      stats: {
+        users,
+        content,
+        clickstream
+      }
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.status(503).json({
+      message: 'Learning Website API is running but the database is unavailable',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: repository.description
+    });
+  }
+};
+
+module.exports = { getHealth };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { users, content } = require('../repositories');
+const { storeEvent, recordSessions } = require('./clickstreamController');
+const { ROLES } = require('../utils/roles');
+const { ANONYMOUS_USER, usernameError } = require('../utils/usernames');
+const {
+  MoodleImportError,
+  readMoodleRows,
+  planMoodleImport,
+  toClickstreamEvent
+} = require('../utils/moodleImport');
+
+const SALT_ROUNDS = 10;
+
+// Invalid rows listed individually in the response before it is summarised
+const MAX_REPORTED_ROWS = 100;
+
+const IMPORT_USER_AGENT = 'Moodle log import';
+
+const sameTitle = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Moodle user ids are only meaningful within one Moodle site, so a Moodle
+// user maps to an account imported earlier (by stored Moodle user id) or to
+// one the importer linked explicitly (`links`, Moodle user id -> username).
+// A full name that equals a local username is only suggested as a link, to
+// confirm after the dry run. Anonymous events of our own exports stay
+// anonymous. Anyone else gets a new learner account that cannot sign in
+// until an admin sets a password.
+const resolveUsers = async (moodleUsers, { dryRun, links = {} }) => {
+  const existing = await users.find();
+  const byMoodleId = new Map(existing.filter(user => user.moodleUserId).map(user => [String(user.moodleUserId), user]));
+  const byUsername = new Map(existing.map(user => [user.username.toLowerCase(), user]));
+  const takenUsernames = new Set(byUsername.keys());
+
+  // Check every link before anything is written
+  const linkedAccounts = new Map();
+  for (const [moodleUserId] of moodleUsers) {
+    if (links[moodleUserId] === undefined || moodleUserId === ANONYMOUS_USER || byMoodleId.has(moodleUserId)) continue;
+
+    const account = byUsername.get(links[moodleUserId].toLowerCase());
+    if (!account) {
+      throw new MoodleImportError(`Cannot link Moodle user ${moodleUserId}: there is no user "${links[moodleUserId]}"`);
+    }
+    if (account.moodleUserId || [...linkedAccounts.values()].includes(account)) {
+      throw new MoodleImportError(`Cannot link Moodle user ${moodleUserId}: "${account.username}" is already linked to another Moodle user`);
+    }
+    linkedAccounts.set(moodleUserId, account);
+  }
+
+  const resolved = new Map();
+  const matched = [];
+  const created = [];
+  const suggested = [];
+
+  for (const [moodleUserId, fullName] of moodleUsers) {
+    if (moodleUserId === ANONYMOUS_USER) {
+      resolved.set(moodleUserId, ANONYMOUS_USER);
+      continue;
+    }
+
+    const known = byMoodleId.get(moodleUserId);
+    if (known) {
+      resolved.set(moodleUserId, known.username);
+      matched.push(known.username);
+      continue;
+    }
+
+    const account = linkedAccounts.get(moodleUserId);
+    if (account) {
+      // Later imports then find the account by its Moodle user id
+      if (!dryRun) {
+        await users.update(account.id, { moodleUserId });
+      }
+      resolved.set(moodleUserId, account.username);
+      matched.push(account.username);
+      continue;
+    }
+
+    const sameName = fullName && byUsername.get(fullName.toLowerCase());
+    if (sameName && !sameName.moodleUserId) {
+      suggested.push({ moodleUserId, fullName, username: sameName.username });
+    }
+
+    // Full names that could pass for a user id or a reserved name are not used
+    const baseName = fullName && !usernameError(fullName) ? fullName : `moodle-${moodleUserId}`;
+    let username = baseName;
+    for (let suffix = 2; takenUsernames.has(username.toLowerCase()); suffix++) {
+      username = `${baseName}-${suffix}`;
+    }
+    takenUsernames.add(username.toLowerCase());
+
+    if (!dryRun) {
+      await users.insert({
+        username,
+        email: `moodle-${moodleUserId}@moodle.invalid`,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), SALT_ROUNDS),
+        role: ROLES.LEARNER,
+        source: 'moodle',
+        moodleUserId,
+        createdAt: new Date().toISOString(),
+        lastLogin: null
+      });
+    }
+    resolved.set(moodleUserId, username);
+    created.push(username);
+  }
+
+  return { resolved, matched, created, suggested };
+};
+
+// Links confirmed after a dry run, sent as linkUsers: a JSON object of
+// Moodle user id -> local username
+const parseUserLinks = (value) => {
+  if (value === undefined || value === '') return {};
+
+  let links;
+  try {
+    links = JSON.parse(value);
+  } catch {
+    links = null;
+  }
+  if (!links || typeof links !== 'object' || Array.isArray(links)
+    || !Object.values(links).every(username => typeof username === 'string')) {
+    throw new MoodleImportError('linkUsers must be a JSON object of Moodle user ids to usernames');
+  }
+  return links;
+};
+
+// Course and activity contexts map to content with the same title, preferring
+// the same type; missing ones are created as drafts so learners do not see them
+const resolveCourses = async (moodleCourses, { dryRun, createdBy }) => {
+  const existing = (await content.find({}, { sort: { id: 1 } })).filter(item => !item.deletedAt);
+
+  const resolved = new Map();
+  const matched = [];
+  const created = [];
+
+  for (const [key, context] of moodleCourses) {
+    const sameTitled = existing.filter(item => item.title && sameTitle(item.title, context.title));
+    const match = sameTitled.find(item => item.type === context.type) || sameTitled[0];
+    if (match) {
+      resolved.set(key, match);
+      matched.push(match.title);
+      continue;
+    }
+
+    const fields = {
+      title: context.title,
+      type: context.type,
+      description: `Imported from Moodle (${context.label})`,
+      status: 'draft',
+      source: 'moodle',
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    resolved.set(key, dryRun ? { id: null, ...fields } : await content.insert(fields));
+    created.push(`${context.label}: ${context.title}`);
+  }
+
+  return { resolved, matched, created };
+};
+
+const countBy = (items, keyOf) => items.reduce((counts, item) => {
+  const key = keyOf(item);
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+// @desc    Import a Moodle log download (CSV or XLSX, sent as the raw request
+//          body) into the clickstream. Users and courses are mapped by Moodle
+//          user id (or the links in linkUsers, a JSON object of Moodle user
+//          id to username) and context title, and created when missing. With
+//          dryRun=true nothing is written and the response previews the
+//          import, including the Moodle event names that cannot be mapped.
+//          Rows imported before are recognised and not stored twice.
+// @route   POST /api/clickstream/import/moodle?dryRun=&timezone=&linkUsers=
+// @access  Instructor, Admin
+const importMoodleLog = async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const timeZone = req.query.timezone || 'UTC';
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload a Moodle log file (CSV or XLSX) as the request body'
+    });
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown timezone "${timeZone}"`
+    });
+  }
+
+  try {
+    const plan = planMoodleImport(await readMoodleRows(req.body), { timeZone });
+    const links = parseUserLinks(req.query.linkUsers);
+    const userMapping = await resolveUsers(plan.users, { dryRun, links });
+    const courseMapping = await resolveCourses(plan.courses, { dryRun, createdBy: req.user.username });
+
+    const events = plan.events.map(planned => toClickstreamEvent(planned, {
+      userId: userMapping.resolved.get(planned.moodleUserId),
+      course: planned.courseKey ? courseMapping.resolved.get(planned.courseKey) : null
+    }));
+
+    const summary = {
+      rows: plan.rows,
+      importable: events.length,
+      eventTypes: countBy(events, event => event.eventType),
+      unmapped: plan.unmapped,
+      invalidRowCount: plan.invalidRows.length,
+      invalidRows: plan.invalidRows.slice(0, MAX_REPORTED_ROWS),
+      users: { matched: userMapping.matched, created: userMapping.created, suggested: userMapping.suggested },
+      courses: { matched: courseMapping.matched, created: courseMapping.created }
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `Dry run: ${events.length} of ${plan.rows} rows can be imported`,
+        summary
+      });
+    }
+
+    let imported = 0;
+    let duplicates = 0;
+    const rejected = [];
+    const stored = [];
+    for (const [index, event] of events.entries()) {
+      const planned = plan.events[index];
+      const { record, duplicate, errors } = await storeEvent(event, { ip: planned.ip, userAgent: IMPORT_USER_AGENT });
+      if (errors) {
+        rejected.push({ row: planned.row, errors });
+      } else if (duplicate) {
+        duplicates++;
+      } else {
+        imported++;
+        stored.push(record);
+      }
+    }
+    await recordSessions(stored);
+
+    console.log(`📥 Moodle log imported by ${req.user.username}: ${imported} events, ${duplicates} already imported, ${plan.rows - events.length} rows skipped`);
+
+    res.json({
+      success: true,
+      dryRun: false,
+      message: `Imported ${imported} events from ${plan.rows} rows`,
+      imported,
+      duplicates,
+      rejected,
+      summary
+    });
+
+  } catch (error) {
+    if (error instanceof MoodleImportError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Moodle import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import Moodle log'
+    });
+  }
+};
+
+module.exports = { importMoodleLog };
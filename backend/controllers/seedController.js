@@ -0,0 +1,59 @@
+const { content } = require('../repositories');
+
+// @desc    Replace content with a small sample set
+// @route   POST /api/seed
+// @access  Admin
+const seedData = async (req, res) => {
+  try {
+    // Seed content
+    const sampleContent = [
+      {
+        id: 1,
+        title: 'Introduction to Web Development',
+        type: 'text',
+        description: 'Learn the basics of HTML, CSS, and JavaScript',
+        createdAt: new Date().toISOString()
+      },
+      {
+        id: 2,
+        title: 'JavaScript Fundamentals',
+        type: 'video',
+        description: 'Master JavaScript concepts with practical examples',
+        videoUrl: 'https://www.youtube.com/watch?v=PkZNo7MFNFg',
+        createdAt: new Date().toISOString()
+      },
+      {
+        id: 3,
+        title: 'HTML Basics Quiz',
+        type: 'quiz',
+        description: 'Test your HTML knowledge',
+        quizData: {
+          questions: [
+            {
+              question: 'What does HTML stand for?',
+              options: ['Hyper Text Markup Language', 'High Tech Modern Language', 'Home Tool Markup Language'],
+              correct: 0
+            }
+          ]
+        },
+        createdAt: new Date().toISOString()
+      }
+    ];
+
+    await content.replaceAll(sampleContent);
+
+    res.json({
+      success: true,
+      message: 'Sample data seeded successfully'
+    });
+
+  } catch (error) {
+    console.error('Seed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to seed data'
+    });
+  }
+};
+
+module.exports = { seedData };
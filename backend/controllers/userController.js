@@ -0,0 +1,103 @@
+const { users } = require('../repositories');
+const { ALL_ROLES } = require('../utils/roles');
+const { toUserResponse } = require('./authController');
+
+// @desc    List all users
+// @route   GET /api/users
+// @access  Admin
+const getUsers = async (req, res) => {
+  try {
+    const allUsers = await users.find({}, { sort: { id: 1 } });
+    res.json({
+      success: true,
+      users: allUsers.map(toUserResponse)
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:id/role
+// @access  Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ALL_ROLES.join(', ')}`
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const updatedUser = await users.update(req.params.id, { role });
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`👤 User ${updatedUser.id} role changed to ${role} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'User role updated',
+      user: toUserResponse(updatedUser)
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+};
+
+// @desc    Delete a user account
+// @route   DELETE /api/users/:id
+// @access  Admin
+const deleteUser = async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const removed = await users.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user'
+    });
+  }
+};
+
+module.exports = { getUsers, updateUserRole, deleteUser };
@@ -0,0 +1,107 @@
+const { users, revokedTokens } = require('../repositories');
+const { verifyToken } = require('../utils/tokens');
+const { ROLES, roleOf } = require('../utils/roles');
+
+// Thrown by userForToken; carries the HTTP status to respond with
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 401;
+  }
+}
+
+// Token from an "Authorization: Bearer <jwt>" header, or null
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// The user (without password) an access token belongs to. Throws an
+// AuthenticationError when the token is invalid, expired or revoked.
+const userForToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    throw new AuthenticationError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  const revoked = await revokedTokens.findOne({ tokenId: payload.jti });
+  if (revoked) {
+    throw new AuthenticationError('Token has been revoked');
+  }
+
+  const user = await users.findById(payload.id);
+  if (!user) {
+    throw new AuthenticationError('User no longer exists');
+  }
+
+  const { password: _, ...safeUser } = user;
+  return { ...safeUser, role: roleOf(user) };
+};
+
+// Require a valid "Authorization: Bearer <jwt>" header and attach the
+// authenticated user (without password) to req.user
+const authenticate = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    req.user = await userForToken(token);
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Allow the request only when the authenticated user has one of the roles.
+// Must run after authenticate.
+const authorize = (...allowedRoles) => (req, res, next) => {
+  if (!allowedRoles.includes(roleOf(req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Clickstream events identify a user by username or by numeric id, so either
+// names the user. Usernames can be neither digits only nor reserved (see
+// utils/usernames.js), so one cannot stand for another account's id.
+const isSameUser = (user, userId) => (
+  String(userId) === user.username || String(userId) === String(user.id)
+);
+
+// Learners may only read their own data
+const canAccessUserData = (user, userId) => {
+  if (roleOf(user) !== ROLES.LEARNER) return true;
+  return isSameUser(user, userId);
+};
+
+module.exports = {
+  AuthenticationError,
+  bearerToken,
+  userForToken,
+  authenticate,
+  authorize,
+  isSameUser,
+  canAccessUserData
+};
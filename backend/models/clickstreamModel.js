@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Raw clickstream events. Timestamps are stored as ISO strings, exactly as
+// the client sends them, so range filters behave the same as the JSON driver.
+const clickstreamSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  // Client-generated UUID used to ignore retried events
+  eventId: {
+    type: String,
+    index: { unique: true, sparse: true }
+  },
+  sessionId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.Mixed,
+    index: true
+  },
+  eventType: {
+    type: String
+  },
+  eventData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  timestamp: {
+    type: String,
+    index: true
+  }
+}, { id: false, strict: false });
+
+const Clickstream = mongoose.model('Clickstream', clickstreamSchema, 'clickstream');
+
+module.exports = Clickstream;
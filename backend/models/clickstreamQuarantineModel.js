@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Clickstream events rejected by schema validation, kept as received together
+// with the validation errors so they can be inspected or replayed later
+const clickstreamQuarantineSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  receivedAt: {
+    type: String,
+    index: true
+  },
+  validationErrors: {
+    type: [mongoose.Schema.Types.Mixed]
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  }
+}, { id: false, strict: false });
+
+const ClickstreamQuarantine = mongoose.model('ClickstreamQuarantine', clickstreamQuarantineSchema, 'clickstreamQuarantine');
+
+module.exports = ClickstreamQuarantine;
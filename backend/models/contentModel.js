@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Learning content items (text, video, quiz). Kept non-strict so optional
+// per-type fields such as quizData or videoUrl round-trip unchanged.
+const contentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published'
+  },
+  updatedAt: {
+    type: Date
+  },
+  // Set when the item is soft deleted; cleared again on restore
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, { id: false, strict: false });
+
+const Content = mongoose.model('Content', contentSchema, 'content');
+
+module.exports = Content;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Links a user to a content item they have enrolled in
+const enrollmentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  contentId: {
+    type: Number
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { id: false, strict: false });
+
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+module.exports = Enrollment;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Data migrations that have been applied, so re-running a migration command
+// only applies the versions that are still pending
+const migrationSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  appliedAt: {
+    type: String
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { id: false });
+
+migrationSchema.index({ name: 1, version: 1 }, { unique: true });
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = Migration;
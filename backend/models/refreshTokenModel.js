@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Issued refresh tokens. A token is rotated on every use; presenting an
+// already-rotated token revokes its whole family.
+const refreshTokenSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  familyId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { id: false });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Revocation list for access tokens invalidated by logout before they expire
+const revokedTokenSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { id: false });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
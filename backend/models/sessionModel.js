@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One learning session, updated as its clickstream events arrive
+// (see utils/sessions.js). Times are ISO strings like clickstream timestamps.
+const sessionSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  previousSessionId: {
+    type: String
+  },
+  startedAt: {
+    type: String
+  },
+  lastActivityAt: {
+    type: String
+  },
+  endedAt: {
+    type: String
+  },
+  endReason: {
+    type: String
+  },
+  duration: {
+    type: Number
+  },
+  eventCount: {
+    type: Number
+  }
+}, { id: false });
+
+sessionSchema.index({ userId: 1, startedAt: -1 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
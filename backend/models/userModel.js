@@ -1,7 +1,14 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 
+// Plain persistence schema used by the Mongo repository driver.
+// Business rules (validation, uniqueness checks) live in the controllers so
+// that the JSON and Mongo drivers behave identically.
 const userSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
   username: {
     type: String,
     required: true,
@@ -19,29 +26,27 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  role: {
+    type: String,
+    enum: ['learner', 'instructor', 'admin'],
+    default: 'learner'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   lastLogin: {
-    type: Date
-  }
-});
-
-// Hash password before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    return next();
+    type: Date,
+    default: null
+  },
+  // Accounts created by a Moodle log import
+  source: {
+    type: String
+  },
+  moodleUserId: {
+    type: String
   }
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
-  next();
-});
-
-// Method to compare password
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
-};
+}, { id: false });
 
 const User = mongoose.model('User', userSchema);
 
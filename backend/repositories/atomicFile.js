@@ -0,0 +1,81 @@
+/**
+ * Atomic File Helpers for the JSON driver
+ * - createLock: serialises read-modify-write cycles on one collection
+ * - writeFileAtomic: write-to-temp, fsync, snapshot, rename
+ * - recoverJsonFile: startup check that restores a truncated file from its snapshot
+ */
+
+const fs = require('fs');
+
+const tempPath = (filePath) => `${filePath}.tmp`;
+const snapshotPath = (filePath) => `${filePath}.bak`;
+
+// Promise-chain mutex: each task starts only after the previous one settles
+const createLock = () => {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const run = tail.then(task);
+    // Keep the chain alive even when a task rejects
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+// Write the full file contents without ever leaving a partially written file
+// at filePath. The previous version is kept as <file>.bak for recovery.
+const writeFileAtomic = async (filePath, contents) => {
+  const tmp = tempPath(filePath);
+  const handle = await fs.promises.open(tmp, 'w');
+
+  try {
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  if (fs.existsSync(filePath)) {
+    await fs.promises.copyFile(filePath, snapshotPath(filePath));
+  }
+  await fs.promises.rename(tmp, filePath);
+};
+
+const parsesAsJson = (filePath) => {
+  try {
+    JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Ensure filePath holds valid JSON before the server starts serving requests.
+// Order of preference: current file, last good snapshot, empty collection.
+const recoverJsonFile = (filePath, label) => {
+  const tmp = tempPath(filePath);
+  if (fs.existsSync(tmp)) {
+    // A crash happened before rename; the live file is still the last complete write
+    fs.unlinkSync(tmp);
+    console.warn(`⚠️ Removed incomplete write for ${label} database`);
+  }
+
+  if (!fs.existsSync(filePath) || parsesAsJson(filePath)) {
+    return;
+  }
+
+  const corruptCopy = `${filePath}.corrupt-${Date.now()}`;
+  fs.renameSync(filePath, corruptCopy);
+  console.error(`❌ ${label} database is corrupted, moved to ${corruptCopy}`);
+
+  const snapshot = snapshotPath(filePath);
+  if (fs.existsSync(snapshot) && parsesAsJson(snapshot)) {
+    fs.copyFileSync(snapshot, filePath);
+    console.log(`✅ Restored ${label} database from last good snapshot`);
+  } else {
+    fs.writeFileSync(filePath, JSON.stringify([], null, 2));
+    console.warn(`⚠️ No usable snapshot for ${label} database, starting empty`);
+  }
+};
+
+module.exports = { createLock, writeFileAtomic, recoverJsonFile };
@@ -0,0 +1,297 @@
+/**
+ * Append-only Event Log Storage
+ * Stores a collection as newline-delimited JSON segments, one file per UTC day:
+ *   backend/data/<collection>/YYYY-MM-DD.ndjson
+ *
+ * Inserts append a single line to the current day's segment, so ingestion cost
+ * stays constant no matter how large the log grows. Queries stream over the
+ * segments line by line instead of loading the whole log into memory.
+ * Implements the repository API described in repositories/index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createLock, writeFileAtomic } = require('./atomicFile');
+const { matchesQuery, sortRecords } = require('./query');
+
+const SEGMENT_EXTENSION = '.ndjson';
+
+// Ids arrive as strings from route params but are stored as numbers
+const sameId = (a, b) => String(a) === String(b);
+
+const segmentNameFor = (date) => `${date.toISOString().slice(0, 10)}${SEGMENT_EXTENSION}`;
+
+// Segment for an existing record, based on its own timestamp when it has a valid one
+const segmentNameForRecord = (record) => {
+  const timestamp = new Date(record.timestamp);
+  return segmentNameFor(Number.isNaN(timestamp.getTime()) ? new Date() : timestamp);
+};
+
+const serialize = (records) => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+const createEventLogCollection = (dirPath, label) => {
+  const withLock = createLock();
+  const segmentPath = (segment) => path.join(dirPath, segment);
+
+  // Segment names sort chronologically because they are ISO dates
+  const listSegments = () => {
+    if (!fs.existsSync(dirPath)) return [];
+    return fs.readdirSync(dirPath)
+      .filter(file => file.endsWith(SEGMENT_EXTENSION))
+      .sort();
+  };
+
+  async function* readSegment(segment) {
+    const input = fs.createReadStream(segmentPath(segment), 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          console.warn(`⚠️ Skipping unreadable line in ${label} segment ${segment}`);
+        }
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  async function* iterate(query = {}, { reverse = false } = {}) {
+    if (reverse) {
+      // Lines can only be read forwards, so at most one segment's matches
+      // are held in memory
+      for (const segment of listSegments().reverse()) {
+        const matches = [];
+        for await (const record of readSegment(segment)) {
+          if (matchesQuery(record, query)) matches.push(record);
+        }
+        yield* matches.reverse();
+      }
+      return;
+    }
+
+    for (const segment of listSegments()) {
+      for await (const record of readSegment(segment)) {
+        if (matchesQuery(record, query)) {
+          yield record;
+        }
+      }
+    }
+  }
+
+  const readAllSegment = async (segment) => {
+    const records = [];
+    for await (const record of readSegment(segment)) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  // Locate the segment holding a record so updates only rewrite that one file
+  const findSegmentWith = async (id) => {
+    for (const segment of listSegments()) {
+      const records = await readAllSegment(segment);
+      const index = records.findIndex(record => sameId(record.id, id));
+      if (index !== -1) {
+        return { segment, records, index };
+      }
+    }
+    return null;
+  };
+
+  return {
+    iterate,
+
+    async find(query = {}, options = {}) {
+      let records = [];
+      // Without a sort the first `limit` matches are final, so stop reading early
+      const canStopEarly = options.limit && !options.sort;
+      // With both, only the best `limit` records so far need to be kept
+      const canTrim = options.limit && options.sort;
+
+      for await (const record of iterate(query)) {
+        records.push(record);
+        if (canStopEarly && records.length >= options.limit) break;
+        if (canTrim && records.length >= options.limit * 2) {
+          records = sortRecords(records, options.sort).slice(0, options.limit);
+        }
+      }
+
+      const sorted = options.sort ? sortRecords(records, options.sort) : records;
+      return options.limit ? sorted.slice(0, options.limit) : sorted;
+    },
+
+    async findOne(query = {}) {
+      for await (const record of iterate(query)) {
+        return record;
+      }
+      return null;
+    },
+
+    async findById(id) {
+      for await (const record of iterate()) {
+        if (sameId(record.id, id)) return record;
+      }
+      return null;
+    },
+
+    async count(query = {}) {
+      let total = 0;
+      for await (const _record of iterate(query)) {
+        total++;
+      }
+      return total;
+    },
+
+    // Records without an id get a millisecond timestamp id, matching how
+    // clickstream events have always been numbered
+    insert(record) {
+      return withLock(async () => {
+        const { id, ...fields } = record;
+        const newRecord = { id: id ?? Date.now(), ...fields };
+        await fs.promises.appendFile(segmentPath(segmentNameFor(new Date())), serialize([newRecord]));
+        return newRecord;
+      });
+    },
+
+    update(id, changes) {
+      return withLock(async () => {
+        const match = await findSegmentWith(id);
+        if (!match) return null;
+
+        const { segment, records, index } = match;
+        records[index] = { ...records[index], ...changes, id: records[index].id };
+        await writeFileAtomic(segmentPath(segment), serialize(records));
+        return records[index];
+      });
+    },
+
+    remove(id) {
+      return withLock(async () => {
+        const match = await findSegmentWith(id);
+        if (!match) return false;
+
+        const { segment, records, index } = match;
+        records.splice(index, 1);
+        await writeFileAtomic(segmentPath(segment), serialize(records));
+        return true;
+      });
+    },
+
+    // Rewrites one segment at a time, so memory use is bounded by the largest
+    // day rather than the whole log; unchanged segments are left untouched
+    rewrite(mapper) {
+      return withLock(async () => {
+        let changed = 0;
+        let removed = 0;
+
+        for (const segment of listSegments()) {
+          const records = await readAllSegment(segment);
+          let segmentChanged = false;
+          const kept = [];
+
+          records.forEach(record => {
+            const result = mapper(record);
+            if (result === null) {
+              removed++;
+              segmentChanged = true;
+            } else if (result !== record) {
+              changed++;
+              segmentChanged = true;
+              kept.push({ ...result, id: record.id });
+            } else {
+              kept.push(record);
+            }
+          });
+
+          if (segmentChanged && kept.length === 0) {
+            await fs.promises.unlink(segmentPath(segment));
+          } else if (segmentChanged) {
+            await writeFileAtomic(segmentPath(segment), serialize(kept));
+          }
+        }
+
+        return { changed, removed };
+      });
+    },
+
+    replaceAll(newRecords) {
+      return withLock(async () => {
+        const segments = new Map();
+        newRecords.forEach(record => {
+          const segment = segmentNameForRecord(record);
+          if (!segments.has(segment)) segments.set(segment, []);
+          segments.get(segment).push(record);
+        });
+
+        for (const segment of listSegments()) {
+          if (!segments.has(segment)) {
+            await fs.promises.unlink(segmentPath(segment));
+          }
+        }
+        for (const [segment, records] of segments) {
+          await writeFileAtomic(segmentPath(segment), serialize(records));
+        }
+        return newRecords;
+      });
+    }
+  };
+};
+
+// Drop a partially appended final line left behind by a crash mid-append
+const repairSegmentTail = (filePath, label) => {
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return;
+
+  const handle = fs.openSync(filePath, 'r');
+  const lastByte = Buffer.alloc(1);
+  fs.readSync(handle, lastByte, 0, 1, size - 1);
+  fs.closeSync(handle);
+
+  if (lastByte.toString() === '\n') return;
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+  fs.truncateSync(filePath, Buffer.byteLength(contents.slice(0, contents.lastIndexOf('\n') + 1)));
+  console.warn(`⚠️ Discarded incomplete last line in ${label} segment ${path.basename(filePath)}`);
+};
+
+// Prepare the segment directory before serving requests: create it, import a
+// legacy single-array <collection>.json file once, and repair truncated tails
+const prepareEventLog = (dirPath, legacyFilePath, label) => {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+    console.log(`✅ Created ${label} event log directory`);
+  }
+
+  fs.readdirSync(dirPath)
+    .filter(file => file.endsWith('.tmp'))
+    .forEach(file => fs.unlinkSync(path.join(dirPath, file)));
+
+  const hasSegments = fs.readdirSync(dirPath).some(file => file.endsWith(SEGMENT_EXTENSION));
+
+  if (!hasSegments && fs.existsSync(legacyFilePath)) {
+    const legacyRecords = JSON.parse(fs.readFileSync(legacyFilePath, 'utf8'));
+    const segments = new Map();
+    legacyRecords.forEach(record => {
+      const segment = segmentNameForRecord(record);
+      segments.set(segment, (segments.get(segment) || '') + serialize([record]));
+    });
+    segments.forEach((contents, segment) => {
+      fs.writeFileSync(path.join(dirPath, segment), contents);
+    });
+
+    fs.renameSync(legacyFilePath, `${legacyFilePath}.migrated`);
+    console.log(`✅ Imported ${legacyRecords.length} ${label} records into ${segments.size} daily segments`);
+  }
+
+  fs.readdirSync(dirPath)
+    .filter(file => file.endsWith(SEGMENT_EXTENSION))
+    .forEach(file => repairSegmentTail(path.join(dirPath, file), label));
+};
+
+module.exports = { createEventLogCollection, prepareEventLog };
@@ -0,0 +1,53 @@
+/**
+ * Repository Layer
+ * Single data-access API shared by server-local.js and server.js
+ *
+ * The storage driver is chosen with the DB_DRIVER environment variable:
+ *   - json  (default) local JSON files in ./data
+ *   - mongo           MongoDB via Mongoose, using MONGODB_URI
+ *
+ * Every collection exposes the same async methods regardless of driver:
+ *   iterate(query, { reverse })   -> async iterator streaming matching records,
+ *                                    in the order they were stored or, with
+ *                                    reverse, most recently stored first
+ *   find(query, { sort, limit })  -> records matching a Mongo-style query
+ *   findOne(query)                -> first matching record or null
+ *   findById(id)                  -> record with the given numeric id or null
+ *   count(query)                  -> number of matching records
+ *   insert(record)                -> stored record (numeric id assigned if missing)
+ *   update(id, changes)           -> merged record or null when not found
+ *   remove(id)                    -> true when a record was deleted
+ *   replaceAll(records)           -> overwrite the whole collection
+ *   rewrite(mapper)               -> replace every record with mapper(record),
+ *                                    dropping it when mapper returns null;
+ *                                    resolves to { changed, removed }
+ *
+ * Queries support plain equality plus $eq, $ne, $in, $nin, $gt, $gte, $lt,
+ * $lte, $exists, $or and $and so that both drivers accept the same filters.
+ * Fields may be dotted paths into nested objects, e.g. 'eventData.courseId'.
+ */
+
+const createJsonDriver = require('./jsonDriver');
+const createMongoDriver = require('./mongoDriver');
+
+const COLLECTIONS = ['users', 'content', 'enrollments', 'clickstream', 'clickstreamQuarantine', 'migrations', 'refreshTokens', 'revokedTokens', 'sessions'];
+
+const drivers = {
+  json: createJsonDriver,
+  mongo: createMongoDriver
+};
+
+const driverName = (process.env.DB_DRIVER || 'json').toLowerCase();
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown DB_DRIVER "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+const driver = drivers[driverName](COLLECTIONS);
+
+module.exports = {
+  driverName: driver.name,
+  description: driver.description,
+  connect: () => driver.connect(),
+  ...driver.collections
+};
@@ -0,0 +1,190 @@
+/**
+ * JSON File Storage Driver
+ * Persists collections as JSON arrays in backend/data/<collection>.json, except
+ * append-only event collections which use the NDJSON event log in eventLog.js
+ * Implements the repository API described in repositories/index.js
+ *
+ * Writes are serialised per collection and replace the file atomically, so
+ * concurrent requests cannot drop each other's records and a crash mid-write
+ * never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLock, writeFileAtomic, recoverJsonFile } = require('./atomicFile');
+const { matchesQuery, sortRecords } = require('./query');
+const { createEventLogCollection, prepareEventLog } = require('./eventLog');
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+// High-volume, append-mostly collections stored as daily NDJSON segments
+const EVENT_LOG_COLLECTIONS = ['clickstream', 'clickstreamQuarantine'];
+
+// Ids arrive as strings from route params but are stored as numbers
+const sameId = (a, b) => String(a) === String(b);
+
+const createCollection = (name) => {
+  const filePath = path.join(dataDir, `${name}.json`);
+  const withLock = createLock();
+
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading ${name} database:`, error);
+      return [];
+    }
+  };
+
+  // Mutations must never rewrite the file from an empty fallback, so a read
+  // failure aborts the write instead of returning []
+  const readForWrite = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const write = (records) => writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+
+  const nextId = (records) => records.reduce((max, record) => {
+    return typeof record.id === 'number' && record.id > max ? record.id : max;
+  }, 0) + 1;
+
+  return {
+    async *iterate(query = {}, { reverse = false } = {}) {
+      const records = reverse ? read().reverse() : read();
+      for (const record of records) {
+        if (matchesQuery(record, query)) yield record;
+      }
+    },
+
+    async find(query = {}, options = {}) {
+      let records = read().filter(record => matchesQuery(record, query));
+      if (options.sort) {
+        records = sortRecords(records, options.sort);
+      }
+      if (options.limit) {
+        records = records.slice(0, options.limit);
+      }
+      return records;
+    },
+
+    async findOne(query = {}) {
+      return read().find(record => matchesQuery(record, query)) || null;
+    },
+
+    async findById(id) {
+      return read().find(record => sameId(record.id, id)) || null;
+    },
+
+    async count(query = {}) {
+      return read().filter(record => matchesQuery(record, query)).length;
+    },
+
+    insert(record) {
+      return withLock(async () => {
+        const records = readForWrite();
+        const { id, ...fields } = record;
+        const newRecord = { id: id ?? nextId(records), ...fields };
+        records.push(newRecord);
+        await write(records);
+        return newRecord;
+      });
+    },
+
+    update(id, changes) {
+      return withLock(async () => {
+        const records = readForWrite();
+        const index = records.findIndex(record => sameId(record.id, id));
+        if (index === -1) return null;
+
+        records[index] = { ...records[index], ...changes, id: records[index].id };
+        await write(records);
+        return records[index];
+      });
+    },
+
+    remove(id) {
+      return withLock(async () => {
+        const records = readForWrite();
+        const remaining = records.filter(record => !sameId(record.id, id));
+        if (remaining.length === records.length) return false;
+
+        await write(remaining);
+        return true;
+      });
+    },
+
+    rewrite(mapper) {
+      return withLock(async () => {
+        let changed = 0;
+        let removed = 0;
+        const kept = [];
+
+        readForWrite().forEach(record => {
+          const result = mapper(record);
+          if (result === null) {
+            removed++;
+          } else if (result !== record) {
+            changed++;
+            kept.push({ ...result, id: record.id });
+          } else {
+            kept.push(record);
+          }
+        });
+
+        if (changed > 0 || removed > 0) {
+          await write(kept);
+        }
+        return { changed, removed };
+      });
+    },
+
+    replaceAll(newRecords) {
+      return withLock(async () => {
+        await write(newRecords);
+        return newRecords;
+      });
+    }
+  };
+};
+
+const createJsonDriver = (collectionNames) => {
+  const collections = Object.fromEntries(
+    collectionNames.map(name => [
+      name,
+      EVENT_LOG_COLLECTIONS.includes(name)
+        ? createEventLogCollection(path.join(dataDir, name), name)
+        : createCollection(name)
+    ])
+  );
+
+  return {
+    name: 'json',
+    description: 'Local JSON Database',
+    collections,
+
+    async connect() {
+      // Create data directory if it doesn't exist
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir);
+      }
+
+      // Initialize database files if they don't exist, repairing any file
+      // left truncated by a crash before the first request touches it
+      collectionNames.forEach(name => {
+        const filePath = path.join(dataDir, `${name}.json`);
+        if (EVENT_LOG_COLLECTIONS.includes(name)) {
+          prepareEventLog(path.join(dataDir, name), filePath, name);
+          return;
+        }
+
+        recoverJsonFile(filePath, name);
+        if (!fs.existsSync(filePath)) {
+          fs.writeFileSync(filePath, JSON.stringify([], null, 2));
+          console.log(`✅ Created ${name} database file`);
+        }
+      });
+
+      console.log('✅ Local JSON Database initialized');
+    }
+  };
+};
+
+module.exports = createJsonDriver;
@@ -0,0 +1,153 @@
+/**
+ * MongoDB Storage Driver
+ * Backs every collection with a Mongoose model while returning the same plain
+ * records (numeric `id`, no `_id`/`__v`) as the JSON driver
+ * Implements the repository API described in repositories/index.js
+ */
+
+const mongoose = require('mongoose');
+
+const models = {
+  users: () => require('../models/userModel'),
+  content: () => require('../models/contentModel'),
+  enrollments: () => require('../models/enrollmentModel'),
+  clickstream: () => require('../models/clickstreamModel'),
+  clickstreamQuarantine: () => require('../models/clickstreamQuarantineModel'),
+  migrations: () => require('../models/migrationModel'),
+  refreshTokens: () => require('../models/refreshTokenModel'),
+  revokedTokens: () => require('../models/revokedTokenModel'),
+  sessions: () => require('../models/sessionModel')
+};
+
+// Fields that only exist in Mongo and must never leak into API responses
+const HIDDEN_FIELDS = { _id: 0, __v: 0 };
+
+// Bulk operations sent to MongoDB at once by rewrite()
+const REWRITE_BATCH_SIZE = 500;
+
+// Ids arrive as strings from route params but are stored as numbers
+const toId = (id) => (Number.isNaN(Number(id)) ? id : Number(id));
+
+const createCollection = (Model) => {
+  const nextId = async () => {
+    const last = await Model.findOne({}, { id: 1 }).sort({ id: -1 }).lean();
+    return (last?.id || 0) + 1;
+  };
+
+  return {
+    async *iterate(query = {}, { reverse = false } = {}) {
+      let cursor = Model.find(query, HIDDEN_FIELDS);
+      if (reverse) {
+        // ObjectIds grow with insertion time
+        cursor = cursor.sort({ _id: -1 });
+      }
+      yield* cursor.lean().cursor();
+    },
+
+    async find(query = {}, options = {}) {
+      let cursor = Model.find(query, HIDDEN_FIELDS);
+      if (options.sort) {
+        cursor = cursor.sort(options.sort);
+      }
+      if (options.limit) {
+        cursor = cursor.limit(options.limit);
+      }
+      return cursor.lean();
+    },
+
+    async findOne(query = {}) {
+      return Model.findOne(query, HIDDEN_FIELDS).lean();
+    },
+
+    async findById(id) {
+      return Model.findOne({ id: toId(id) }, HIDDEN_FIELDS).lean();
+    },
+
+    async count(query = {}) {
+      return Model.countDocuments(query);
+    },
+
+    async insert(record) {
+      const { id, ...fields } = record;
+      const created = await Model.create({ id: id ?? await nextId(), ...fields });
+      const { _id, __v, ...plainRecord } = created.toObject();
+      return plainRecord;
+    },
+
+    async update(id, changes) {
+      const { id: _ignored, ...safeChanges } = changes;
+      return Model.findOneAndUpdate(
+        { id: toId(id) },
+        { $set: safeChanges },
+        { new: true, projection: HIDDEN_FIELDS }
+      ).lean();
+    },
+
+    async remove(id) {
+      const result = await Model.deleteOne({ id: toId(id) });
+      return result.deletedCount > 0;
+    },
+
+    // Streams the collection and applies the changes in bulk batches
+    async rewrite(mapper) {
+      let changed = 0;
+      let removed = 0;
+      let operations = [];
+
+      const flush = async () => {
+        if (operations.length > 0) {
+          await Model.bulkWrite(operations, { ordered: false });
+          operations = [];
+        }
+      };
+
+      for await (const record of Model.find({}, HIDDEN_FIELDS).lean().cursor()) {
+        const result = mapper(record);
+        if (result === null) {
+          removed++;
+          operations.push({ deleteOne: { filter: { id: record.id } } });
+        } else if (result !== record) {
+          changed++;
+          operations.push({ replaceOne: { filter: { id: record.id }, replacement: { ...result, id: record.id } } });
+        }
+
+        if (operations.length >= REWRITE_BATCH_SIZE) {
+          await flush();
+        }
+      }
+
+      await flush();
+      return { changed, removed };
+    },
+
+    async replaceAll(newRecords) {
+      await Model.deleteMany({});
+      if (newRecords.length > 0) {
+        await Model.insertMany(newRecords);
+      }
+      return newRecords;
+    }
+  };
+};
+
+const createMongoDriver = (collectionNames) => {
+  const collections = Object.fromEntries(
+    collectionNames.map(name => [name, createCollection(models[name]())])
+  );
+
+  return {
+    name: 'mongo',
+    description: 'MongoDB',
+    collections,
+
+    async connect() {
+      if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI must be set when DB_DRIVER=mongo');
+      }
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('✅ Connected to MongoDB Atlas');
+    }
+  };
+};
+
+module.exports = createMongoDriver;
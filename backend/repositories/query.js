@@ -0,0 +1,68 @@
+/**
+ * In-memory Query Helpers
+ * Evaluate the Mongo-style query and sort objects accepted by the repository
+ * API for drivers that do not have a query engine of their own
+ */
+
+// Check a single field value against a query condition (plain value or operator object)
+const matchesCondition = (value, condition) => {
+  const isOperatorObject = condition !== null
+    && typeof condition === 'object'
+    && !Array.isArray(condition)
+    && Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return value === operand;
+      case '$ne': return value !== operand;
+      case '$in': return operand.includes(value);
+      case '$nin': return !operand.includes(value);
+      case '$gt': return value !== undefined && value > operand;
+      case '$gte': return value !== undefined && value >= operand;
+      case '$lt': return value !== undefined && value < operand;
+      case '$lte': return value !== undefined && value <= operand;
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+};
+
+// Read a field by name or by dotted path into nested objects ("eventData.courseId")
+const valueAt = (record, field) => {
+  if (!field.includes('.')) return record[field];
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+};
+
+// Evaluate a Mongo-style query object against a record
+const matchesQuery = (record, query = {}) => {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(subQuery => matchesQuery(record, subQuery));
+    }
+    if (field === '$and') {
+      return condition.every(subQuery => matchesQuery(record, subQuery));
+    }
+    return matchesCondition(valueAt(record, field), condition);
+  });
+};
+
+// Sort records by a Mongo-style sort specification, e.g. { timestamp: -1 }
+const sortRecords = (records, sort) => {
+  const fields = Object.entries(sort);
+  return [...records].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      if (a[field] === b[field]) continue;
+      if (a[field] === undefined) return 1;
+      if (b[field] === undefined) return -1;
+      return (a[field] < b[field] ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+module.exports = { matchesQuery, sortRecords };
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getClickstreamAnalytics,
+  getSummary,
+  getEventsByType,
+  getTopContent,
+  getUserSummary,
+  getTimeOnTask,
+  getSessions,
+  getVideoCoverage,
+  getLearners,
+  exportMoodleLog,
+  getMoodleEventMapping
+} = require('../controllers/analyticsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+
+router.get('/clickstream', authenticate, getClickstreamAnalytics);
+router.get('/summary', authenticate, getSummary);
+router.get('/events-by-type', authenticate, getEventsByType);
+router.get('/top-content', authenticate, getTopContent);
+router.get('/users/:id/summary', authenticate, getUserSummary);
+router.get('/users/:id/time-on-task', authenticate, getTimeOnTask);
+router.get('/sessions', authenticate, getSessions);
+router.get('/videos/coverage', authenticate, getVideoCoverage);
+router.get('/learners', authenticate, authorize(ROLES.INSTRUCTOR, ROLES.ADMIN), getLearners);
+router.get('/export/moodle', authenticate, exportMoodleLog);
+router.get('/export/moodle/mapping', authenticate, getMoodleEventMapping);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { recordEvent, recordEventBatch, getEventSchemas, getUserClickstream } = require('../controllers/clickstreamController');
+const { importMoodleLog } = require('../controllers/moodleImportController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+
+// Moodle log files are uploaded as the raw request body
+const MOODLE_LOG_TYPES = [
+  'text/csv',
+  'application/octet-stream',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+router.post('/', recordEvent);
+// sendBeacon batches arrive as text/plain; the controller parses them
+router.post('/batch', express.text({ type: 'text/plain', limit: '1mb' }), recordEventBatch);
+router.get('/schemas', getEventSchemas);
+router.get('/user/:userId', authenticate, getUserClickstream);
+router.post(
+  '/import/moodle',
+  authenticate,
+  authorize(ROLES.INSTRUCTOR, ROLES.ADMIN),
+  express.raw({ type: MOODLE_LOG_TYPES, limit: '20mb' }),
+  importMoodleLog
+);
+
+module.exports = router;
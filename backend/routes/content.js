@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getContent,
+  getManagedContent,
+  getDeletedContent,
+  getContentById,
+  createContent,
+  replaceContent,
+  updateContent,
+  deleteContent,
+  restoreContent
+} = require('../controllers/contentController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+
+const canManageContent = [authenticate, authorize(ROLES.INSTRUCTOR, ROLES.ADMIN)];
+
+router.get('/', getContent);
+router.get('/manage', canManageContent, getManagedContent);
+router.get('/deleted', canManageContent, getDeletedContent);
+router.get('/:id', getContentById);
+router.post('/', canManageContent, createContent);
+router.put('/:id', canManageContent, replaceContent);
+router.patch('/:id', canManageContent, updateContent);
+router.delete('/:id', canManageContent, deleteContent);
+router.post('/:id/restore', canManageContent, restoreContent);
+
+module.exports = router;
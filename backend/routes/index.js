@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getHealth } = require('../controllers/healthController');
+const { seedData } = require('../controllers/seedController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+
+// Every API route, mounted under /api by both server-local.js and server.js
+router.get('/health', getHealth);
+router.use('/auth', require('./auth'));
+router.use('/content', require('./content'));
+router.use('/clickstream', require('./clickstream'));
+router.use('/analytics', require('./analytics'));
+router.use('/users', require('./users'));
+router.post('/seed', authenticate, authorize(ROLES.ADMIN), seedData);
+
+module.exports = router;
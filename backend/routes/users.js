@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getUsers, updateUserRole, deleteUser } = require('../controllers/userController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/roles');
+
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+router.get('/', getUsers);
+router.patch('/:id/role', updateUserRole);
+router.delete('/:id', deleteUser);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Migrate stored clickstream records to the current canonical event shape
+ * Applies every migration in utils/clickstreamMigrations.js that has not been
+ * applied yet and records it in the migrations collection, so running the
+ * command again only does pending work. Records that cannot be mapped are
+ * reported and moved to the clickstreamQuarantine collection.
+ *
+ * Once the records are migrated, the sessions collection is backfilled from
+ * the whole event log, so events stored before sessions were recorded count
+ * too. The backfill is recorded under its own name and also runs only once.
+ *
+ * Usage: npm run migrate:clickstream [-- --dry-run] [-- --force]
+ *   --dry-run  report what would change without writing anything
+ *   --force    re-apply migrations that were already applied
+ */
+
+require('dotenv').config();
+const repository = require('../repositories');
+const { CLICKSTREAM_MIGRATIONS } = require('../utils/clickstreamMigrations');
+const { buildSessions } = require('../utils/sessions');
+
+const MIGRATION_NAME = 'clickstream';
+const SESSIONS_BACKFILL = { name: 'sessions', version: 1 };
+
+// Unmapped records listed individually before the report is summarised
+const MAX_REPORTED_RECORDS = 100;
+
+const reportUnmapped = (unmapped) => {
+  if (unmapped.length === 0) return;
+
+  console.log(`⚠️ ${unmapped.length} records cannot be mapped:`);
+  unmapped.slice(0, MAX_REPORTED_RECORDS).forEach(({ record, errors }) => {
+    const eventType = record.eventType || record.action || 'no event type';
+    console.log(`   #${record.id} (${eventType}): ${errors.map(error => error.message).join('; ')}`);
+  });
+  if (unmapped.length > MAX_REPORTED_RECORDS) {
+    console.log(`   ... and ${unmapped.length - MAX_REPORTED_RECORDS} more`);
+  }
+};
+
+// Keep unmappable records in the quarantine before they leave the event log.
+// Quarantined copies keep the record id, so a re-run does not add them twice.
+const quarantineUnmapped = async (unmapped, migration) => {
+  for (const { record, errors } of unmapped) {
+    if (await repository.clickstreamQuarantine.findById(record.id)) continue;
+
+    await repository.clickstreamQuarantine.insert({
+      id: record.id,
+      receivedAt: record.timestamp,
+      validationErrors: errors,
+      event: record,
+      ip: record.ip,
+      source: `migration:${MIGRATION_NAME}@${migration.version}`
+    });
+  }
+};
+
+const applyMigration = async (migration, { dryRun }) => {
+  console.log(`🔄 Migration ${migration.version}: ${migration.description}`);
+
+  // First pass: find out what would change without touching the log
+  const unmapped = [];
+  let pending = 0;
+  let total = 0;
+  for await (const record of repository.clickstream.iterate()) {
+    total++;
+    const result = migration.migrate(record);
+    if (result.errors) {
+      unmapped.push({ record, errors: result.errors });
+    } else if (result.record !== record) {
+      pending++;
+    }
+  }
+
+  console.log(`   ${total} records: ${pending} to rewrite, ${unmapped.length} unmappable, ${total - pending - unmapped.length} already up to date`);
+  reportUnmapped(unmapped);
+
+  if (dryRun) {
+    return null;
+  }
+
+  await quarantineUnmapped(unmapped, migration);
+
+  const unmappedIds = new Set(unmapped.map(({ record }) => record.id));
+  const { changed, removed } = await repository.clickstream.rewrite(record => {
+    if (unmappedIds.has(record.id)) return null;
+    // Records that arrived after the first pass are migrated too when possible
+    return migration.migrate(record).record || record;
+  });
+
+  console.log(`✅ Migration ${migration.version} applied: ${changed} rewritten, ${removed} moved to quarantine`);
+  return { total, migrated: changed, quarantined: removed };
+};
+
+// Record an applied migration, replacing the entry of an earlier (forced) run
+const recordApplied = async (name, version, summary, applied) => {
+  const entry = applied.find(existing => existing.version === version);
+  const record = { name, version, appliedAt: new Date().toISOString(), summary };
+  if (entry) {
+    await repository.migrations.update(entry.id, record);
+  } else {
+    await repository.migrations.insert(record);
+  }
+};
+
+// Rebuild the sessions collection from the migrated event log. Sessions the
+// server recorded itself come out the same, as they are built from the same
+// events.
+const backfillSessions = async ({ dryRun, force }) => {
+  const applied = await repository.migrations.find({ name: SESSIONS_BACKFILL.name });
+  if (!force && applied.some(entry => entry.version === SESSIONS_BACKFILL.version)) return;
+
+  const events = [];
+  for await (const record of repository.clickstream.iterate()) {
+    events.push(record);
+  }
+  const sessions = buildSessions(events);
+
+  console.log(`🔄 Sessions backfill: ${sessions.length} sessions from ${events.length} records`);
+  if (dryRun) return;
+
+  await repository.sessions.replaceAll(sessions.map((session, index) => ({ id: index + 1, ...session })));
+  await recordApplied(SESSIONS_BACKFILL.name, SESSIONS_BACKFILL.version, { sessions: sessions.length }, applied);
+  console.log(`✅ Sessions backfill applied: ${sessions.length} sessions`);
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+
+  await repository.connect();
+
+  const applied = await repository.migrations.find({ name: MIGRATION_NAME });
+  const appliedVersions = new Set(applied.map(entry => entry.version));
+  const pendingMigrations = CLICKSTREAM_MIGRATIONS.filter(migration => force || !appliedVersions.has(migration.version));
+
+  if (dryRun) {
+    console.log('🔍 Dry run: nothing will be written');
+  }
+
+  if (pendingMigrations.length === 0) {
+    console.log(`✅ Clickstream data is up to date (version ${Math.max(...appliedVersions)})`);
+  }
+
+  for (const migration of pendingMigrations) {
+    const summary = await applyMigration(migration, { dryRun });
+    if (summary) {
+      await recordApplied(MIGRATION_NAME, migration.version, summary, applied);
+    }
+  }
+
+  await backfillSessions({ dryRun, force });
+
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Clickstream migration failed:', error);
+  process.exit(1);
+});
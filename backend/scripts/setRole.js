@@ -0,0 +1,36 @@
+/**
+ * Set a user's role from the command line
+ * Used to bootstrap the first admin, since self-registration only creates learners
+ *
+ * Usage: npm run set-role -- <email> <learner|instructor|admin>
+ */
+
+require('dotenv').config();
+const repository = require('../repositories');
+const { ALL_ROLES } = require('../utils/roles');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ALL_ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ALL_ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await repository.connect();
+
+  const user = await repository.users.findOne({ email });
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+    process.exit(1);
+  }
+
+  await repository.users.update(user.id, { role });
+  console.log(`✅ ${user.username} (${email}) is now ${role}`);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to set role:', error);
+  process.exit(1);
+});
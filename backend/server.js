@@ -1,10 +1,10 @@
 require('dotenv').config();
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const repository = require('./repositories');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -35,29 +35,8 @@ app.use(express.urlencoded({ extended: true }));
 // Logging middleware
 app.use(morgan('combined'));
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('✅ Connected to MongoDB Atlas');
-  })
-  .catch((error) => {
-    console.error('❌ MongoDB connection error:', error);
-    process.exit(1);
-  });
-
-// Basic health check route
-app.get('/api/health', (req, res) => {
-  res.status(200).json({ 
-    message: 'Learning Website API is running!', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// Routes (will be added in next steps)
-app.use('/api/auth', require('./routes/auth'));
-// app.use('/api/content', require('./routes/content'));
-// app.use('/api/clickstream', require('./routes/clickstream'));
+// API routes (shared with server-local.js)
+app.use('/api', require('./routes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -73,8 +52,16 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Connect storage driver, then start server
+repository.connect()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`💾 Database: ${repository.description} (DB_DRIVER=${repository.driverName})`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Database connection error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,432 @@
+/**
+ * Analytics Aggregates
+ * Server-side statistics over clickstream events, so pages fetch small
+ * summaries instead of the raw log. Every function consumes an (async)
+ * iterable of canonical events in a single pass.
+ *
+ * Periods for grouping and day-based statistics (streaks, active days) are
+ * computed in the requested time zone, so "today" matches the viewer's clock.
+ */
+
+const { createTimeOnTaskTracker, activeSecondsBetween } = require('./timeOnTask');
+
+const GROUP_BY_PERIODS = ['hour', 'day', 'week', 'month'];
+
+// Recent items returned alongside the aggregates
+const RECENT_EVENT_LIMIT = 10;
+const RECENT_QUIZ_LIMIT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event types that count as opening a piece of content
+const CONTENT_VIEW_TYPES = ['course_view', 'text_content_view'];
+
+/**
+ * Milestones shared by the dashboard and the learning progress page
+ * (the dashboard shows how many are earned, the progress page lists them)
+ */
+const ACHIEVEMENTS = [
+  { id: 'first-steps', title: 'First Steps', description: 'Viewed your first course', icon: '🎯', earned: (stats) => stats.coursesViewed >= 1 },
+  { id: 'first-attempt', title: 'Quiz Taker', description: 'Started your first quiz', icon: '📝', earned: (stats) => stats.quizzesStarted >= 1 },
+  { id: 'first-video', title: 'Watcher', description: 'Watched your first video', icon: '🎬', earned: (stats) => stats.videoPlays >= 1 },
+  { id: 'quiz-master', title: 'Quiz Master', description: 'Completed your first quiz', icon: '🧠', earned: (stats) => stats.quizzesCompleted >= 1 },
+  { id: 'high-achiever', title: 'High Achiever', description: 'Scored 80% or higher on a quiz', icon: '⭐', earned: (stats) => stats.bestQuizPercentage >= 80 },
+  { id: 'explorer', title: 'Explorer', description: 'Explored 3 different courses', icon: '🔍', earned: (stats) => stats.coursesViewed >= 3 },
+  { id: 'course-explorer', title: 'Course Explorer', description: 'Explored 5 different courses', icon: '🧭', earned: (stats) => stats.coursesViewed >= 5 }
+];
+
+// Rank by number of earned achievements, highest threshold first
+const RANKS = [
+  { minimum: 7, rank: 'Expert' },
+  { minimum: 5, rank: 'Advanced' },
+  { minimum: 3, rank: 'Intermediate' },
+  { minimum: 0, rank: 'Beginner' }
+];
+
+// Calendar fields of a date in a time zone. Throws a RangeError for unknown
+// time zones, so callers can validate input.
+const createCalendar = (timeZone = 'UTC') => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  return (date) => Object.fromEntries(
+    formatter.formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const dayKeyOf = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Returns a function mapping a timestamp to its period key:
+ *   hour  2025-08-12T14:00    day   2025-08-12
+ *   week  2025-08-11 (Monday)  month 2025-08
+ */
+const createPeriodKey = (groupBy, timeZone) => {
+  const calendarOf = createCalendar(timeZone);
+
+  return (timestamp) => {
+    const fields = calendarOf(new Date(timestamp));
+    switch (groupBy) {
+      case 'hour': return `${dayKeyOf(fields)}T${pad(fields.hour)}:00`;
+      case 'month': return `${fields.year}-${pad(fields.month)}`;
+      case 'week': {
+        const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().slice(0, 10);
+      }
+      default: return dayKeyOf(fields);
+    }
+  };
+};
+
+const sortedSeries = (periods, toEntry) => [...periods.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([period, value]) => ({ period, ...toEntry(value) }));
+
+// Keep the newest `limit` items seen so far, newest first
+const pushRecent = (list, item, limit) => {
+  const index = list.findIndex(existing => existing.timestamp < item.timestamp);
+  if (index === -1) {
+    if (list.length < limit) list.push(item);
+  } else {
+    list.splice(index, 0, item);
+    if (list.length > limit) list.pop();
+  }
+};
+
+const quizResultOf = (event) => ({
+  userId: event.userId,
+  courseId: event.eventData?.courseId,
+  courseTitle: event.eventData?.courseTitle,
+  score: event.eventData?.score ?? 0,
+  totalQuestions: event.eventData?.totalQuestions ?? 0,
+  percentage: event.eventData?.percentage ?? 0,
+  timestamp: event.timestamp
+});
+
+const average = (values) => (values.length === 0 ? null : Math.round(values.reduce((sum, value) => sum + value, 0) / values.length));
+
+/**
+ * Overall activity: totals, unique sessions and users, event type counts,
+ * quiz results and the most recent events, plus a series per period when
+ * groupBy is set
+ */
+const summarizeEvents = async (events, { groupBy, timeZone } = {}) => {
+  const periodOf = groupBy ? createPeriodKey(groupBy, timeZone) : null;
+  const sessions = new Set();
+  const users = new Set();
+  const eventTypes = {};
+  const periods = new Map();
+  const quizPercentages = [];
+  const recentEvents = [];
+  const recentQuizCompletions = [];
+  let totalEvents = 0;
+  let firstEventAt = null;
+  let lastEventAt = null;
+
+  for await (const event of events) {
+    totalEvents++;
+    sessions.add(event.sessionId);
+    users.add(String(event.userId));
+    eventTypes[event.eventType] = (eventTypes[event.eventType] || 0) + 1;
+
+    if (!firstEventAt || event.timestamp < firstEventAt) firstEventAt = event.timestamp;
+    if (!lastEventAt || event.timestamp > lastEventAt) lastEventAt = event.timestamp;
+
+    if (event.eventType === 'quiz_complete') {
+      const result = quizResultOf(event);
+      quizPercentages.push(result.percentage);
+      pushRecent(recentQuizCompletions, result, RECENT_QUIZ_LIMIT);
+    }
+    pushRecent(recentEvents, event, RECENT_EVENT_LIMIT);
+
+    if (periodOf) {
+      const key = periodOf(event.timestamp);
+      const period = periods.get(key) || { events: 0, sessions: new Set(), users: new Set() };
+      period.events++;
+      period.sessions.add(event.sessionId);
+      period.users.add(String(event.userId));
+      periods.set(key, period);
+    }
+  }
+
+  return {
+    totalEvents,
+    uniqueSessions: sessions.size,
+    uniqueUsers: users.size,
+    firstEventAt,
+    lastEventAt,
+    eventTypes,
+    quizCompletions: quizPercentages.length,
+    averageQuizPercentage: average(quizPercentages),
+    recentQuizCompletions,
+    recentEvents,
+    ...(periodOf && {
+      groupBy,
+      series: sortedSeries(periods, period => ({
+        events: period.events,
+        sessions: period.sessions.size,
+        users: period.users.size
+      }))
+    })
+  };
+};
+
+/**
+ * Event counts per event type, most frequent first, each with its own series
+ * per period when groupBy is set
+ */
+const countEventsByType = async (events, { groupBy, timeZone } = {}) => {
+  const periodOf = groupBy ? createPeriodKey(groupBy, timeZone) : null;
+  const types = new Map();
+
+  for await (const event of events) {
+    const entry = types.get(event.eventType) || { count: 0, sessions: new Set(), users: new Set(), periods: new Map() };
+    entry.count++;
+    entry.sessions.add(event.sessionId);
+    entry.users.add(String(event.userId));
+    if (periodOf) {
+      const key = periodOf(event.timestamp);
+      entry.periods.set(key, (entry.periods.get(key) || 0) + 1);
+    }
+    types.set(event.eventType, entry);
+  }
+
+  return [...types.entries()]
+    .map(([eventType, entry]) => ({
+      eventType,
+      count: entry.count,
+      sessions: entry.sessions.size,
+      users: entry.users.size,
+      ...(periodOf && { series: sortedSeries(entry.periods, count => ({ count })) })
+    }))
+    .sort((a, b) => b.count - a.count || a.eventType.localeCompare(b.eventType));
+};
+
+/**
+ * Content ranked by activity: events, views, distinct learners and quiz
+ * results per content item
+ * @param {object[]} contentItems  content records, for titles and types
+ * @param {object}   options       { limit, type, sortBy: events|views|learners }
+ */
+const rankContent = async (events, contentItems, { limit = 10, type, sortBy = 'events' } = {}) => {
+  const itemsById = new Map(contentItems.map(item => [String(item.id), item]));
+  const stats = new Map();
+
+  for await (const event of events) {
+    const courseId = event.eventData?.courseId;
+    if (courseId === undefined || courseId === null) continue;
+
+    const key = String(courseId);
+    const entry = stats.get(key) || {
+      courseId,
+      title: event.eventData.courseTitle,
+      events: 0,
+      views: 0,
+      learners: new Set(),
+      quizStarts: 0,
+      quizPercentages: []
+    };
+    entry.events++;
+    entry.learners.add(String(event.userId));
+    if (CONTENT_VIEW_TYPES.includes(event.eventType)) entry.views++;
+    if (event.eventType === 'quiz_start') entry.quizStarts++;
+    if (event.eventType === 'quiz_complete') entry.quizPercentages.push(quizResultOf(event).percentage);
+    stats.set(key, entry);
+  }
+
+  return [...stats.entries()]
+    .map(([key, entry]) => {
+      const item = itemsById.get(key);
+      return {
+        courseId: item ? item.id : entry.courseId,
+        title: item?.title || entry.title || `Course ${entry.courseId}`,
+        type: item?.type || null,
+        events: entry.events,
+        views: entry.views,
+        learners: entry.learners.size,
+        quizStarts: entry.quizStarts,
+        quizCompletions: entry.quizPercentages.length,
+        averageQuizPercentage: average(entry.quizPercentages)
+      };
+    })
+    .filter(entry => !type || entry.type === type)
+    .sort((a, b) => b[sortBy] - a[sortBy] || b.events - a.events)
+    .slice(0, limit);
+};
+
+// Reading progress per text: furthest scroll milestone, completion and time
+// per section (see the frontend's lib/readingTracking.js)
+const trackReading = (readings, event) => {
+  const data = event.eventData || {};
+  const key = String(data.courseId);
+  const reading = readings.get(key) || {
+    courseId: data.courseId,
+    scrollDepth: 0,
+    readingSeconds: 0,
+    completed: false,
+    completedAt: null,
+    sections: new Map()
+  };
+
+  switch (event.eventType) {
+    case 'text_content_scroll':
+      reading.scrollDepth = Math.max(reading.scrollDepth, data.scrollDepth || 0);
+      break;
+    case 'text_content_section': {
+      const heading = data.heading ?? null;
+      reading.sections.set(heading, (reading.sections.get(heading) || 0) + (data.duration || 0) / 1000);
+      break;
+    }
+    case 'text_content_complete':
+      reading.scrollDepth = 100;
+      reading.completed = true;
+      if (!reading.completedAt || event.timestamp < reading.completedAt) reading.completedAt = event.timestamp;
+      break;
+    default:
+      break;
+  }
+  if (typeof data.readingTime === 'number') {
+    reading.readingSeconds = Math.max(reading.readingSeconds, Math.round(data.readingTime / 1000));
+  }
+
+  readings.set(key, reading);
+};
+
+const READING_EVENT_TYPES = ['text_content_view', 'text_content_scroll', 'text_content_section', 'text_content_complete'];
+
+// Consecutive days with activity, counting back from today (or from
+// yesterday when there is no activity yet today)
+const currentStreak = (activeDays, todayKey, dayKeyBefore) => {
+  let day = activeDays.has(todayKey) ? todayKey : dayKeyBefore(todayKey);
+  let streak = 0;
+  while (activeDays.has(day)) {
+    streak++;
+    day = dayKeyBefore(day);
+  }
+  return streak;
+};
+
+/**
+ * Learning statistics for one user: sessions, courses, quizzes, reading
+ * progress, time on task (see timeOnTask.js), activity days and streak,
+ * achievements and rank, and recent activity
+ * @param {object} options  { timeZone, now, idleTimeoutMinutes, contentItems }
+ */
+const summarizeUser = async (events, { timeZone, now = new Date(), idleTimeoutMinutes, contentItems = [] } = {}) => {
+  const calendarOf = createCalendar(timeZone);
+  const dayKey = (date) => dayKeyOf(calendarOf(date));
+  const dayKeyBefore = (key) => new Date(Date.parse(`${key}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+  const weekAgo = now.getTime() - 7 * DAY_MS;
+
+  const timeOnTask = createTimeOnTaskTracker({ idleTimeoutMinutes });
+  const coursesViewed = new Set();
+  const readings = new Map();
+  const activeDays = new Set();
+  const quizzes = [];
+  const recentActivities = [];
+  let totalEvents = 0;
+  let quizzesStarted = 0;
+  let videoPlays = 0;
+  let textContentViews = 0;
+
+  for await (const event of events) {
+    totalEvents++;
+    timeOnTask.add(event);
+    activeDays.add(dayKey(new Date(event.timestamp)));
+    pushRecent(recentActivities, {
+      id: event.id,
+      eventType: event.eventType,
+      eventData: event.eventData,
+      timestamp: event.timestamp
+    }, RECENT_EVENT_LIMIT);
+
+    const courseId = event.eventData?.courseId;
+    if (READING_EVENT_TYPES.includes(event.eventType) && courseId !== undefined && courseId !== null) {
+      trackReading(readings, event);
+    }
+
+    switch (event.eventType) {
+      case 'course_view':
+        if (courseId !== undefined && courseId !== null) coursesViewed.add(String(courseId));
+        break;
+      case 'quiz_start':
+        quizzesStarted++;
+        break;
+      case 'quiz_complete':
+        quizzes.push(quizResultOf(event));
+        break;
+      case 'video_play':
+        videoPlays++;
+        break;
+      case 'text_content_view':
+        textContentViews++;
+        break;
+      default:
+        break;
+    }
+  }
+
+  quizzes.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  const time = timeOnTask.result();
+
+  const titles = new Map(contentItems.map(item => [String(item.id), item.title]));
+  const readingProgress = [...readings.values()]
+    .map(({ sections, ...reading }) => ({
+      ...reading,
+      title: titles.get(String(reading.courseId)) || null,
+      sections: [...sections.entries()].map(([heading, seconds]) => ({ heading, seconds: Math.round(seconds) }))
+    }))
+    .sort((a, b) => Number(b.completed) - Number(a.completed) || b.scrollDepth - a.scrollDepth);
+
+  const stats = {
+    coursesViewed: coursesViewed.size,
+    quizzesStarted,
+    quizzesCompleted: quizzes.length,
+    videoPlays,
+    bestQuizPercentage: Math.max(0, ...quizzes.map(quiz => quiz.percentage))
+  };
+  const achievements = ACHIEVEMENTS.map(({ earned, ...achievement }) => ({ ...achievement, earned: earned(stats) }));
+  const earnedCount = achievements.filter(achievement => achievement.earned).length;
+
+  return {
+    totalEvents,
+    totalSessions: time.sessions.length,
+    coursesViewed: [...coursesViewed],
+    quizzesStarted,
+    quizzesTaken: quizzes,
+    averageQuizPercentage: average(quizzes.map(quiz => quiz.percentage)),
+    videoPlays,
+    textContentViews,
+    readings: readingProgress,
+    readingsCompleted: readingProgress.filter(reading => reading.completed).length,
+    timeSpentMinutes: Math.round(time.activeSeconds / 60),
+    weeklyMinutes: Math.round(activeSecondsBetween(time.intervals, weekAgo) / 60),
+    idleTimeoutMinutes: time.idleTimeoutMinutes,
+    timeByContent: time.content,
+    activeDays: activeDays.size,
+    streak: currentStreak(activeDays, dayKey(now), dayKeyBefore),
+    achievements,
+    rank: RANKS.find(({ minimum }) => earnedCount >= minimum).rank,
+    overallProgress: Math.min(100, Math.floor((quizzes.length / Math.max(coursesViewed.size, 1)) * 100)),
+    recentActivities
+  };
+};
+
+module.exports = {
+  GROUP_BY_PERIODS,
+  createCalendar,
+  summarizeEvents,
+  countEventsByType,
+  rankContent,
+  summarizeUser
+};
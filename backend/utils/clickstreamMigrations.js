@@ -0,0 +1,85 @@
+/**
+ * Clickstream Migrations
+ * Versioned rewrites of stored clickstream records, applied in order by
+ * `npm run migrate:clickstream` (scripts/migrateClickstream.js).
+ *
+ * Each migration maps one record to either { record } (the record to keep,
+ * which may be the same object when nothing changes) or { errors } when the
+ * record cannot be mapped. Migrations must be idempotent: running one again
+ * over records it already migrated must leave them unchanged.
+ */
+
+const {
+  normalizeEvent,
+  validateEvent,
+  isRegisteredEventType,
+  versionsOf,
+  toCanonicalRecord
+} = require('./clickstreamSchemas');
+
+// Fields only found on records written before the canonical shape
+const LEGACY_FIELDS = ['action', 'details', 'elementId', 'page', 'additionalData'];
+
+// The first tracker stored bare element clicks as { elementId, page }
+const fromElementClick = (record) => ({
+  ...record,
+  eventType: 'button_click',
+  eventData: {
+    buttonName: record.elementId,
+    context: { page: record.page }
+  }
+});
+
+// Validate against the newest schema version the record satisfies; records
+// from before a schema change (e.g. video events without positions) match an
+// older version. Returns the version or the errors for the newest version.
+const matchSchemaVersion = (event) => {
+  if (!isRegisteredEventType(event.eventType)) {
+    return { errors: validateEvent(event).errors };
+  }
+
+  const candidates = event.schemaVersion !== undefined
+    ? [event.schemaVersion]
+    : versionsOf(event.eventType).sort((a, b) => b - a);
+
+  let newestErrors = null;
+  for (const schemaVersion of candidates) {
+    const { errors } = validateEvent({ ...event, schemaVersion });
+    if (errors.length === 0) return { schemaVersion };
+    newestErrors = newestErrors || errors;
+  }
+  return { errors: newestErrors };
+};
+
+const CLICKSTREAM_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rewrite records into the canonical event shape (eventType/eventData, no action/details duplicates)',
+    migrate(record) {
+      const isCanonical = record.schemaVersion !== undefined
+        && LEGACY_FIELDS.every(field => record[field] === undefined);
+      if (isCanonical) {
+        return { record };
+      }
+
+      const isElementClick = record.elementId !== undefined && !record.eventType && !record.action;
+      const event = normalizeEvent(isElementClick ? fromElementClick(record) : record);
+
+      const { schemaVersion, errors } = matchSchemaVersion(event);
+      if (errors) {
+        return { errors };
+      }
+
+      return {
+        record: toCanonicalRecord({
+          ...event,
+          id: record.id,
+          ip: record.ip,
+          schemaVersion
+        })
+      };
+    }
+  }
+];
+
+module.exports = { CLICKSTREAM_MIGRATIONS };
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CLICKSTREAM_MIGRATIONS } = require('./clickstreamMigrations');
+const { validateEvent } = require('./clickstreamSchemas');
+
+// The sample data ships unmigrated, as written by earlier versions of the app
+const SAMPLE_DIR = path.join(__dirname, '..', 'data', 'clickstream');
+
+const sampleRecords = () => fs.readdirSync(SAMPLE_DIR)
+  .filter(file => file.endsWith('.ndjson'))
+  .sort()
+  .flatMap(file => fs.readFileSync(path.join(SAMPLE_DIR, file), 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line)));
+
+const LEGACY_FIELDS = ['action', 'details', 'elementId', 'page', 'additionalData'];
+
+for (const migration of CLICKSTREAM_MIGRATIONS) {
+  describe(`clickstream migration ${migration.version}`, () => {
+    const records = sampleRecords();
+    const results = records.map(record => migration.migrate(record));
+    const migrated = results.filter(result => result.record).map(result => result.record);
+
+    it('maps each sample record or reports why it cannot', () => {
+      assert.ok(migrated.length > 0);
+      results.forEach((result, index) => {
+        assert.ok(result.record || result.errors?.length > 0, `record ${records[index].id}`);
+      });
+    });
+
+    it('writes records that keep their id and pass validation', () => {
+      results.forEach((result, index) => {
+        if (!result.record) return;
+        assert.equal(result.record.id, records[index].id);
+        assert.deepEqual(validateEvent(result.record).errors, [], `record ${records[index].id}`);
+        LEGACY_FIELDS.forEach(field => assert.equal(result.record[field], undefined, `${field} on ${records[index].id}`));
+      });
+    });
+
+    it('leaves records it already migrated unchanged', () => {
+      migrated.forEach(record => {
+        const again = migration.migrate(record);
+        assert.equal(again.record, record, `record ${record.id}`);
+      });
+    });
+
+    it('does not modify the records it reads', () => {
+      assert.deepEqual(records, sampleRecords());
+    });
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Clickstream Query Parameters
+ * Filters, sorting, field selection and cursor pagination shared by the
+ * endpoints that return raw clickstream events.
+ *
+ * Pages are keyset based: the cursor holds the sort value and id of the last
+ * record returned, and the next page starts after it. Unlike offsets this
+ * stays correct while new events are being recorded.
+ *
+ *   ?eventType=quiz_start,quiz_complete&sessionId=&courseId=&page=
+ *   ?sort=-timestamp&limit=100&cursor=<nextCursor>&fields=eventType,timestamp
+ */
+
+const { CANONICAL_FIELDS } = require('./clickstreamSchemas');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Fields events can be sorted by; ties are broken by id in the same direction
+const SORT_FIELDS = ['timestamp', 'id', 'eventType', 'sessionId'];
+const DEFAULT_SORT = '-timestamp';
+
+class ClickstreamQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Course ids are stored as numbers or strings depending on the client
+const courseIdQuery = (courseId) => {
+  const numericId = Number(courseId);
+  return Number.isNaN(numericId) ? courseId : { $in: [courseId, numericId] };
+};
+
+const listParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Query conditions for the eventType, sessionId, courseId and page filters.
+ * page matches the app page named by page views and tracked clicks.
+ * @returns {object[]} conditions to combine with $and
+ */
+const eventFilterConditions = ({ eventType, sessionId, courseId, page }) => {
+  const conditions = [];
+  if (eventType) conditions.push({ eventType: { $in: listParam(eventType) } });
+  if (sessionId) conditions.push({ sessionId });
+  if (courseId) conditions.push({ 'eventData.courseId': courseIdQuery(courseId) });
+  if (page) conditions.push({ $or: [{ 'eventData.page': page }, { 'eventData.context.page': page }] });
+  return conditions;
+};
+
+// "-timestamp" -> { field: 'timestamp', direction: -1 }
+const parseSort = (sort = DEFAULT_SORT) => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ClickstreamQueryError(`sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+  }
+  return { field, direction };
+};
+
+const parseLimit = (limit) => {
+  if (limit === undefined) return DEFAULT_PAGE_SIZE;
+  const value = Number.parseInt(limit, 10);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+    throw new ClickstreamQueryError(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return value;
+};
+
+// id is always returned so records can be told apart
+const parseFields = (fields) => {
+  if (!fields) return null;
+  const requested = listParam(fields);
+  const unknown = requested.filter(field => !CANONICAL_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ClickstreamQueryError(`Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  return [...new Set(['id', ...requested])];
+};
+
+const encodeCursor = (sort, record) => Buffer.from(JSON.stringify({
+  sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`,
+  value: record[sort.field] ?? null,
+  id: record.id
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ClickstreamQueryError('cursor is not valid');
+  }
+
+  const expected = `${sort.direction === -1 ? '-' : ''}${sort.field}`;
+  if (!decoded || decoded.sort !== expected || decoded.id === undefined) {
+    throw new ClickstreamQueryError('cursor does not belong to this sort order');
+  }
+  return decoded;
+};
+
+// Records after the cursor in sort order: a later sort value, or the same
+// value and a later id
+const afterCursorCondition = (sort, { value, id }) => {
+  const beyond = sort.direction === -1 ? '$lt' : '$gt';
+  if (sort.field === 'id') {
+    return { id: { [beyond]: id } };
+  }
+  return {
+    $or: [
+      { [sort.field]: { [beyond]: value } },
+      { [sort.field]: value, id: { [beyond]: id } }
+    ]
+  };
+};
+
+const project = (record, fields) => Object.fromEntries(
+  fields.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+);
+
+/**
+ * Parse the paging parameters of a request
+ * @returns {object} { sort, limit, cursor, fields }
+ */
+const parsePageParams = ({ sort, limit, cursor, fields }) => {
+  const parsedSort = parseSort(sort);
+  return {
+    sort: parsedSort,
+    limit: parseLimit(limit),
+    cursor: cursor ? decodeCursor(cursor, parsedSort) : null,
+    fields: parseFields(fields)
+  };
+};
+
+/**
+ * Fetch one page of events matching the query
+ * @param {object} collection  repository collection
+ * @param {object} query       filter built by the caller
+ * @param {object} page        result of parsePageParams
+ * @returns {object} { data, nextCursor, hasMore }
+ */
+const findPage = async (collection, query, { sort, limit, cursor, fields }) => {
+  const conditions = [query];
+  if (cursor) conditions.push(afterCursorCondition(sort, cursor));
+
+  // One extra record tells whether another page follows
+  const records = await collection.find(
+    conditions.length > 1 ? { $and: conditions } : query,
+    { sort: { [sort.field]: sort.direction, id: sort.direction }, limit: limit + 1 }
+  );
+
+  const hasMore = records.length > limit;
+  const pageRecords = records.slice(0, limit);
+  return {
+    data: fields ? pageRecords.map(record => project(record, fields)) : pageRecords,
+    nextCursor: hasMore ? encodeCursor(sort, pageRecords[pageRecords.length - 1]) : null,
+    hasMore
+  };
+};
+
+module.exports = {
+  ClickstreamQueryError,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  eventFilterConditions,
+  parsePageParams,
+  findPage
+};
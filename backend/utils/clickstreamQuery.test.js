@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventLogCollection } = require('../repositories/eventLog');
+const {
+  ClickstreamQueryError,
+  eventFilterConditions,
+  parsePageParams,
+  findPage
+} = require('./clickstreamQuery');
+
+// Several events share a timestamp (and more an event type or session), so
+// pages regularly end inside a tie
+const RECORDS = Array.from({ length: 12 }, (_, index) => ({
+  id: 1000 + index,
+  sessionId: `session-${index % 2}`,
+  eventType: ['page_view', 'button_click', 'course_view'][index % 3],
+  timestamp: new Date(Date.UTC(2025, 7, 11 + (index % 2), 10, Math.floor(index / 3))).toISOString(),
+  eventData: { courseId: index % 4 === 0 ? 7 : '7' }
+}));
+
+// The expected order, worked out independently of the repository
+const sortedIds = (records, field, direction) => [...records]
+  .sort((a, b) => {
+    if (a[field] !== b[field]) return (a[field] < b[field] ? -1 : 1) * direction;
+    return (a.id - b.id) * direction;
+  })
+  .map(record => record.id);
+
+describe('clickstream keyset pagination', () => {
+  let dir;
+  let collection;
+
+  // Follow nextCursor until the last page, as a client does
+  const allPages = async (query, params) => {
+    const ids = [];
+    let { cursor } = params;
+    for (let pages = 0; pages < 50; pages++) {
+      const page = await findPage(collection, query, parsePageParams({ ...params, cursor }));
+      ids.push(...page.data.map(record => record.id));
+      if (!page.hasMore) return ids;
+      assert.ok(page.nextCursor);
+      cursor = page.nextCursor;
+    }
+    throw new Error('pagination did not end');
+  };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickstream-query-'));
+    collection = createEventLogCollection(dir, 'test');
+    await collection.replaceAll(RECORDS);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const sort of ['-timestamp', 'timestamp', 'id', '-id', 'eventType', '-sessionId']) {
+    it(`returns every event exactly once in ${sort} order`, async () => {
+      const field = sort.replace(/^-/, '');
+      const direction = sort.startsWith('-') ? -1 : 1;
+
+      for (const limit of ['1', '2', '5', '12', '100']) {
+        assert.deepEqual(await allPages({}, { sort, limit }), sortedIds(RECORDS, field, direction), `limit ${limit}`);
+      }
+    });
+  }
+
+  it('breaks timestamp ties by id in the sort direction', async () => {
+    const firstPage = await findPage(collection, {}, parsePageParams({ sort: '-timestamp', limit: '2' }));
+    const [first, second] = firstPage.data;
+    assert.equal(first.timestamp, second.timestamp);
+    assert.ok(first.id > second.id);
+  });
+
+  it('does not repeat or skip events recorded between pages', async () => {
+    const firstPage = await findPage(collection, {}, parsePageParams({ sort: '-timestamp', limit: '4' }));
+    const newer = { ...RECORDS[0], id: 5000, timestamp: '2025-08-13T00:00:00.000Z' };
+    await collection.insert(newer);
+
+    try {
+      const rest = await allPages({}, { sort: '-timestamp', limit: '4', cursor: firstPage.nextCursor });
+      const seen = [...firstPage.data.map(record => record.id), ...rest];
+      assert.deepEqual(seen, sortedIds(RECORDS, 'timestamp', -1));
+    } finally {
+      await collection.replaceAll(RECORDS);
+    }
+  });
+
+  it('pages through filtered events', async () => {
+    const query = { $and: eventFilterConditions({ eventType: 'page_view,course_view', courseId: '7' }) };
+    const expected = RECORDS.filter(record => record.eventType !== 'button_click');
+
+    assert.deepEqual(await allPages(query, { sort: 'timestamp', limit: '3' }), sortedIds(expected, 'timestamp', 1));
+  });
+
+  it('returns only the requested fields, always with the id', async () => {
+    const page = await findPage(collection, {}, parsePageParams({ sort: 'id', limit: '1', fields: 'eventType' }));
+    assert.deepEqual(page.data, [{ id: 1000, eventType: 'page_view' }]);
+  });
+});
+
+describe('parsePageParams', () => {
+  it('round-trips a cursor for the same sort order', async () => {
+    const collection = { find: async () => [RECORDS[3], RECORDS[4]] };
+    const page = await findPage(collection, {}, parsePageParams({ sort: '-eventType', limit: '1' }));
+
+    const { cursor } = parsePageParams({ sort: '-eventType', cursor: page.nextCursor });
+    assert.deepEqual(cursor, { sort: '-eventType', value: RECORDS[3].eventType, id: RECORDS[3].id });
+  });
+
+  it('rejects a cursor from another sort order', async () => {
+    const collection = { find: async () => [RECORDS[0], RECORDS[1]] };
+    const page = await findPage(collection, {}, parsePageParams({ sort: '-timestamp', limit: '1' }));
+
+    assert.throws(() => parsePageParams({ sort: 'timestamp', cursor: page.nextCursor }), ClickstreamQueryError);
+  });
+
+  it('rejects a damaged cursor', () => {
+    assert.throws(() => parsePageParams({ cursor: 'not-a-cursor' }), ClickstreamQueryError);
+    assert.throws(() => parsePageParams({ cursor: Buffer.from('{"sort":"-timestamp"}').toString('base64url') }), ClickstreamQueryError);
+  });
+
+  it('rejects unknown sort fields, out of range limits and unknown fields', () => {
+    assert.throws(() => parsePageParams({ sort: 'userAgent' }), ClickstreamQueryError);
+    assert.throws(() => parsePageParams({ limit: '0' }), ClickstreamQueryError);
+    assert.throws(() => parsePageParams({ limit: '1001' }), ClickstreamQueryError);
+    assert.throws(() => parsePageParams({ fields: 'eventType,password' }), ClickstreamQueryError);
+  });
+});
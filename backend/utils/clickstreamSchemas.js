@@ -0,0 +1,432 @@
+/**
+ * Clickstream Event Schemas
+ * Versioned registry of every event type the frontend clickstreamService emits,
+ * plus the canonical record shape events are normalised into on ingest.
+ *
+ * Canonical event (what is stored):
+ *   { id, eventId, schemaVersion, eventType, sessionId, userId, timestamp,
+ *     eventData, url, userAgent, viewport, ip }
+ *
+ * Older clients sent the type twice (`action` and `eventType`) and the payload
+ * twice (`details` and `eventData`); both aliases are still accepted on ingest
+ * but only the canonical names are stored.
+ *
+ * Each event type lists its eventData fields per schema version. Fields not
+ * listed are allowed, so clients can add context without a schema change; a
+ * new version is needed when a field becomes required or changes type.
+ */
+
+// Field types: id is a course or user id, stored as a number or a string
+const FIELD_TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  id: (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0),
+  any: () => true
+};
+
+const MAX_EVENT_TYPE_LENGTH = 64;
+
+// Fields every event carries outside eventData
+const ENVELOPE_FIELDS = {
+  eventType: { type: 'string', required: true },
+  sessionId: { type: 'string', required: true },
+  userId: { type: 'id', required: true },
+  timestamp: { type: 'string' },
+  eventData: { type: 'object', required: true },
+  eventId: { type: 'string' },
+  schemaVersion: { type: 'number' },
+  url: { type: 'string' },
+  userAgent: { type: 'string' },
+  viewport: { type: 'object' }
+};
+
+const courseFields = {
+  courseId: { type: 'id', required: true },
+  courseTitle: { type: 'string' }
+};
+
+// Fields reported by the video players since real playback tracking (v2);
+// v1 video events only carried the course, URL and a client timestamp
+const videoFieldsV1 = {
+  courseId: { type: 'id', required: true },
+  videoUrl: { type: 'string' }
+};
+
+const videoFieldsV2 = {
+  ...videoFieldsV1,
+  provider: { type: 'string' },
+  currentTime: { type: 'number', required: true, nullable: true },
+  duration: { type: 'number', nullable: true },
+  playbackRate: { type: 'number' },
+  watchedFrom: { type: 'number', nullable: true }
+};
+
+const EVENT_SCHEMAS = {
+  session_start: {
+    description: 'A new session started for a signed-in user (reloads resume the current one)',
+    versions: {
+      1: {
+        user: { type: 'id' },
+        userUsername: { type: 'string' },
+        userId: { type: 'id' },
+        sessionId: { type: 'string' },
+        previousSessionId: { type: 'string', nullable: true },
+        userAgent: { type: 'string' },
+        viewport: { type: 'object' },
+        startTime: { type: 'string' }
+      }
+    }
+  },
+  session_end: {
+    description: 'The session ended: the user signed out or was inactive for 30 minutes',
+    versions: {
+      1: {
+        reason: { type: 'string' },
+        sessionDuration: { type: 'number' },
+        endTime: { type: 'string' }
+      }
+    }
+  },
+  logout: {
+    description: 'The user signed out',
+    versions: {
+      1: { user: { type: 'id' } }
+    }
+  },
+  navigation: {
+    description: 'The user moved between app pages',
+    versions: {
+      1: {
+        from: { type: 'string', required: true },
+        to: { type: 'string', required: true }
+      }
+    }
+  },
+  page_view: {
+    description: 'A page of the app was shown',
+    versions: {
+      1: { page: { type: 'string', required: true } }
+    }
+  },
+  course_view: {
+    description: 'A course was opened',
+    versions: {
+      1: {
+        ...courseFields,
+        courseType: { type: 'string' },
+        viewStartTime: { type: 'string' }
+      }
+    }
+  },
+  quiz_start: {
+    description: 'A quiz attempt started',
+    versions: {
+      1: {
+        ...courseFields,
+        totalQuestions: { type: 'number' },
+        startTime: { type: 'string' }
+      }
+    }
+  },
+  quiz_answer: {
+    description: 'A quiz question was answered',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        questionIndex: { type: 'number', required: true },
+        selectedAnswer: { type: 'number', required: true },
+        isCorrect: { type: 'boolean', required: true },
+        answerTime: { type: 'string' }
+      }
+    }
+  },
+  quiz_complete: {
+    description: 'A quiz attempt was finished',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        score: { type: 'number', required: true },
+        totalQuestions: { type: 'number', required: true },
+        percentage: { type: 'number' },
+        timeSpent: { type: 'number' },
+        completedAt: { type: 'string' }
+      }
+    }
+  },
+  video_play: {
+    description: 'Video playback started or resumed',
+    versions: {
+      1: { ...videoFieldsV1, playTime: { type: 'string' } },
+      2: { ...videoFieldsV2, playTime: { type: 'string' } }
+    }
+  },
+  video_pause: {
+    description: 'Video playback paused',
+    versions: {
+      1: { ...videoFieldsV1, pauseTime: { type: 'string' } },
+      2: { ...videoFieldsV2, reason: { type: 'string' }, pauseTime: { type: 'string' } }
+    }
+  },
+  video_seek: {
+    description: 'The viewer jumped to another position',
+    versions: {
+      2: { ...videoFieldsV2, seekFrom: { type: 'number', required: true }, seekTime: { type: 'string' } }
+    }
+  },
+  video_rate_change: {
+    description: 'The playback speed changed',
+    versions: {
+      2: {
+        ...videoFieldsV2,
+        previousRate: { type: 'number' },
+        newRate: { type: 'number', required: true },
+        changeTime: { type: 'string' }
+      }
+    }
+  },
+  video_ended: {
+    description: 'Video playback reached the end',
+    versions: {
+      2: { ...videoFieldsV2, endTime: { type: 'string' } }
+    }
+  },
+  video_heartbeat: {
+    description: 'Periodic position sample while a video plays',
+    versions: {
+      2: { ...videoFieldsV2, heartbeatTime: { type: 'string' } }
+    }
+  },
+  text_content_view: {
+    description: 'Reading material was opened',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        scrollDepth: { type: 'number' },
+        viewTime: { type: 'string' }
+      }
+    }
+  },
+  text_content_scroll: {
+    description: 'The learner scrolled past 25, 50, 75 or 100% of reading material',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        scrollDepth: { type: 'number', required: true },
+        readingTime: { type: 'number' }
+      }
+    }
+  },
+  text_content_section: {
+    description: 'Time spent reading one section of reading material',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        heading: { type: 'string', nullable: true },
+        headingIndex: { type: 'number' },
+        duration: { type: 'number', required: true }
+      }
+    }
+  },
+  text_content_complete: {
+    description: 'The learner reached the end of reading material after a plausible reading time',
+    versions: {
+      1: {
+        courseId: { type: 'id', required: true },
+        scrollDepth: { type: 'number' },
+        readingTime: { type: 'number', required: true },
+        expectedReadingTime: { type: 'number' },
+        completeTime: { type: 'string' }
+      }
+    }
+  },
+  button_click: {
+    description: 'A tracked button was clicked',
+    versions: {
+      1: {
+        buttonName: { type: 'string', required: true },
+        context: { type: 'object' },
+        clickTime: { type: 'string' }
+      }
+    }
+  },
+  filter_applied: {
+    description: 'A search or filter changed the visible results',
+    versions: {
+      1: {
+        filterType: { type: 'string', required: true },
+        filterValue: { type: 'any' },
+        resultsCount: { type: 'number' },
+        filterTime: { type: 'string' }
+      }
+    }
+  },
+  tab_hidden: {
+    description: 'The tab was hidden (switched away from, minimised or closed)',
+    versions: {
+      1: { visibleDuration: { type: 'number' } }
+    }
+  },
+  tab_visible: {
+    description: 'The tab was shown again',
+    versions: {
+      1: { hiddenDuration: { type: 'number' } }
+    }
+  },
+  window_blur: {
+    description: 'Another window took focus while the tab stayed visible',
+    versions: {
+      1: {}
+    }
+  },
+  window_focus: {
+    description: 'The window got focus back after a window_blur',
+    versions: {
+      1: { blurDuration: { type: 'number' } }
+    }
+  },
+  idle_start: {
+    description: 'No input was received for the idle timeout',
+    versions: {
+      1: { idleSince: { type: 'string' } }
+    }
+  },
+  idle_end: {
+    description: 'Input was received again after idle_start',
+    versions: {
+      1: { idleDuration: { type: 'number' } }
+    }
+  },
+  heartbeat: {
+    description: 'Sent at a low rate while the page is visible, focused and not idle',
+    versions: {
+      1: { interval: { type: 'number' } }
+    }
+  }
+};
+
+const versionsOf = (eventType) => Object.keys(EVENT_SCHEMAS[eventType].versions).map(Number);
+const currentVersionOf = (eventType) => Math.max(...versionsOf(eventType));
+
+const isRegisteredEventType = (eventType) => Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, eventType);
+
+// Check values against field specs, collecting { field, message } errors
+const validateFields = (values, fields, prefix = '') => {
+  const errors = [];
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const value = values[name];
+    const field = `${prefix}${name}`;
+
+    if (value === undefined || (value === null && !spec.nullable)) {
+      if (spec.required) errors.push({ field, message: `${field} is required` });
+      return;
+    }
+
+    if (value !== null && !FIELD_TYPES[spec.type](value)) {
+      errors.push({ field, message: `${field} must be of type ${spec.type}` });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Map an incoming event onto the canonical field names, resolving the
+ * action/eventType and details/eventData aliases
+ */
+const normalizeEvent = (event) => {
+  const {
+    action,
+    details,
+    eventType = action,
+    eventData = details === undefined ? {} : details,
+    eventId,
+    schemaVersion,
+    sessionId,
+    userId,
+    timestamp,
+    url,
+    userAgent,
+    viewport
+  } = event;
+
+  return { eventId, schemaVersion, eventType, sessionId, userId, timestamp, eventData, url, userAgent, viewport };
+};
+
+/**
+ * Validate a normalised event. Returns the errors and, when the event type is
+ * known, the schema version it was checked against (the requested one, or the
+ * current version when the client did not say).
+ */
+const validateEvent = (event) => {
+  const errors = validateFields(event, ENVELOPE_FIELDS);
+
+  if (event.timestamp !== undefined && Number.isNaN(new Date(event.timestamp).getTime())) {
+    errors.push({ field: 'timestamp', message: 'timestamp must be a valid date' });
+  }
+
+  const { eventType } = event;
+  if (typeof eventType !== 'string' || eventType.length > MAX_EVENT_TYPE_LENGTH) {
+    return { errors, schemaVersion: null };
+  }
+
+  if (!isRegisteredEventType(eventType)) {
+    errors.push({ field: 'eventType', message: `Unknown event type "${eventType}"` });
+    return { errors, schemaVersion: null };
+  }
+
+  const schemaVersion = event.schemaVersion ?? currentVersionOf(eventType);
+  const fields = EVENT_SCHEMAS[eventType].versions[schemaVersion];
+  if (!fields) {
+    errors.push({
+      field: 'schemaVersion',
+      message: `${eventType} has no schema version ${schemaVersion} (known: ${versionsOf(eventType).join(', ')})`
+    });
+    return { errors, schemaVersion: null };
+  }
+
+  if (FIELD_TYPES.object(event.eventData)) {
+    errors.push(...validateFields(event.eventData, fields, 'eventData.'));
+  }
+
+  return { errors, schemaVersion };
+};
+
+// Fields of a stored canonical event, in storage order
+const CANONICAL_FIELDS = [
+  'id', 'eventId', 'schemaVersion', 'eventType', 'sessionId', 'userId',
+  'timestamp', 'eventData', 'url', 'userAgent', 'viewport', 'ip'
+];
+
+// Keep only canonical fields, dropping aliases and legacy fields
+const toCanonicalRecord = (record) => Object.fromEntries(
+  CANONICAL_FIELDS
+    .filter(field => record[field] !== undefined)
+    .map(field => [field, record[field]])
+);
+
+// Registry as served by GET /api/clickstream/schemas
+const describeSchemas = () => ({
+  envelope: ENVELOPE_FIELDS,
+  eventTypes: Object.entries(EVENT_SCHEMAS).map(([eventType, schema]) => ({
+    eventType,
+    description: schema.description,
+    currentVersion: currentVersionOf(eventType),
+    versions: schema.versions
+  }))
+});
+
+module.exports = {
+  EVENT_SCHEMAS,
+  ENVELOPE_FIELDS,
+  CANONICAL_FIELDS,
+  normalizeEvent,
+  validateEvent,
+  describeSchemas,
+  isRegisteredEventType,
+  versionsOf,
+  currentVersionOf,
+  toCanonicalRecord
+};
@@ -0,0 +1,148 @@
+/**
+ * Content Validation
+ * Shared rules for learning content items. Every content item needs a title and
+ * a known type; each type then has its own required fields:
+ *   - text   a non-empty `content` body
+ *   - video  an http(s) `videoUrl`
+ *   - quiz   `quizData.questions`, each with a question, at least two options
+ *            and a `correct` index pointing at one of them
+ *
+ * Items may also carry a `status` of draft or published; drafts are hidden from
+ * learners until an instructor publishes them.
+ *
+ * Errors are returned as [{ field, message }] so clients can show them next
+ * to the matching form input.
+ */
+
+const CONTENT_TYPES = ['text', 'video', 'quiz'];
+const CONTENT_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+const CONTENT_STATUSES = ['draft', 'published'];
+
+// Fields a client may set; id, createdAt and the soft-delete markers are server-managed
+const CONTENT_FIELDS = [
+  'title', 'type', 'description', 'category', 'level', 'duration', 'tags',
+  'content', 'videoUrl', 'quizData', 'status'
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Keep only client-editable fields that were actually sent
+const pickContentFields = (body = {}) => {
+  return CONTENT_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const validateQuizData = (quizData, errors) => {
+  if (!quizData || typeof quizData !== 'object' || !Array.isArray(quizData.questions)) {
+    errors.push({ field: 'quizData.questions', message: 'Quiz content needs a list of questions' });
+    return;
+  }
+
+  if (quizData.questions.length === 0) {
+    errors.push({ field: 'quizData.questions', message: 'Quiz needs at least one question' });
+    return;
+  }
+
+  quizData.questions.forEach((question, index) => {
+    const path = `quizData.questions[${index}]`;
+
+    if (!question || typeof question !== 'object') {
+      errors.push({ field: path, message: 'Question must be an object' });
+      return;
+    }
+
+    if (!isNonEmptyString(question.question)) {
+      errors.push({ field: `${path}.question`, message: 'Question text is required' });
+    }
+
+    const { options } = question;
+    if (!Array.isArray(options) || options.length < 2) {
+      errors.push({ field: `${path}.options`, message: 'Question needs at least two options' });
+    } else if (!options.every(isNonEmptyString)) {
+      errors.push({ field: `${path}.options`, message: 'Options must be non-empty text' });
+    }
+
+    const optionCount = Array.isArray(options) ? options.length : 0;
+    if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= optionCount) {
+      errors.push({
+        field: `${path}.correct`,
+        message: `Correct answer must be an option index between 0 and ${Math.max(optionCount - 1, 0)}`
+      });
+    }
+  });
+};
+
+// Validate a complete content item and return a list of field errors
+const validateContent = (item = {}) => {
+  const errors = [];
+
+  if (!isNonEmptyString(item.title)) {
+    errors.push({ field: 'title', message: 'Title is required' });
+  } else if (item.title.length > 200) {
+    errors.push({ field: 'title', message: 'Title must be 200 characters or fewer' });
+  }
+
+  if (!CONTENT_TYPES.includes(item.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${CONTENT_TYPES.join(', ')}` });
+  }
+
+  ['description', 'category', 'duration'].forEach(field => {
+    if (item[field] != null && typeof item[field] !== 'string') {
+      errors.push({ field, message: `${field} must be text` });
+    }
+  });
+
+  if (item.level != null && !CONTENT_LEVELS.includes(item.level)) {
+    errors.push({ field: 'level', message: `Level must be one of: ${CONTENT_LEVELS.join(', ')}` });
+  }
+
+  if (item.status != null && !CONTENT_STATUSES.includes(item.status)) {
+    errors.push({ field: 'status', message: `Status must be one of: ${CONTENT_STATUSES.join(', ')}` });
+  }
+
+  if (item.tags != null && (!Array.isArray(item.tags) || !item.tags.every(isNonEmptyString))) {
+    errors.push({ field: 'tags', message: 'Tags must be a list of non-empty strings' });
+  }
+
+  switch (item.type) {
+    case 'text':
+      if (!isNonEmptyString(item.content)) {
+        errors.push({ field: 'content', message: 'Text content needs a body' });
+      }
+      break;
+    case 'video':
+      if (!isHttpUrl(item.videoUrl)) {
+        errors.push({ field: 'videoUrl', message: 'Video content needs a valid http(s) URL' });
+      }
+      break;
+    case 'quiz':
+      validateQuizData(item.quizData, errors);
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  CONTENT_LEVELS,
+  CONTENT_STATUSES,
+  CONTENT_FIELDS,
+  pickContentFields,
+  validateContent
+};
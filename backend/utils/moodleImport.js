@@ -0,0 +1,397 @@
+/**
+ * Moodle Log Import
+ * Reads a Moodle log download (CSV or XLSX, as produced by Moodle's log report
+ * or by our own Moodle export) and converts its rows into clickstream events.
+ *
+ * Moodle downloads come with 7 columns (Time, Event context, Component, Event
+ * name, Description, Origin, IP address) or 9 when the user full name and
+ * affected user columns are included; columns are found by their header.
+ * Users are identified by the Moodle user id in the description ("The user
+ * with id '3766' ..."), courses and activities by the event context
+ * ("Course: ET 610", "Quiz: Pre Test Quiz").
+ *
+ * Only Moodle events with an equivalent in our event schemas are imported;
+ * the others are counted by event name so a dry run can report them.
+ */
+
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { MOODLE_LOG_COLUMNS, MODULE_LABELS } = require('./moodleLog');
+
+// Columns an import cannot do without; the user name and origin are optional
+const REQUIRED_COLUMNS = ['Time', 'Event context', 'Component', 'Event name', 'Description'];
+
+// Moodle logs have no sessions; a gap this long between two events of the
+// same user starts a new one, like the frontend's session timeout
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Moodle module labels ("Quiz: ...") for our content types, reversed
+const CONTENT_TYPES_BY_LABEL = Object.fromEntries(
+  Object.entries(MODULE_LABELS).map(([type, label]) => [label, type])
+);
+
+const courseData = (course) => ({ courseId: course.id, courseTitle: course.title });
+
+/**
+ * Moodle event names we can import, keyed by event name. Events that concern
+ * a course or activity need one in the event context. Quiz attempt updates
+ * and submissions are not imported: Moodle logs carry neither the answers
+ * nor the score our quiz events require.
+ */
+const MOODLE_IMPORT_MAP = {
+  'Course viewed': {
+    needsCourse: true,
+    toEvent: (course) => ({
+      eventType: 'course_view',
+      eventData: { ...courseData(course), courseType: course.type }
+    })
+  },
+  // Opening a quiz is a course view in our app; any other activity is reading material
+  'Course module viewed': {
+    needsCourse: true,
+    toEvent: (course) => (course.type === 'quiz'
+      ? { eventType: 'course_view', eventData: { ...courseData(course), courseType: course.type } }
+      : { eventType: 'text_content_view', eventData: { courseId: course.id } })
+  },
+  'Quiz attempt started': {
+    needsCourse: true,
+    toEvent: (course) => ({ eventType: 'quiz_start', eventData: courseData(course) })
+  },
+  'User has logged in': {
+    toEvent: () => ({ eventType: 'session_start', eventData: {} })
+  },
+  'User logged out': {
+    toEvent: () => ({ eventType: 'logout', eventData: {} })
+  },
+  // Written by our own export
+  'User session ended': {
+    toEvent: () => ({ eventType: 'session_end', eventData: {} })
+  }
+};
+
+class MoodleImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// RFC 4180 CSV, as written by Moodle and by our export
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Date cells are kept as Date objects so times stored as dates are not re-parsed
+const cellValue = (cell) => (cell.value instanceof Date ? cell.value : cell.text);
+
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow((row) => {
+    const values = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      values.push(cellValue(row.getCell(column)));
+    }
+    rows.push(values);
+  });
+  return rows;
+};
+
+// XLSX files are zip archives, which start with "PK"
+const isXlsx = (buffer) => buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+/**
+ * Read the rows of an uploaded Moodle log, header first, skipping blank rows
+ * @param {Buffer} buffer  CSV (UTF-8, optionally with a byte order mark) or XLSX file
+ */
+const readMoodleRows = async (buffer) => {
+  let rows;
+  try {
+    rows = isXlsx(buffer)
+      ? await readXlsxRows(buffer)
+      : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch {
+    throw new MoodleImportError('The file could not be read as a CSV or XLSX Moodle log');
+  }
+
+  return rows.filter(row => row.some(value => String(value ?? '').trim() !== ''));
+};
+
+// Column index for each known header, matched case-insensitively
+const columnIndexes = (header) => {
+  const normalized = header.map(value => String(value ?? '').trim().toLowerCase());
+  const indexes = {};
+  MOODLE_LOG_COLUMNS.forEach(column => {
+    const index = normalized.indexOf(column.toLowerCase());
+    if (index !== -1) indexes[column] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(column => indexes[column] === undefined);
+  if (missing.length > 0) {
+    throw new MoodleImportError(`Not a Moodle log: missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+  }
+  return indexes;
+};
+
+// Converts wall-clock times in a time zone to UTC. Throws a RangeError for
+// unknown time zones, so callers can validate input.
+const createZoneConverter = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  const offsetAt = (utcMs) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(utcMs)).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMs;
+  };
+
+  return (wallClockMs) => {
+    const offset = offsetAt(wallClockMs);
+    const utcMs = wallClockMs - offset;
+    // Near a daylight saving change the offset at the result can differ
+    const corrected = offsetAt(utcMs);
+    return new Date(corrected === offset ? utcMs : wallClockMs - corrected);
+  };
+};
+
+// Moodle's log report time, e.g. "5/08/24, 02:57:25" (day first)
+const MOODLE_TIME = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// Returns an ISO timestamp, or null when the time is not recognised
+const parseMoodleTime = (value, toUtc) => {
+  if (value instanceof Date) {
+    // Spreadsheet dates hold the wall-clock time as if it were UTC
+    return Number.isNaN(value.getTime()) ? null : toUtc(value.getTime()).toISOString();
+  }
+
+  const match = MOODLE_TIME.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [, day, month, year, hour, minute, second = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+  const fullYear = year < 100 ? 2000 + year : year;
+  const wallClock = Date.UTC(fullYear, month - 1, day, hour, minute, second);
+  const check = new Date(wallClock);
+  if (check.getUTCDate() !== day || check.getUTCMonth() !== month - 1 || hour > 23) return null;
+
+  return toUtc(wallClock).toISOString();
+};
+
+// "Quiz: Pre Test Quiz" -> { label: 'Quiz', title: 'Pre Test Quiz', type: 'quiz' };
+// "System" and other contexts without a title -> null
+const parseContext = (value) => {
+  const text = String(value ?? '').trim();
+  const separator = text.indexOf(': ');
+  if (separator === -1) return null;
+
+  const label = text.slice(0, separator);
+  const title = text.slice(separator + 2).trim();
+  if (!title) return null;
+
+  return { label, title, type: CONTENT_TYPES_BY_LABEL[label] || 'text' };
+};
+
+const contextKeyOf = (context) => `${context.type}:${context.title.toLowerCase()}`;
+
+const MOODLE_USER_ID = /user with id '([^']+)'/;
+
+// Identical rows happen (several events in the same second), so ids count
+// occurrences; importing the same file again yields the same ids
+const createEventIds = () => {
+  const occurrences = new Map();
+  return (fields) => {
+    const key = fields.join('\u0000');
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+    return `moodle-${crypto.createHash('sha1').update(`${key}\u0000${occurrence}`).digest('hex').slice(0, 32)}`;
+  };
+};
+
+// Give each user's events (sorted by time) session ids split on SESSION_GAP_MS
+const assignSessions = (events) => {
+  const lastByUser = new Map();
+  events.forEach(event => {
+    const time = new Date(event.timestamp).getTime();
+    const last = lastByUser.get(event.moodleUserId);
+    const sessionId = last && time - last.time <= SESSION_GAP_MS
+      ? last.sessionId
+      : `moodle-${event.moodleUserId}-${time}`;
+    event.sessionId = sessionId;
+    lastByUser.set(event.moodleUserId, { time, sessionId });
+  });
+};
+
+/**
+ * Work out what importing the rows would do, without resolving users or
+ * courses against the database
+ * @returns {object} {
+ *   rows, events (sorted oldest first), unmapped [{ component, eventName, count }],
+ *   invalidRows [{ row, message }], users Map(moodleUserId -> full name or null),
+ *   courses Map(contextKey -> { label, title, type })
+ * }
+ */
+const planMoodleImport = (rows, { timeZone = 'UTC' } = {}) => {
+  if (rows.length === 0) {
+    throw new MoodleImportError('The file is empty');
+  }
+
+  const columns = columnIndexes(rows[0]);
+  const toUtc = createZoneConverter(timeZone);
+  const eventIdFor = createEventIds();
+
+  const events = [];
+  const unmapped = new Map();
+  const invalidRows = [];
+  const users = new Map();
+  const courses = new Map();
+
+  rows.slice(1).forEach((row, index) => {
+    const rowNumber = index + 2;
+    // Our CSV export guards formula-like values with a leading ' (see csvField)
+    const value = (column) => (columns[column] === undefined
+      ? ''
+      : String(row[columns[column]] ?? '').trim().replace(/^'(?=[=+\-@])/, ''));
+    const eventName = value('Event name');
+    const component = value('Component');
+
+    const mapping = MOODLE_IMPORT_MAP[eventName];
+    if (!mapping) {
+      const key = `${component}\u0000${eventName}`;
+      const entry = unmapped.get(key) || { component, eventName, count: 0 };
+      entry.count++;
+      unmapped.set(key, entry);
+      return;
+    }
+
+    const timeCell = columns.Time === undefined ? '' : row[columns.Time];
+    const timestamp = parseMoodleTime(timeCell, toUtc);
+    if (!timestamp) {
+      invalidRows.push({ row: rowNumber, message: `Unrecognised time "${value('Time')}"` });
+      return;
+    }
+
+    const description = value('Description');
+    const moodleUserId = MOODLE_USER_ID.exec(description)?.[1];
+    if (!moodleUserId) {
+      invalidRows.push({ row: rowNumber, message: 'The description does not name a user id' });
+      return;
+    }
+
+    const contextText = value('Event context');
+    const context = parseContext(contextText);
+    if (mapping.needsCourse && !context) {
+      invalidRows.push({ row: rowNumber, message: `"${eventName}" has no course or activity context` });
+      return;
+    }
+
+    const fullName = value('User full name');
+    if (!users.get(moodleUserId)) {
+      users.set(moodleUserId, fullName && fullName !== '-' ? fullName : null);
+    }
+
+    const courseKey = mapping.needsCourse ? contextKeyOf(context) : null;
+    if (courseKey && !courses.has(courseKey)) {
+      courses.set(courseKey, context);
+    }
+
+    events.push({
+      row: rowNumber,
+      eventId: eventIdFor([value('Time'), contextText, component, eventName, description, value('IP address')]),
+      timestamp,
+      moodleUserId,
+      courseKey,
+      mapping,
+      ip: value('IP address'),
+      moodle: {
+        eventName,
+        component,
+        context: contextText,
+        description,
+        origin: value('Origin')
+      }
+    });
+  });
+
+  events.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.row - b.row);
+  assignSessions(events);
+
+  return {
+    rows: rows.length - 1,
+    events,
+    unmapped: [...unmapped.values()].sort((a, b) => b.count - a.count),
+    invalidRows,
+    users,
+    courses
+  };
+};
+
+/**
+ * Build the clickstream event for a planned row once its user and course are known
+ * @param {object} planned   entry of planMoodleImport().events
+ * @param {object} resolved  { userId, course } where course is a content item (or null)
+ */
+const toClickstreamEvent = (planned, { userId, course }) => {
+  const { eventType, eventData } = planned.mapping.toEvent(course);
+  return {
+    eventId: planned.eventId,
+    eventType,
+    sessionId: planned.sessionId,
+    userId,
+    timestamp: planned.timestamp,
+    eventData: { ...eventData, moodle: planned.moodle }
+  };
+};
+
+module.exports = {
+  MOODLE_IMPORT_MAP,
+  MoodleImportError,
+  readMoodleRows,
+  planMoodleImport,
+  toClickstreamEvent
+};
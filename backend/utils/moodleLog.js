@@ -0,0 +1,249 @@
+/**
+ * Moodle Log Format
+ * Maps clickstream events onto Moodle's standard log report columns so exports
+ * line up with logs downloaded from Moodle (see "Example of clickstream from
+ * Moodle.xlsx" in the repository root).
+ *
+ * Each event type maps to a Moodle component and event name. Where Moodle has
+ * an equivalent core event (course viewed, quiz attempt started, ...) its name
+ * and description wording are reused; events Moodle does not log, such as
+ * video playback, get descriptive names in the same style.
+ */
+
+const MOODLE_LOG_COLUMNS = [
+  'Time',
+  'User full name',
+  'Affected user',
+  'Event context',
+  'Component',
+  'Event name',
+  'Description',
+  'Origin',
+  'IP address'
+];
+
+// How our content types are labelled in Moodle event contexts ("Quiz: Name")
+const MODULE_LABELS = {
+  quiz: 'Quiz',
+  text: 'Page',
+  video: 'Video'
+};
+
+const seconds = (value) => (typeof value === 'number' ? value : 0);
+
+const videoEvent = (eventName, action) => ({
+  component: 'Video',
+  eventName,
+  context: 'module',
+  describe: ({ user, courseId, data }) => `The user with id '${user}' ${action} the video at '${seconds(data.currentTime)}' seconds in the activity with course module id '${courseId}'.`
+});
+
+// Page visibility, focus and idleness events (see the frontend's
+// lib/attentionTracking.js)
+const attentionEvent = (eventName, action) => ({
+  component: 'System',
+  eventName,
+  context: 'system',
+  describe: ({ user }) => `The user with id '${user}' ${action}.`
+});
+
+/**
+ * Mapping table from clickstream event types to Moodle log fields
+ *   context      system (no course), course ("Course: title") or module
+ *                ("Quiz: title", "Page: title", ...)
+ *   affectsUser  the event concerns the acting user's own record, which
+ *                Moodle shows in the "Affected user" column
+ */
+const MOODLE_EVENT_MAP = {
+  session_start: {
+    component: 'System',
+    eventName: 'User has logged in',
+    context: 'system',
+    describe: ({ user }) => `The user with id '${user}' has logged in.`
+  },
+  logout: {
+    component: 'System',
+    eventName: 'User logged out',
+    context: 'system',
+    describe: ({ user }) => `The user with id '${user}' has logged out.`
+  },
+  session_end: {
+    component: 'System',
+    eventName: 'User session ended',
+    context: 'system',
+    describe: ({ user }) => `The session of the user with id '${user}' has ended.`
+  },
+  navigation: {
+    component: 'System',
+    eventName: 'Page navigated',
+    context: 'system',
+    describe: ({ user, data }) => `The user with id '${user}' navigated from '${data.from}' to '${data.to}'.`
+  },
+  page_view: {
+    component: 'System',
+    eventName: 'Page viewed',
+    context: 'system',
+    describe: ({ user, data }) => `The user with id '${user}' viewed the '${data.page}' page.`
+  },
+  course_view: {
+    component: 'System',
+    eventName: 'Course viewed',
+    context: 'course',
+    describe: ({ user, courseId }) => `The user with id '${user}' viewed the course with id '${courseId}'.`
+  },
+  text_content_view: {
+    component: 'Page',
+    eventName: 'Course module viewed',
+    context: 'module',
+    describe: ({ user, courseId }) => `The user with id '${user}' viewed the 'page' activity with course module id '${courseId}'.`
+  },
+  text_content_scroll: {
+    component: 'Page',
+    eventName: 'Reading progress recorded',
+    context: 'module',
+    describe: ({ user, courseId, data }) => `The user with id '${user}' scrolled to ${seconds(data.scrollDepth)}% of the 'page' activity with course module id '${courseId}'.`
+  },
+  text_content_section: {
+    component: 'Page',
+    eventName: 'Page section read',
+    context: 'module',
+    describe: ({ user, courseId, data }) => `The user with id '${user}' read the section '${data.heading || 'Introduction'}' for ${Math.round(seconds(data.duration) / 1000)} seconds in the 'page' activity with course module id '${courseId}'.`
+  },
+  text_content_complete: {
+    component: 'System',
+    eventName: 'Course activity completion updated',
+    context: 'module',
+    affectsUser: true,
+    describe: ({ user, courseId }) => `The user with id '${user}' updated the completion state for the course module with id '${courseId}'.`
+  },
+  quiz_start: {
+    component: 'Quiz',
+    eventName: 'Quiz attempt started',
+    context: 'module',
+    affectsUser: true,
+    describe: ({ user, courseId }) => `The user with id '${user}' has started the attempt for the quiz with course module id '${courseId}'.`
+  },
+  quiz_answer: {
+    component: 'Quiz',
+    eventName: 'Quiz attempt updated',
+    context: 'module',
+    affectsUser: true,
+    describe: ({ user, courseId, data }) => `The user with id '${user}' has updated responses on page '${seconds(data.questionIndex) + 1}' of the attempt belonging to the user with id '${user}' for the quiz with course module id '${courseId}'.`
+  },
+  quiz_complete: {
+    component: 'Quiz',
+    eventName: 'Quiz attempt submitted',
+    context: 'module',
+    affectsUser: true,
+    describe: ({ user, courseId }) => `The user with id '${user}' has submitted the attempt for the quiz with course module id '${courseId}'.`
+  },
+  video_play: videoEvent('Video played', 'played'),
+  video_pause: videoEvent('Video paused', 'paused'),
+  video_seek: videoEvent('Video position changed', 'moved to'),
+  video_rate_change: videoEvent('Video playback speed changed', 'changed the playback speed of'),
+  video_ended: videoEvent('Video ended', 'finished'),
+  video_heartbeat: videoEvent('Video progress recorded', 'was watching'),
+  button_click: {
+    component: 'System',
+    eventName: 'Button clicked',
+    context: 'system',
+    describe: ({ user, data }) => `The user with id '${user}' clicked the '${data.buttonName}' button.`
+  },
+  filter_applied: {
+    component: 'System',
+    eventName: 'Filter applied',
+    context: 'system',
+    describe: ({ user, data }) => `The user with id '${user}' filtered by '${data.filterType}' with the value '${data.filterValue}'.`
+  },
+  tab_hidden: attentionEvent('Page hidden', 'hid the page'),
+  tab_visible: attentionEvent('Page shown', 'returned to the page'),
+  window_blur: attentionEvent('Window lost focus', 'switched to another window'),
+  window_focus: attentionEvent('Window focused', 'returned to the window'),
+  idle_start: attentionEvent('User became idle', 'became idle'),
+  idle_end: attentionEvent('User became active', 'became active again'),
+  heartbeat: attentionEvent('Page activity recorded', 'was active on the page')
+};
+
+// Fallback for event types without a mapping (none today)
+const unmappedEvent = (eventType) => ({
+  component: 'System',
+  eventName: eventType,
+  context: 'system',
+  describe: ({ user }) => `The user with id '${user}' triggered the '${eventType}' event.`
+});
+
+// Throws a RangeError for unknown time zones, so callers can validate input
+const createTimeFormatter = (timeZone = 'UTC') => {
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    day: 'numeric',
+    month: '2-digit',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  // Moodle's log report format, e.g. "5/08/24, 02:57:25"
+  return (timestamp) => {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '';
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.day}/${parts.month}/${parts.year}, ${parts.hour}:${parts.minute}:${parts.second}`;
+  };
+};
+
+// IPv4 clients show up as IPv4-mapped IPv6 addresses behind Node's dual stack
+const formatIp = (ip) => (typeof ip === 'string' ? ip.replace(/^::ffff:/, '') : '');
+
+const eventContextFor = (mapping, course) => {
+  if (!course || mapping.context === 'system') return 'System';
+  if (mapping.context === 'course') return `Course: ${course.title}`;
+  return `${MODULE_LABELS[course.type] || 'Activity'}: ${course.title}`;
+};
+
+/**
+ * Build a Moodle log row (keyed by MOODLE_LOG_COLUMNS) for one event
+ * @param {object} event     canonical clickstream event
+ * @param {object} lookups   { users: Map(userId -> user), courses: Map(id -> content), formatTime }
+ */
+const toMoodleLogRow = (event, { users, courses, formatTime }) => {
+  const mapping = MOODLE_EVENT_MAP[event.eventType] || unmappedEvent(event.eventType);
+  const data = event.eventData || {};
+  const user = users.get(String(event.userId));
+  const userName = user ? user.username : String(event.userId ?? '-');
+  const course = data.courseId !== undefined ? courses.get(String(data.courseId)) : null;
+
+  return {
+    Time: formatTime(event.timestamp),
+    'User full name': userName,
+    'Affected user': mapping.affectsUser ? userName : '-',
+    'Event context': eventContextFor(mapping, course),
+    Component: mapping.component,
+    'Event name': mapping.eventName,
+    Description: mapping.describe({
+      user: user ? user.id : event.userId,
+      courseId: data.courseId,
+      data
+    }),
+    Origin: 'web',
+    'IP address': formatIp(event.ip)
+  };
+};
+
+// Mapping table as served by the API: event type -> component and event name
+const describeMoodleMapping = () => Object.entries(MOODLE_EVENT_MAP).map(([eventType, mapping]) => ({
+  eventType,
+  component: mapping.component,
+  eventName: mapping.eventName
+}));
+
+module.exports = {
+  MOODLE_LOG_COLUMNS,
+  MOODLE_EVENT_MAP,
+  MODULE_LABELS,
+  createTimeFormatter,
+  toMoodleLogRow,
+  describeMoodleMapping
+};
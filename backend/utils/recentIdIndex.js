@@ -0,0 +1,48 @@
+/**
+ * Recent Id Index
+ * Bounded map from client-generated event ids to stored record ids, used to
+ * recognise events the client sends again (retries after a lost response).
+ *
+ * Values are promises so a duplicate arriving while the first copy is still
+ * being written resolves to the same record instead of creating a second one.
+ * Once the index is full the least recently used ids are forgotten; retries
+ * normally arrive within minutes, so only old events can slip through.
+ */
+
+const DEFAULT_MAX_IDS = 100000;
+
+const createRecentIdIndex = ({ maxSize = DEFAULT_MAX_IDS } = {}) => {
+  const ids = new Map();
+
+  return {
+    // Promise of the stored record id, or undefined for an unseen id
+    get(eventId) {
+      const recordId = ids.get(eventId);
+      if (recordId !== undefined) {
+        // Refresh the entry so it is evicted last
+        ids.delete(eventId);
+        ids.set(eventId, recordId);
+      }
+      return recordId;
+    },
+
+    set(eventId, recordId) {
+      ids.delete(eventId);
+      ids.set(eventId, Promise.resolve(recordId));
+
+      if (ids.size > maxSize) {
+        ids.delete(ids.keys().next().value);
+      }
+    },
+
+    delete(eventId) {
+      ids.delete(eventId);
+    },
+
+    get size() {
+      return ids.size;
+    }
+  };
+};
+
+module.exports = { createRecentIdIndex, DEFAULT_MAX_IDS };
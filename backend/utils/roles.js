@@ -0,0 +1,13 @@
+// User roles, from least to most privileged
+const ROLES = {
+  LEARNER: 'learner',
+  INSTRUCTOR: 'instructor',
+  ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Accounts created before roles existed have no role and are learners
+const roleOf = (user) => user?.role || ROLES.LEARNER;
+
+module.exports = { ROLES, ALL_ROLES, roleOf };
@@ -0,0 +1,139 @@
+/**
+ * Learning Sessions
+ * One record per clickstream session in the `sessions` collection, kept up to
+ * date as the session's events arrive:
+ *
+ *   { id, sessionId, userId, previousSessionId, startedAt, lastActivityAt,
+ *     endedAt, endReason, duration (seconds), eventCount }
+ *
+ * The frontend (lib/sessionManager.js) resumes a session across reloads and
+ * starts a new one, linked to it by previousSessionId, after 30 minutes
+ * without activity or when the user signs out. Sessions whose tab was simply
+ * closed send no end event; they count as ended by timeout once they have
+ * been inactive for SESSION_TIMEOUT_MINUTES.
+ */
+
+const SESSION_TIMEOUT_MINUTES = 30;
+const SESSION_TIMEOUT_MS = SESSION_TIMEOUT_MINUTES * 60 * 1000;
+
+// Events that close a session; logout ends it for clients without session_end
+const END_EVENT_TYPES = ['session_end', 'logout'];
+
+const toTime = (timestamp) => new Date(timestamp).getTime();
+
+const durationSeconds = (session) => Math.max(0, Math.round(
+  (toTime(session.endedAt || session.lastActivityAt) - toTime(session.startedAt)) / 1000
+));
+
+/**
+ * Fold newly stored events of one session into its record
+ * @param {object|null} session  the stored record, or null for a new session
+ * @param {Array} events         the session's new events
+ * @returns {object} the record fields to store
+ */
+const applySessionEvents = (session, events) => {
+  const sorted = [...events].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+  const next = session
+    ? { ...session }
+    : {
+        sessionId: sorted[0].sessionId,
+        userId: sorted[0].userId,
+        previousSessionId: null,
+        startedAt: sorted[0].timestamp,
+        lastActivityAt: sorted[0].timestamp,
+        endedAt: null,
+        endReason: null,
+        eventCount: 0
+      };
+
+  sorted.forEach(event => {
+    const time = toTime(event.timestamp);
+
+    if (time < toTime(next.startedAt)) next.startedAt = event.timestamp;
+    if (event.eventType === 'session_start' && event.eventData?.previousSessionId) {
+      next.previousSessionId = event.eventData.previousSessionId;
+    }
+
+    if (END_EVENT_TYPES.includes(event.eventType)) {
+      if (!next.endedAt || time > toTime(next.endedAt)) {
+        next.endedAt = event.timestamp;
+        next.endReason = event.eventData?.reason || event.eventType;
+      }
+    } else if (next.endedAt && time > toTime(next.endedAt)) {
+      // Activity after the end (an older client ending on reload) reopens it
+      next.endedAt = null;
+      next.endReason = null;
+    }
+
+    if (time > toTime(next.lastActivityAt)) next.lastActivityAt = event.timestamp;
+  });
+
+  next.eventCount += events.length;
+  next.duration = durationSeconds(next);
+  return next;
+};
+
+/**
+ * Session records rebuilt from stored events, to backfill the collection for
+ * events recorded before sessions were kept
+ * @param {Array} events  clickstream records, in any order
+ * @returns {Array} the session records, oldest first, without ids
+ */
+const buildSessions = (events) => {
+  const bySession = new Map();
+  events.forEach(event => {
+    if (!event.sessionId) return;
+    if (!bySession.has(event.sessionId)) bySession.set(event.sessionId, []);
+    bySession.get(event.sessionId).push(event);
+  });
+
+  return [...bySession.values()]
+    .map(sessionEvents => applySessionEvents(null, sessionEvents))
+    .sort((a, b) => toTime(a.startedAt) - toTime(b.startedAt));
+};
+
+/**
+ * A session as reported by the API: open sessions inactive for longer than
+ * the timeout are shown as ended by timeout at their last activity
+ */
+const describeSession = (session, now = Date.now()) => {
+  if (session.endedAt) {
+    return { ...session, status: 'ended' };
+  }
+  if (now - toTime(session.lastActivityAt) >= SESSION_TIMEOUT_MS) {
+    return { ...session, status: 'ended', endedAt: session.lastActivityAt, endReason: 'timeout' };
+  }
+  return { ...session, status: 'active' };
+};
+
+/**
+ * Totals over a set of described sessions
+ * @returns {object} { totalSessions, activeSessions, linkedSessions,
+ *   totalMinutes, averageMinutes, endReasons { reason: count } }
+ */
+const summarizeSessions = (sessions) => {
+  const totalSeconds = sessions.reduce((sum, session) => sum + session.duration, 0);
+  const endReasons = {};
+  sessions.forEach(session => {
+    if (session.endReason) {
+      endReasons[session.endReason] = (endReasons[session.endReason] || 0) + 1;
+    }
+  });
+
+  return {
+    totalSessions: sessions.length,
+    activeSessions: sessions.filter(session => session.status === 'active').length,
+    linkedSessions: sessions.filter(session => session.previousSessionId).length,
+    totalMinutes: Math.round(totalSeconds / 60),
+    averageMinutes: sessions.length > 0 ? Math.round(totalSeconds / sessions.length / 60 * 10) / 10 : 0,
+    endReasons
+  };
+};
+
+module.exports = {
+  SESSION_TIMEOUT_MINUTES,
+  applySessionEvents,
+  buildSessions,
+  describeSession,
+  summarizeSessions
+};
@@ -0,0 +1,162 @@
+/**
+ * Time on Task
+ * Reconstructs when a learner was actively working from their clickstream.
+ *
+ * Within a session, the time between two consecutive events counts as active
+ * when it is shorter than the idle timeout; a longer gap means the learner
+ * stepped away, and none of it is counted. Gaps that follow a hidden tab, a
+ * blurred window, the start of inactivity or the end of the session are never
+ * counted. Heartbeats keep the gaps short while a page is on screen or a
+ * video plays, so reading and watching count even without clicks.
+ *
+ * Active time is attributed to the content the learner had open: the last
+ * course, quiz or video named by an event, until they navigate elsewhere.
+ */
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = Number(process.env.TIME_ON_TASK_IDLE_MINUTES) || 5;
+const MAX_IDLE_TIMEOUT_MINUTES = 120;
+
+// Event types after which the learner is away until their next event
+const INACTIVE_AFTER = ['session_end', 'logout', 'tab_hidden', 'window_blur', 'idle_start'];
+
+// Event types that leave the content the learner had open
+const LEAVES_CONTENT = ['navigation', 'page_view', 'session_start', 'session_end', 'logout'];
+
+const contentOf = (eventData) => {
+  const courseId = eventData?.courseId;
+  if (courseId === undefined || courseId === null) return undefined;
+  return { courseId, title: eventData.courseTitle };
+};
+
+const sameContent = (a, b) => String(a?.courseId) === String(b?.courseId);
+
+/**
+ * Collects events (in any order) and reconstructs active intervals per
+ * session once all events are added
+ * @param {object} options  { idleTimeoutMinutes }
+ */
+const createTimeOnTaskTracker = ({ idleTimeoutMinutes = DEFAULT_IDLE_TIMEOUT_MINUTES } = {}) => {
+  const idleTimeoutMs = idleTimeoutMinutes * 60000;
+  const sessions = new Map();
+
+  const add = (event) => {
+    const time = new Date(event.timestamp).getTime();
+    if (Number.isNaN(time)) return;
+    const steps = sessions.get(event.sessionId) || [];
+    steps.push({ time, eventType: event.eventType, content: contentOf(event.eventData) });
+    sessions.set(event.sessionId, steps);
+  };
+
+  // Active intervals of one session, merging consecutive active gaps spent
+  // on the same content
+  const intervalsOf = (sessionId, steps) => {
+    steps.sort((a, b) => a.time - b.time);
+    const intervals = [];
+    let content = null;
+
+    steps.forEach((step, index) => {
+      if (step.content) {
+        content = step.content;
+      } else if (LEAVES_CONTENT.includes(step.eventType)) {
+        content = null;
+      }
+
+      const next = steps[index + 1];
+      if (!next || INACTIVE_AFTER.includes(step.eventType)) return;
+      const gap = next.time - step.time;
+      if (gap <= 0 || gap > idleTimeoutMs) return;
+
+      const last = intervals[intervals.length - 1];
+      if (last && last.end === step.time && sameContent(last.content, content)) {
+        last.end = next.time;
+      } else {
+        intervals.push({ sessionId, start: step.time, end: next.time, content });
+      }
+    });
+
+    return intervals;
+  };
+
+  /**
+   * @returns {object} { idleTimeoutMinutes, activeSeconds, intervals,
+   *                     sessions, content }
+   */
+  const result = () => {
+    const intervals = [...sessions.entries()].flatMap(([sessionId, steps]) => intervalsOf(sessionId, steps));
+
+    const bySession = [...sessions.entries()].map(([sessionId, steps]) => ({
+      sessionId,
+      start: new Date(steps[0].time).toISOString(),
+      end: new Date(steps[steps.length - 1].time).toISOString(),
+      events: steps.length,
+      activeSeconds: 0
+    }));
+    const sessionIndex = new Map(bySession.map(session => [session.sessionId, session]));
+
+    const byContent = new Map();
+    for (const interval of intervals) {
+      const seconds = (interval.end - interval.start) / 1000;
+      sessionIndex.get(interval.sessionId).activeSeconds += seconds;
+      if (!interval.content) continue;
+
+      const key = String(interval.content.courseId);
+      const entry = byContent.get(key) || { courseId: interval.content.courseId, title: interval.content.title, activeSeconds: 0 };
+      entry.title = entry.title || interval.content.title;
+      entry.activeSeconds += seconds;
+      byContent.set(key, entry);
+    }
+
+    const roundSeconds = (entry) => ({ ...entry, activeSeconds: Math.round(entry.activeSeconds) });
+
+    return {
+      idleTimeoutMinutes,
+      activeSeconds: Math.round(intervals.reduce((sum, interval) => sum + (interval.end - interval.start) / 1000, 0)),
+      intervals: intervals.map(({ content, start, end, ...interval }) => ({
+        ...interval,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        courseId: content?.courseId ?? null
+      })),
+      sessions: bySession
+        .map(roundSeconds)
+        .sort((a, b) => b.start.localeCompare(a.start)),
+      content: [...byContent.values()]
+        .map(roundSeconds)
+        .sort((a, b) => b.activeSeconds - a.activeSeconds)
+    };
+  };
+
+  return { add, result };
+};
+
+/**
+ * Active seconds of the intervals in a result that fall between two times
+ * (in milliseconds); intervals crossing a bound count in part
+ */
+const activeSecondsBetween = (intervals, from = -Infinity, to = Infinity) => Math.round(
+  intervals.reduce((sum, interval) => {
+    const start = Math.max(Date.parse(interval.start), from);
+    const end = Math.min(Date.parse(interval.end), to);
+    return end > start ? sum + (end - start) / 1000 : sum;
+  }, 0)
+);
+
+/**
+ * Time on task for an (async) iterable of events
+ * @param {object} options  { idleTimeoutMinutes }
+ */
+const computeTimeOnTask = async (events, options) => {
+  const tracker = createTimeOnTaskTracker(options);
+  for await (const event of events) {
+    tracker.add(event);
+  }
+  return tracker.result();
+};
+
+module.exports = {
+  DEFAULT_IDLE_TIMEOUT_MINUTES,
+  MAX_IDLE_TIMEOUT_MINUTES,
+  createTimeOnTaskTracker,
+  computeTimeOnTask,
+  activeSecondsBetween
+};
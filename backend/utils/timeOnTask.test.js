@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeTimeOnTask, activeSecondsBetween } = require('./timeOnTask');
+
+const START = Date.parse('2025-08-12T10:00:00Z');
+
+// An event `minutes` after START
+const at = (minutes, eventType, fields = {}) => ({
+  sessionId: 's1',
+  eventType,
+  timestamp: new Date(START + minutes * 60000).toISOString(),
+  ...fields
+});
+
+const courseView = (minutes, courseId, fields = {}) => at(minutes, 'course_view', {
+  eventData: { courseId, courseTitle: `Course ${courseId}` },
+  ...fields
+});
+
+const timeOnTask = (events) => computeTimeOnTask(events, { idleTimeoutMinutes: 5 });
+
+describe('computeTimeOnTask', () => {
+  it('counts gaps up to the idle timeout and none of a longer gap', async () => {
+    const result = await timeOnTask([
+      at(0, 'page_view'),
+      at(4, 'button_click'),
+      at(9, 'button_click'),
+      // 6 minutes: the learner stepped away
+      at(15, 'button_click'),
+      at(16, 'button_click')
+    ]);
+
+    assert.equal(result.activeSeconds, 10 * 60);
+    assert.deepEqual(result.intervals.map(({ start, end }) => [start, end]), [
+      ['2025-08-12T10:00:00.000Z', '2025-08-12T10:09:00.000Z'],
+      ['2025-08-12T10:15:00.000Z', '2025-08-12T10:16:00.000Z']
+    ]);
+  });
+
+  it('does not count the time after the learner went away', async () => {
+    const result = await timeOnTask([
+      at(0, 'page_view'),
+      at(1, 'tab_hidden'),
+      at(3, 'tab_visible'),
+      at(4, 'window_blur'),
+      at(5, 'button_click'),
+      at(6, 'session_end')
+    ]);
+
+    assert.equal(result.activeSeconds, 3 * 60);
+    assert.equal(result.intervals.length, 3);
+  });
+
+  it('sorts events that arrive out of order', async () => {
+    const result = await timeOnTask([
+      at(2, 'button_click'),
+      at(0, 'page_view'),
+      at(1, 'button_click')
+    ]);
+
+    assert.equal(result.activeSeconds, 2 * 60);
+    assert.equal(result.intervals.length, 1);
+  });
+
+  it('splits intervals where the content changes and attributes them', async () => {
+    const result = await timeOnTask([
+      courseView(0, 1),
+      at(2, 'video_heartbeat'),
+      at(4, 'navigation'),
+      courseView(5, 2),
+      at(8, 'quiz_answer', { eventData: { courseId: 2 } })
+    ]);
+
+    assert.deepEqual(result.intervals.map(({ courseId, start }) => [courseId, start]), [
+      [1, '2025-08-12T10:00:00.000Z'],
+      [null, '2025-08-12T10:04:00.000Z'],
+      [2, '2025-08-12T10:05:00.000Z']
+    ]);
+    assert.deepEqual(result.content, [
+      { courseId: 1, title: 'Course 1', activeSeconds: 4 * 60 },
+      { courseId: 2, title: 'Course 2', activeSeconds: 3 * 60 }
+    ]);
+  });
+
+  it('keeps sessions apart', async () => {
+    const result = await timeOnTask([
+      at(0, 'page_view'),
+      at(1, 'button_click'),
+      at(0, 'page_view', { sessionId: 's2' }),
+      at(3, 'button_click', { sessionId: 's2' })
+    ]);
+
+    const bySession = Object.fromEntries(result.sessions.map(session => [session.sessionId, session.activeSeconds]));
+    assert.deepEqual(bySession, { s1: 60, s2: 180 });
+    assert.equal(result.activeSeconds, 240);
+  });
+
+  it('accepts an async iterable, as the repositories stream events', async () => {
+    async function* stream() {
+      yield at(0, 'page_view');
+      yield at(2, 'button_click');
+    }
+
+    const result = await computeTimeOnTask(stream(), { idleTimeoutMinutes: 1 });
+    assert.equal(result.activeSeconds, 0);
+  });
+});
+
+describe('activeSecondsBetween', () => {
+  const intervals = [
+    { start: '2025-08-12T10:00:00.000Z', end: '2025-08-12T10:10:00.000Z' },
+    { start: '2025-08-12T11:00:00.000Z', end: '2025-08-12T11:05:00.000Z' }
+  ];
+
+  it('counts intervals crossing a bound in part', () => {
+    const from = Date.parse('2025-08-12T10:05:00Z');
+    const to = Date.parse('2025-08-12T11:01:00Z');
+    assert.equal(activeSecondsBetween(intervals, from, to), 6 * 60);
+  });
+
+  it('counts everything without bounds and nothing outside them', () => {
+    assert.equal(activeSecondsBetween(intervals), 15 * 60);
+    assert.equal(activeSecondsBetween(intervals, Date.parse('2025-08-12T12:00:00Z')), 0);
+  });
+});
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Short-lived access tokens are renewed with longer-lived rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+// Development fallback so the local server runs without a .env file;
+// production deployments must provide their own secret
+const DEV_JWT_SECRET = 'dev-only-jwt-secret-change-me';
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return DEV_JWT_SECRET;
+};
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'production') {
+  console.warn('⚠️ JWT_SECRET not set, using the development fallback secret');
+}
+
+const signToken = (user, type, expiresIn, extraClaims = {}) => {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { id: user.id, username: user.username, type, ...extraClaims },
+    getJwtSecret(),
+    { expiresIn, jwtid: tokenId }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, tokenId, expiresAt: new Date(exp * 1000).toISOString() };
+};
+
+// Generate a signed access JWT for a user record
+const generateToken = (user) => signToken(user, 'access', ACCESS_TOKEN_EXPIRES_IN).token;
+
+// Generate a refresh JWT belonging to a token family (one family per login)
+const generateRefreshToken = (user, familyId) => {
+  return signToken(user, 'refresh', REFRESH_TOKEN_EXPIRES_IN, { family: familyId });
+};
+
+// Verify a JWT of the expected type and return its payload;
+// throws on invalid, expired or wrong-type tokens
+const verifyToken = (token, expectedType = 'access') => {
+  const payload = jwt.verify(token, getJwtSecret());
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Expected ${expectedType} token`);
+  }
+  return payload;
+};
+
+module.exports = { generateToken, generateRefreshToken, verifyToken };
@@ -0,0 +1,24 @@
+/**
+ * Username rules
+ * Clickstream events name their user by username, or by numeric user id in
+ * older records, and events sent without a signed-in user are stored under
+ * ANONYMOUS_USER. A username that looks like an id or is reserved would
+ * claim other people's events, so such names cannot be taken.
+ */
+
+const ANONYMOUS_USER = 'anonymous';
+
+const RESERVED_USERNAMES = [ANONYMOUS_USER];
+
+// Why a username cannot be used, or null when it can
+const usernameError = (username) => {
+  if (/^\d+$/.test(String(username).trim())) {
+    return 'Username cannot consist of digits only';
+  }
+  if (RESERVED_USERNAMES.includes(String(username).trim().toLowerCase())) {
+    return `Username "${username}" is reserved`;
+  }
+  return null;
+};
+
+module.exports = { ANONYMOUS_USER, usernameError };
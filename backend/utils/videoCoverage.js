@@ -0,0 +1,195 @@
+/**
+ * Video Watch Coverage
+ * Builds a per-video heatmap from clickstream video events. The player reports
+ * `watchedFrom` and `currentTime` (seconds) on every event that closes a stretch
+ * of continuous playback (pause, seek, rate change, ended and heartbeat), so
+ * each of those events is one watched segment [watchedFrom, currentTime]. A
+ * seek ends its segment where the seek started (`seekFrom`), not where it landed.
+ *
+ * The video timeline is split into equal buckets and for each bucket we count:
+ *   views      watch passes over the bucket (all sessions)
+ *   viewers    sessions that watched at least half of the bucket
+ *   rewatches  extra passes by sessions that had already watched it
+ *   skips      forward seeks that jumped over the bucket
+ *   rewinds    backward seeks that landed in the bucket
+ *   dropOffs   sessions whose last known position was in the bucket
+ *              without reaching the end of the video
+ *
+ * Older video events without positions cannot be placed on the timeline and
+ * are only counted in `eventsWithoutPosition`.
+ */
+
+const VIDEO_EVENT_TYPES = [
+  'video_play',
+  'video_pause',
+  'video_seek',
+  'video_rate_change',
+  'video_ended',
+  'video_heartbeat'
+];
+
+const DEFAULT_BUCKET_COUNT = 40;
+
+const isPosition = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Collect segments, seeks and last positions per course from a stream of events
+const collectPlayback = async (events, courseIds) => {
+  const courses = new Map(courseIds.map(courseId => [String(courseId), {
+    duration: 0,
+    segments: [],
+    seeks: [],
+    lastPositions: new Map(),
+    sessions: new Set(),
+    eventsWithoutPosition: 0
+  }]));
+
+  for await (const event of events) {
+    const data = event.eventData || {};
+    const course = courses.get(String(data.courseId));
+    if (!course) continue;
+
+    const sessionKey = event.sessionId || event.userId || 'unknown';
+    const { eventType } = event;
+    const { currentTime, watchedFrom, duration } = data;
+
+    if (!isPosition(currentTime)) {
+      course.eventsWithoutPosition++;
+      continue;
+    }
+
+    course.sessions.add(sessionKey);
+    course.duration = Math.max(course.duration, isPosition(duration) ? duration : 0, currentTime);
+
+    const isSeek = eventType === 'video_seek' && isPosition(data.seekFrom);
+    const segmentEnd = isSeek ? data.seekFrom : currentTime;
+
+    if (isPosition(watchedFrom) && segmentEnd > watchedFrom) {
+      course.segments.push({ sessionKey, start: watchedFrom, end: segmentEnd });
+    }
+
+    if (isSeek) {
+      course.seeks.push({ from: data.seekFrom, to: currentTime });
+    }
+
+    const previous = course.lastPositions.get(sessionKey);
+    if (!previous || String(event.timestamp) >= String(previous.timestamp)) {
+      course.lastPositions.set(sessionKey, {
+        timestamp: event.timestamp,
+        position: currentTime,
+        ended: eventType === 'video_ended'
+      });
+    }
+  }
+
+  return courses;
+};
+
+const emptyBucket = (index, bucketSize) => ({
+  start: Math.round(index * bucketSize * 10) / 10,
+  end: Math.round((index + 1) * bucketSize * 10) / 10,
+  views: 0,
+  viewers: 0,
+  rewatches: 0,
+  skips: 0,
+  rewinds: 0,
+  dropOffs: 0
+});
+
+const bucketStatus = (bucket) => {
+  if (bucket.rewatches > 0) return 'rewatched';
+  if (bucket.viewers > 0) return 'watched';
+  if (bucket.skips > 0) return 'skipped';
+  return 'unwatched';
+};
+
+// Turn collected playback into heatmap buckets for one course
+const buildCoverage = (playback, bucketCount) => {
+  const { duration } = playback;
+  if (duration <= 0) {
+    return { duration: 0, bucketSize: 0, buckets: [], watchedPercent: 0 };
+  }
+
+  const bucketSize = duration / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, (_, index) => emptyBucket(index, bucketSize));
+  const bucketIndex = (position) => Math.min(bucketCount - 1, Math.floor(position / bucketSize));
+
+  // Watch passes per session and bucket, as fractions of the bucket covered
+  const passesBySession = new Map();
+  playback.segments.forEach(({ sessionKey, start, end }) => {
+    if (!passesBySession.has(sessionKey)) {
+      passesBySession.set(sessionKey, new Array(bucketCount).fill(0));
+    }
+    const passes = passesBySession.get(sessionKey);
+
+    for (let index = bucketIndex(start); index <= bucketIndex(Math.min(end, duration)); index++) {
+      const overlap = Math.min(end, (index + 1) * bucketSize) - Math.max(start, index * bucketSize);
+      if (overlap > 0) {
+        passes[index] += overlap / bucketSize;
+      }
+    }
+  });
+
+  passesBySession.forEach(passes => {
+    passes.forEach((pass, index) => {
+      buckets[index].views += pass;
+      if (pass >= 0.5) {
+        buckets[index].viewers++;
+        buckets[index].rewatches += Math.max(0, Math.round(pass) - 1);
+      }
+    });
+  });
+
+  playback.seeks.forEach(({ from, to }) => {
+    if (to > from) {
+      buckets.forEach(bucket => {
+        if (bucket.start >= from && bucket.end <= to) bucket.skips++;
+      });
+    } else {
+      buckets[bucketIndex(to)].rewinds++;
+    }
+  });
+
+  playback.lastPositions.forEach(({ position, ended }) => {
+    if (!ended && position < duration - bucketSize) {
+      buckets[bucketIndex(position)].dropOffs++;
+    }
+  });
+
+  buckets.forEach(bucket => {
+    bucket.views = Math.round(bucket.views * 100) / 100;
+    bucket.status = bucketStatus(bucket);
+  });
+
+  const watchedBuckets = buckets.filter(bucket => bucket.viewers > 0).length;
+
+  return {
+    duration: Math.round(duration * 10) / 10,
+    bucketSize: Math.round(bucketSize * 100) / 100,
+    buckets,
+    watchedPercent: Math.round((watchedBuckets / bucketCount) * 100)
+  };
+};
+
+/**
+ * Compute watch coverage for the given video courses
+ * @param {AsyncIterable} events   clickstream video events
+ * @param {Array} videoCourses     content items of type video
+ * @param {number} bucketCount     timeline resolution
+ */
+const computeVideoCoverage = async (events, videoCourses, bucketCount = DEFAULT_BUCKET_COUNT) => {
+  const playbackByCourse = await collectPlayback(events, videoCourses.map(course => course.id));
+
+  return videoCourses.map(course => {
+    const playback = playbackByCourse.get(String(course.id));
+    return {
+      courseId: course.id,
+      title: course.title,
+      videoUrl: course.videoUrl,
+      sessions: playback.sessions.size,
+      eventsWithoutPosition: playback.eventsWithoutPosition,
+      ...buildCoverage(playback, bucketCount)
+    };
+  });
+};
+
+module.exports = { VIDEO_EVENT_TYPES, DEFAULT_BUCKET_COUNT, computeVideoCoverage };
@@ -10,6 +10,7 @@ import Authentication from '@/components/Authentication';
 import CoursesPage from '@/components/pages/CoursesPage';
 import CourseViewer from '@/components/pages/CourseViewer';
 import AnalyticsDashboard from '@/components/pages/AnalyticsDashboard';
+import ContentAuthoring from '@/components/pages/ContentAuthoring';
 import LearningProgress from '@/components/pages/LearningProgress';
 import QuizPage from '@/components/pages/QuizPage';
 import VideoPage from '@/components/pages/VideoPage';
@@ -27,6 +28,8 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu';
+import { formatMinutes } from '@/lib/utils';
+import { useTrack } from '@/hooks/useTrack';
 
 // Enhanced logger for app component
 const appLogger = {
@@ -43,18 +46,22 @@ const appLogger = {
 
 // Main Dashboard Component (shown when authenticated)
 function Dashboard() {
-  const { user, logout } = useAuth();
+  const { user, logout, apiRequest, hasRole } = useAuth();
   const [currentPage, setCurrentPage] = useState('dashboard');
+  // Class-wide analytics and authoring are for instructors and admins; learners use Learning Progress
+  const canViewAnalytics = hasRole('instructor', 'admin');
+  const canManageContent = hasRole('instructor', 'admin');
   const [selectedCourse, setSelectedCourse] = useState(null);
+  const track = useTrack();
   
   // Statistics state
   const [statistics, setStatistics] = useState({
     coursesEnrolled: 0,
     coursesCompleted: 0,
-    studyHours: 0,
+    studyMinutes: 0,
     achievements: 0,
     recentActivities: [],
-    weeklyHours: 0,
+    weeklyMinutes: 0,
     streak: 0,
     rank: 'Beginner',
     overallProgress: 0
@@ -66,6 +73,7 @@ function Dashboard() {
   useEffect(() => {
     if (user) {
       clickstreamService.initialize(user);
+      clickstreamService.enableClickCapture();
       appLogger.info('Clickstream tracking initialized for user', { 
         user: user?.username,
         userId: user?.id 
@@ -82,242 +90,124 @@ function Dashboard() {
   const loadUserStatistics = async () => {
     try {
       const userId = user?.username || user?.id;
-      appLogger.info('Loading user statistics', { 
-        userId: userId,
-        endpoint: `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'}/clickstream/user/${userId}` 
-      });
-      
-      // Fetch user's clickstream data to calculate statistics
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'}/clickstream/user/${userId}`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const endpoint = `/analytics/users/${encodeURIComponent(userId)}/summary?timezone=${encodeURIComponent(timezone)}`;
+      appLogger.info('Loading user statistics', { userId, endpoint });
       
-      const userData = await response.json();
+      // Statistics are aggregated on the server from the user's clickstream
+      const { data } = await apiRequest(endpoint);
       
-      appLogger.info('API response received', { 
-        success: userData.success,
-        totalActions: userData.totalActions,
-        dataLength: userData.data?.length 
+      setStatistics({
+        coursesEnrolled: data.coursesViewed.length,
+        coursesCompleted: data.quizzesTaken.length,
+        studyMinutes: data.timeSpentMinutes,
+        achievements: data.achievements.filter(achievement => achievement.earned).length,
+        recentActivities: data.recentActivities,
+        weeklyMinutes: data.weeklyMinutes,
+        streak: data.streak,
+        rank: data.rank,
+        overallProgress: data.overallProgress
       });
       
-      if (userData.success && userData.data) {
-        const userActions = userData.data;
-        
-        // Calculate statistics from user actions
-        const courseViews = userActions.filter(action => action.action === 'course_view');
-        const quizStarts = userActions.filter(action => action.action === 'quiz_start');
-        const quizCompletes = userActions.filter(action => action.action === 'quiz_complete');
-        const videoPlays = userActions.filter(action => action.action === 'video_play');
-        
-        // Get unique courses viewed
-        const uniqueCourses = [...new Set(courseViews.map(action => action.details?.courseId).filter(Boolean))];
-        
-        // Calculate study time from session durations (approximate)
-        const sessionStartTimes = new Map();
-        let totalStudyMinutes = 0;
-        
-        userActions.forEach(action => {
-          const sessionId = action.sessionId;
-          if (!sessionStartTimes.has(sessionId)) {
-            sessionStartTimes.set(sessionId, new Date(action.timestamp));
-          }
-        });
-        
-        // Approximate 30 minutes per course viewed
-        totalStudyMinutes = uniqueCourses.length * 30;
-        
-        // Get recent activities (last 10 actions)
-        const recentActivities = userActions
-          .slice(-10)
-          .reverse()
-          .map(action => ({
-            id: action.id,
-            action: action.action,
-            details: action.details,
-            timestamp: action.timestamp
-          }));
-        
-        // Calculate achievements based on milestones
-        let achievements = 0;
-        if (uniqueCourses.length >= 1) achievements++; // First course viewed
-        if (quizStarts.length >= 1) achievements++; // First quiz attempt
-        if (videoPlays.length >= 1) achievements++; // First video watched
-        if (quizCompletes.length >= 1) achievements++; // First quiz completed
-        if (uniqueCourses.length >= 5) achievements++; // Course explorer
-        
-        // Calculate weekly hours (last 7 days)
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const weeklyActions = userActions.filter(action => 
-          new Date(action.timestamp) >= weekAgo
-        );
-        const weeklyHours = Math.floor(weeklyActions.length * 5 / 60); // 5 minutes per action approx
-        
-        // Calculate streak (consecutive days with activity)
-        const dailyActivity = new Map();
-        userActions.forEach(action => {
-          const date = new Date(action.timestamp).toDateString();
-          dailyActivity.set(date, true);
-        });
-        
-        let streak = 0;
-        const today = new Date();
-        let currentDate = new Date(today);
-        
-        while (dailyActivity.has(currentDate.toDateString())) {
-          streak++;
-          currentDate.setDate(currentDate.getDate() - 1);
-        }
-        
-        // Determine rank based on activity
-        let rank = 'Beginner';
-        if (achievements >= 3) rank = 'Intermediate';
-        if (achievements >= 5) rank = 'Advanced';
-        if (achievements >= 7) rank = 'Expert';
-        
-        // Calculate overall progress (based on course completion)
-        const overallProgress = Math.min(100, Math.floor((quizCompletes.length / Math.max(uniqueCourses.length, 1)) * 100));
-        
-        setStatistics({
-          coursesEnrolled: uniqueCourses.length,
-          coursesCompleted: quizCompletes.length,
-          studyHours: Math.floor(totalStudyMinutes / 60),
-          achievements,
-          recentActivities,
-          weeklyHours,
-          streak,
-          rank,
-          overallProgress
-        });
-        
-        appLogger.success('User statistics loaded successfully', {
-          coursesEnrolled: uniqueCourses.length,
-          achievements,
-          studyHours: Math.floor(totalStudyMinutes / 60)
-        });
-      } else {
-        // Show sample activities for new users
-        const sampleActivities = [
-          {
-            id: 'sample-1',
-            action: 'course_view',
-            details: { courseTitle: 'Welcome to EduTrack Pro' },
-            timestamp: new Date().toISOString()
-          }
-        ];
-        
-        setStatistics(prev => ({
-          ...prev,
-          recentActivities: sampleActivities
-        }));
-      }
+      appLogger.success('User statistics loaded successfully', {
+        coursesEnrolled: data.coursesViewed.length,
+        totalEvents: data.totalEvents,
+        rank: data.rank
+      });
     } catch (error) {
       appLogger.info('Error loading statistics, using defaults', { error: error.message });
-      
-      // Show welcome activity for completely new users
-      const welcomeActivity = [
-        {
-          id: 'welcome-1',
-          action: 'course_view',
-          details: { courseTitle: 'Welcome to EduTrack Pro' },
-          timestamp: new Date().toISOString()
-        }
-      ];
-      
-      setStatistics(prev => ({
-        ...prev,
-        recentActivities: welcomeActivity
-      }));
     }
   };
 
   // Function to refresh statistics after user actions
-  const refreshStatistics = () => {
+  const refreshStatistics = async () => {
     if (user) {
-      setTimeout(() => {
-        loadUserStatistics();
-      }, 1000); // Small delay to ensure backend has processed the action
+      // Tracked events wait in the clickstream buffer; send them first so the
+      // statistics include the action that triggered the refresh
+      await clickstreamService.flush();
+      loadUserStatistics();
     }
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
     appLogger.user('User initiated logout');
     clickstreamService.trackEvent('logout', { user: user?.username });
+    clickstreamService.trackSessionEnd('logout');
+    // Send the last events while the access token is still valid; sent after
+    // logout they would be stored as anonymous
+    await clickstreamService.flush();
     logout();
   };
 
-  // Navigation handlers
+  // Navigation handlers. Clicks on the dashboard buttons are recorded from
+  // their data-track attributes; callbacks that other pages call record the
+  // click here.
+  const navigateTo = (page) => {
+    clickstreamService.trackNavigation(currentPage, page);
+    setCurrentPage(page);
+  };
+
   const handleBrowseCourses = () => {
     appLogger.info('Navigating to courses page');
-    clickstreamService.trackNavigation('dashboard', 'courses');
-    clickstreamService.trackButtonClick('browse_courses', { from: 'dashboard' });
-    setCurrentPage('courses');
+    navigateTo('courses');
     refreshStatistics();
   };
 
   const handleBackToDashboard = () => {
     appLogger.info('Navigating back to dashboard');
-    clickstreamService.trackNavigation(currentPage, 'dashboard');
-    clickstreamService.trackButtonClick('back_to_dashboard', { from: currentPage });
-    setCurrentPage('dashboard');
+    track('back_to_dashboard', { from: currentPage });
+    navigateTo('dashboard');
     setSelectedCourse(null);
     refreshStatistics();
   };
 
   const handleBackToCourses = () => {
     appLogger.info('Navigating back to courses');
-    clickstreamService.trackNavigation(currentPage, 'courses');
-    clickstreamService.trackButtonClick('back_to_courses', { from: currentPage });
-    setCurrentPage('courses');
+    track('back_to_courses', { from: currentPage });
+    navigateTo('courses');
     setSelectedCourse(null);
     refreshStatistics();
   };
 
   const handleSelectCourse = (course) => {
     appLogger.info('Course selected', { courseId: course.id });
-    clickstreamService.trackNavigation('courses', 'course-view');
-    clickstreamService.trackCourseView(course.id, course.title, course.type);
-    clickstreamService.trackButtonClick('select_course', { 
-      courseId: course.id, 
+    track('select_course', {
+      courseId: course.id,
       courseTitle: course.title,
-      courseType: course.type 
+      courseType: course.type
     });
+    navigateTo('course-view');
+    clickstreamService.trackCourseView(course.id, course.title, course.type);
     setSelectedCourse(course);
-    setCurrentPage('course-view');
     refreshStatistics();
   };
 
   const handleViewAnalytics = () => {
     appLogger.info('Navigating to analytics dashboard');
-    clickstreamService.trackNavigation('dashboard', 'analytics');
-    clickstreamService.trackButtonClick('view_analytics', { from: 'dashboard' });
-    setCurrentPage('analytics');
+    navigateTo('analytics');
     refreshStatistics();
   };
 
+  const handleManageContent = () => {
+    appLogger.info('Navigating to content authoring');
+    navigateTo('authoring');
+  };
+
   const handleViewProgress = () => {
     appLogger.info('Navigating to learning progress');
-    clickstreamService.trackNavigation('dashboard', 'progress');
-    clickstreamService.trackButtonClick('view_progress', { from: 'dashboard' });
-    setCurrentPage('progress');
+    navigateTo('progress');
     refreshStatistics();
   };
 
   const handleTakeQuiz = () => {
     appLogger.info('Navigating to quiz section');
-    clickstreamService.trackNavigation('dashboard', 'quiz');
-    clickstreamService.trackButtonClick('take_quiz', { from: 'dashboard' });
-    setCurrentPage('quiz');
+    navigateTo('quiz');
     refreshStatistics();
   };
 
   const handleWatchVideos = () => {
     appLogger.info('Navigating to video section');
-    clickstreamService.trackNavigation('dashboard', 'videos');
-    clickstreamService.trackButtonClick('watch_videos', { from: 'dashboard' });
-    setCurrentPage('videos');
+    navigateTo('videos');
     refreshStatistics();
   };
 
@@ -340,7 +230,7 @@ function Dashboard() {
     );
   }
 
-  if (currentPage === 'analytics') {
+  if (currentPage === 'analytics' && canViewAnalytics) {
     return (
       <AnalyticsDashboard 
         onBack={handleBackToDashboard}
@@ -348,6 +238,14 @@ function Dashboard() {
     );
   }
 
+  if (currentPage === 'authoring' && canManageContent) {
+    return (
+      <ContentAuthoring 
+        onBack={handleBackToDashboard}
+      />
+    );
+  }
+
   if (currentPage === 'progress') {
     return (
       <LearningProgress 
@@ -375,7 +273,7 @@ function Dashboard() {
   }
 
   return (
-    <div className="min-h-screen bg-gray-900 text-white">
+    <div className="min-h-screen bg-gray-900 text-white" data-track-from="dashboard">
       <div className="absolute inset-0 -z-10 h-full w-full bg-white bg-[linear-gradient(to_right,#8080800a_1px,transparent_1px),linear-gradient(to_bottom,#8080800a_1px,transparent_1px)] bg-[size:14px_24px]"></div>
       <div className="absolute top-0 z-[-2] h-screen w-screen bg-[radial-gradient(100%_50%_at_50%_0%,rgba(0,163,255,0.13)_0,rgba(0,163,255,0)_50%,rgba(0,163,255,0)_100%)]"></div>
       {/* Header */}
@@ -498,8 +396,8 @@ function Dashboard() {
             <Card className="bg-white/5 backdrop-blur-sm border border-white/10 shadow-xl hover:shadow-2xl transition-all duration-300 hover:scale-105">
               <CardContent className="flex items-center justify-between p-6">
                 <div className="space-y-2">
-                  <p className="text-purple-300 text-sm font-medium">Study Hours</p>
-                  <p className="text-3xl font-bold">{statistics.studyHours}h</p>
+                  <p className="text-purple-300 text-sm font-medium">Study Time</p>
+                  <p className="text-3xl font-bold">{formatMinutes(statistics.studyMinutes)}</p>
                 </div>
                 <div className="bg-white/10 rounded-xl p-3">
                   <svg className="w-8 h-8 text-purple-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -543,6 +441,7 @@ function Dashboard() {
                   <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                     <Button 
                       onClick={handleBrowseCourses}
+                      data-track="browse_courses"
                       className="h-24 bg-gradient-to-br from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
                     >
                       <div className="text-center space-y-2">
@@ -552,6 +451,7 @@ function Dashboard() {
                     </Button>
                     <Button 
                       onClick={handleTakeQuiz}
+                      data-track="take_quiz"
                       className="h-24 bg-gradient-to-br from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
                     >
                       <div className="text-center space-y-2">
@@ -561,6 +461,7 @@ function Dashboard() {
                     </Button>
                     <Button 
                       onClick={handleWatchVideos}
+                      data-track="watch_videos"
                       className="h-24 bg-gradient-to-br from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
                     >
                       <div className="text-center space-y-2">
@@ -568,17 +469,21 @@ function Dashboard() {
                         <div className="text-sm font-semibold">Watch Videos</div>
                       </div>
                     </Button>
-                    <Button 
-                      onClick={handleViewAnalytics}
-                      className="h-24 bg-gradient-to-br from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
-                    >
-                      <div className="text-center space-y-2">
-                        <div className="text-3xl group-hover:scale-110 transition-transform duration-300">📊</div>
-                        <div className="text-sm font-semibold">View Analytics</div>
-                      </div>
-                    </Button>
+                    {canViewAnalytics && (
+                      <Button 
+                        onClick={handleViewAnalytics}
+                        data-track="view_analytics"
+                        className="h-24 bg-gradient-to-br from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
+                      >
+                        <div className="text-center space-y-2">
+                          <div className="text-3xl group-hover:scale-110 transition-transform duration-300">📊</div>
+                          <div className="text-sm font-semibold">View Analytics</div>
+                        </div>
+                      </Button>
+                    )}
                     <Button 
                       onClick={handleViewProgress}
+                      data-track="view_progress"
                       className="h-24 bg-gradient-to-br from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
                     >
                       <div className="text-center space-y-2">
@@ -586,6 +491,18 @@ function Dashboard() {
                         <div className="text-sm font-semibold">Learning Progress</div>
                       </div>
                     </Button>
+                    {canManageContent && (
+                      <Button 
+                        onClick={handleManageContent}
+                        data-track="manage_content"
+                        className="h-24 bg-gradient-to-br from-pink-500 to-pink-600 hover:from-pink-600 hover:to-pink-700 text-white border-0 shadow-lg hover:shadow-xl transition-all duration-300 group"
+                      >
+                        <div className="text-center space-y-2">
+                          <div className="text-3xl group-hover:scale-110 transition-transform duration-300">✏️</div>
+                          <div className="text-sm font-semibold">Manage Content</div>
+                        </div>
+                      </Button>
+                    )}
                   </div>
                 </CardContent>
               </Card>
@@ -605,23 +522,23 @@ function Dashboard() {
                         <div key={activity.id || index} className="flex items-center justify-between p-3 bg-white/5 rounded-lg">
                           <div className="flex items-center space-x-3">
                             <div className="text-lg">
-                              {activity.action === 'course_view' && '📚'}
-                              {activity.action === 'quiz_start' && '📝'}
-                              {activity.action === 'quiz_complete' && '✅'}
-                              {activity.action === 'video_play' && '▶️'}
-                              {activity.action === 'navigation' && '🧭'}
-                              {activity.action === 'button_click' && '👆'}
-                              {!['course_view', 'quiz_start', 'quiz_complete', 'video_play', 'navigation', 'button_click'].includes(activity.action) && '🎯'}
+                              {activity.eventType === 'course_view' && '📚'}
+                              {activity.eventType === 'quiz_start' && '📝'}
+                              {activity.eventType === 'quiz_complete' && '✅'}
+                              {activity.eventType === 'video_play' && '▶️'}
+                              {activity.eventType === 'navigation' && '🧭'}
+                              {activity.eventType === 'button_click' && '👆'}
+                              {!['course_view', 'quiz_start', 'quiz_complete', 'video_play', 'navigation', 'button_click'].includes(activity.eventType) && '🎯'}
                             </div>
                             <div>
                               <p className="text-sm font-medium text-gray-300">
-                                {activity.action === 'course_view' && `Viewed course: ${activity.details?.courseTitle || 'Unknown'}`}
-                                {activity.action === 'quiz_start' && `Started quiz: ${activity.details?.courseTitle || 'Unknown'}`}
-                                {activity.action === 'quiz_complete' && `Completed quiz: ${activity.details?.courseTitle || 'Unknown'}`}
-                                {activity.action === 'video_play' && `Watched video: ${activity.details?.courseTitle || 'Unknown'}`}
-                                {activity.action === 'navigation' && `Navigated to ${activity.details?.to || 'page'}`}
-                                {activity.action === 'button_click' && `Clicked: ${activity.details?.buttonId || 'button'}`}
-                                {!['course_view', 'quiz_start', 'quiz_complete', 'video_play', 'navigation', 'button_click'].includes(activity.action) && `Action: ${activity.action}`}
+                                {activity.eventType === 'course_view' && `Viewed course: ${activity.eventData?.courseTitle || 'Unknown'}`}
+                                {activity.eventType === 'quiz_start' && `Started quiz: ${activity.eventData?.courseTitle || 'Unknown'}`}
+                                {activity.eventType === 'quiz_complete' && `Completed quiz: ${activity.eventData?.courseTitle || 'Unknown'}`}
+                                {activity.eventType === 'video_play' && `Watched video: ${activity.eventData?.courseTitle || 'Unknown'}`}
+                                {activity.eventType === 'navigation' && `Navigated to ${activity.eventData?.to || 'page'}`}
+                                {activity.eventType === 'button_click' && `Clicked: ${activity.eventData?.buttonName || 'button'}`}
+                                {!['course_view', 'quiz_start', 'quiz_complete', 'video_play', 'navigation', 'button_click'].includes(activity.eventType) && `Action: ${activity.eventType}`}
                               </p>
                               <p className="text-xs text-gray-500">
                                 {new Date(activity.timestamp).toLocaleString()}
@@ -638,6 +555,7 @@ function Dashboard() {
                       <p className="text-gray-400 mb-6 max-w-md mx-auto">Your learning activities will appear here as you progress through courses and complete quizzes.</p>
                       <Button 
                         onClick={handleBrowseCourses}
+                        data-track="browse_courses"
                         className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700"
                       >
                         Get Started
@@ -679,7 +597,7 @@ function Dashboard() {
                     <div className="space-y-4">
                       <div className="flex justify-between items-center p-3 bg-blue-500/10 rounded-lg">
                         <span className="text-sm font-medium">This Week</span>
-                        <span className="text-sm text-blue-300 font-semibold">{statistics.weeklyHours} hours</span>
+                        <span className="text-sm text-blue-300 font-semibold">{formatMinutes(statistics.weeklyMinutes)}</span>
                       </div>
                       <div className="flex justify-between items-center p-3 bg-green-500/10 rounded-lg">
                         <span className="text-sm font-medium">Streak</span>
@@ -0,0 +1,153 @@
+/**
+ * Clickstream Event Table Component
+ * Pages through raw clickstream events with the server's cursor pagination
+ * instead of downloading every event, optionally filtered by event type
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useAuth } from '@/contexts/AuthContext';
+
+const PAGE_SIZE = 25;
+const TABLE_FIELDS = 'timestamp,userId,eventType,sessionId,eventData';
+
+const tableLogger = {
+  info: (message, data = null) => {
+    console.log(`📋 [EVENT TABLE] ${message}`, data ? { data } : '');
+  },
+  error: (message, error = null) => {
+    console.error(`❌ [EVENT TABLE] ${message}`, error ? { error } : '');
+  }
+};
+
+const describeEvent = (eventData = {}) => eventData.courseTitle
+  || eventData.page
+  || eventData.context?.page
+  || (eventData.courseId !== undefined ? `Course ${eventData.courseId}` : '');
+
+export function ClickstreamEventTable({ cohort, eventTypes }) {
+  const { apiRequest } = useAuth();
+  const [eventType, setEventType] = useState('');
+  // Cursors of the pages visited so far; the last one is the page on screen
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState({ data: [], total: 0, nextCursor: null, hasMore: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const cursor = cursors[cursors.length - 1];
+
+  useEffect(() => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, fields: TABLE_FIELDS });
+    if (cohort !== 'all') params.set('cohort', cohort);
+    if (eventType) params.set('eventType', eventType);
+    if (cursor) params.set('cursor', cursor);
+
+    let cancelled = false;
+    setLoading(true);
+    tableLogger.info('Fetching events page', { cohort, eventType, cursor });
+
+    apiRequest(`/analytics/clickstream?${params}`)
+      .then((response) => {
+        if (cancelled) return;
+        setPage(response);
+        setError(null);
+      })
+      .catch((requestError) => {
+        if (cancelled) return;
+        tableLogger.error('Failed to fetch events page', requestError);
+        setError(requestError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiRequest, cohort, eventType, cursor]);
+
+  const firstRow = (cursors.length - 1) * PAGE_SIZE + 1;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <select
+          value={eventType}
+          onChange={(e) => {
+            setEventType(e.target.value);
+            setCursors([null]);
+          }}
+          className="bg-white/10 border border-white/20 text-white rounded-md px-3 py-2 min-w-48"
+        >
+          <option value="" className="bg-gray-800">All event types</option>
+          {eventTypes.map(({ eventType: type }) => (
+            <option key={type} value={type} className="bg-gray-800">{type}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-400">
+          {page.data.length > 0
+            ? `${firstRow}–${firstRow + page.data.length - 1} of ${page.total}`
+            : `0 of ${page.total}`}
+        </span>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className={`overflow-x-auto rounded border border-white/10 ${loading ? 'opacity-50' : ''}`}>
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs uppercase text-gray-400 bg-white/5">
+            <tr>
+              <th className="px-3 py-2">Time</th>
+              <th className="px-3 py-2">User</th>
+              <th className="px-3 py-2">Event</th>
+              <th className="px-3 py-2">Context</th>
+              <th className="px-3 py-2">Session</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.data.map((event) => (
+              <tr key={event.id} className="border-t border-white/5 text-gray-300">
+                <td className="px-3 py-2 whitespace-nowrap">{new Date(event.timestamp).toLocaleString()}</td>
+                <td className="px-3 py-2">{event.userId || 'Anonymous'}</td>
+                <td className="px-3 py-2">
+                  <Badge variant="outline" className="bg-blue-500/20 text-blue-300">
+                    {event.eventType.replace('_', ' ')}
+                  </Badge>
+                </td>
+                <td className="px-3 py-2">{describeEvent(event.eventData)}</td>
+                <td className="px-3 py-2 text-xs text-gray-500">{event.sessionId?.substring(0, 12)}...</td>
+              </tr>
+            ))}
+            {!loading && page.data.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-6 text-center text-gray-500">No events</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button
+          variant="outline"
+          onClick={() => setCursors(cursors.slice(0, -1))}
+          disabled={loading || cursors.length === 1}
+          className="border-white/20 text-gray-300 hover:bg-white/10"
+        >
+          Previous
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() => setCursors([...cursors, page.nextCursor])}
+          disabled={loading || !page.hasMore}
+          className="border-white/20 text-gray-300 hover:bg-white/10"
+        >
+          Next
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ClickstreamEventTable;
@@ -0,0 +1,88 @@
+/**
+ * Markdown Content Component
+ * Renders reading material written in Markdown (GitHub flavoured: headings,
+ * lists, tables, code blocks with syntax highlighting, callouts and images)
+ * Raw HTML is never rendered and the output is sanitised before highlighting
+ */
+
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github-dark.css';
+import { rehypeCallouts } from '@/lib/markdown';
+
+const CALLOUT_STYLES = {
+  note: { icon: 'ℹ️', label: 'Note', className: 'bg-blue-500/10 border-blue-500/20 text-blue-300' },
+  tip: { icon: '💡', label: 'Pro Tip', className: 'bg-green-500/10 border-green-500/20 text-green-300' },
+  important: { icon: '📌', label: 'Important', className: 'bg-purple-500/10 border-purple-500/20 text-purple-300' },
+  warning: { icon: '⚠️', label: 'Warning', className: 'bg-yellow-500/10 border-yellow-500/20 text-yellow-300' },
+  caution: { icon: '🛑', label: 'Caution', className: 'bg-red-500/10 border-red-500/20 text-red-300' }
+};
+
+// react-markdown passes the syntax tree node as a prop; keep it off DOM elements
+const withoutNode = (props) => {
+  const { node: _node, ...domProps } = props;
+  return domProps;
+};
+
+const markdownComponents = {
+  h1: (props) => <h2 className="text-2xl font-bold text-white mt-8 mb-4 first:mt-0" {...withoutNode(props)} />,
+  h2: (props) => <h3 className="text-xl font-semibold text-white mt-8 mb-4 first:mt-0" {...withoutNode(props)} />,
+  h3: (props) => <h4 className="text-lg font-semibold text-gray-200 mt-6 mb-3 first:mt-0" {...withoutNode(props)} />,
+  h4: (props) => <h5 className="font-semibold text-gray-200 mt-4 mb-2" {...withoutNode(props)} />,
+  p: (props) => <p className="mb-4" {...withoutNode(props)} />,
+  ul: (props) => <ul className="list-disc pl-6 space-y-2 mb-4" {...withoutNode(props)} />,
+  ol: (props) => <ol className="list-decimal pl-6 space-y-2 mb-4" {...withoutNode(props)} />,
+  strong: (props) => <strong className="text-white font-semibold" {...withoutNode(props)} />,
+  a: (props) => (
+    <a className="text-blue-400 hover:text-blue-300 underline" target="_blank" rel="noopener noreferrer" {...withoutNode(props)} />
+  ),
+  img: ({ alt, ...props }) => (
+    <img className="rounded-lg border border-white/10 my-4 max-w-full" alt={alt || ''} loading="lazy" {...withoutNode(props)} />
+  ),
+  hr: (props) => <hr className="border-white/10 my-6" {...withoutNode(props)} />,
+  code: ({ className, ...props }) => (
+    <code className={className || 'px-1.5 py-0.5 rounded bg-white/10 text-blue-200 text-sm font-mono'} {...withoutNode(props)} />
+  ),
+  pre: (props) => (
+    <pre className="mb-4 overflow-x-auto rounded-lg border border-white/10 bg-gray-950 p-4 text-sm [&_code]:bg-transparent [&_code]:p-0" {...withoutNode(props)} />
+  ),
+  table: (props) => (
+    <div className="mb-4 overflow-x-auto">
+      <table className="w-full text-sm border-collapse" {...withoutNode(props)} />
+    </div>
+  ),
+  th: (props) => <th className="border border-white/10 bg-white/5 px-3 py-2 text-left text-white" {...withoutNode(props)} />,
+  td: (props) => <td className="border border-white/10 px-3 py-2" {...withoutNode(props)} />,
+  blockquote: ({ children, 'data-callout': callout, ...props }) => {
+    const style = CALLOUT_STYLES[callout];
+    if (!style) {
+      return <blockquote className="border-l-4 border-white/20 pl-4 italic text-gray-400 mb-4" {...withoutNode(props)}>{children}</blockquote>;
+    }
+
+    return (
+      <div className={`border rounded-lg p-4 my-6 ${style.className}`} role="note">
+        <h5 className="font-semibold mb-2">{style.icon} {style.label}:</h5>
+        <div className="text-sm text-gray-300 [&>p:last-child]:mb-0">{children}</div>
+      </div>
+    );
+  }
+};
+
+export function MarkdownContent({ markdown }) {
+  return (
+    <div className="text-gray-300 leading-relaxed">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeSanitize, rehypeCallouts, [rehypeHighlight, { detect: true }]]}
+        components={markdownComponents}
+      >
+        {markdown}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default MarkdownContent;
@@ -0,0 +1,204 @@
+/**
+ * Moodle Import Card Component
+ * Uploads a Moodle log download (CSV or XLSX), previews what would be imported
+ * with a dry run - including Moodle event names that cannot be mapped - and
+ * then imports it into the clickstream. Moodle users whose name matches a
+ * local username are only linked to that account when the importer confirms.
+ */
+
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { useAuth } from '@/contexts/AuthContext';
+
+const importLogger = {
+  info: (message, data = null) => {
+    console.log(`📥 [MOODLE IMPORT] ${message}`, data ? { data } : '');
+  },
+  success: (message, data = null) => {
+    console.log(`✅ [MOODLE IMPORT] ${message}`, data ? { data } : '');
+  },
+  error: (message, error = null) => {
+    console.error(`❌ [MOODLE IMPORT] ${message}`, error ? { error } : '');
+  }
+};
+
+function ImportSummary({ summary, links, onToggleLink }) {
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap gap-2">
+        <Badge variant="outline" className="bg-white/10 text-gray-300">{summary.rows} rows</Badge>
+        <Badge variant="outline" className="bg-green-500/20 text-green-300">{summary.importable} importable</Badge>
+        {Object.entries(summary.eventTypes).map(([eventType, count]) => (
+          <Badge key={eventType} variant="outline" className="bg-blue-500/20 text-blue-300">
+            {eventType}: {count}
+          </Badge>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-gray-300">
+        <div>
+          <div className="font-semibold text-white">Users</div>
+          <p>{summary.users.matched.length} matched, {summary.users.created.length} new</p>
+          {summary.users.suggested.length > 0 && (
+            <div className="mt-2 space-y-1">
+              <p className="text-xs text-gray-500">Same person as the local user? Unchecked users get a new account.</p>
+              {summary.users.suggested.map(({ moodleUserId, fullName, username }) => (
+                <label key={moodleUserId} className="flex items-center gap-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={links[moodleUserId] === username}
+                    onChange={() => onToggleLink(moodleUserId, username)}
+                  />
+                  <span>{fullName} (Moodle id {moodleUserId}) is {username}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <div>
+          <div className="font-semibold text-white">Courses and activities</div>
+          <p>{summary.courses.matched.length} matched, {summary.courses.created.length} new</p>
+          {summary.courses.created.length > 0 && (
+            <p className="text-xs text-gray-500">New (as drafts): {summary.courses.created.join(', ')}</p>
+          )}
+        </div>
+      </div>
+
+      {summary.unmapped.length > 0 && (
+        <div>
+          <div className="font-semibold text-white mb-1">Unmapped Moodle events (not imported)</div>
+          <div className="max-h-48 overflow-y-auto rounded border border-white/10">
+            {summary.unmapped.map((entry) => (
+              <div key={`${entry.component}-${entry.eventName}`} className="flex justify-between px-3 py-1 border-b border-white/5 text-gray-300">
+                <span>{entry.component} · {entry.eventName}</span>
+                <span className="text-gray-500">{entry.count}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {summary.invalidRowCount > 0 && (
+        <div>
+          <div className="font-semibold text-yellow-300 mb-1">{summary.invalidRowCount} rows could not be read</div>
+          {summary.invalidRows.slice(0, 5).map((entry) => (
+            <p key={entry.row} className="text-xs text-gray-400">Row {entry.row}: {entry.message}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function MoodleImportCard({ onImported }) {
+  const { apiRequest } = useAuth();
+  const [file, setFile] = useState(null);
+  const [timezone, setTimezone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const [preview, setPreview] = useState(null);
+  // Moodle user id -> local username, for the suggested links the importer confirmed
+  const [links, setLinks] = useState({});
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const linkParam = Object.keys(links).length > 0
+    ? `&linkUsers=${encodeURIComponent(JSON.stringify(links))}`
+    : '';
+
+  const upload = (dryRun) => apiRequest(
+    `/clickstream/import/moodle?dryRun=${dryRun}&timezone=${encodeURIComponent(timezone)}${linkParam}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file
+    }
+  );
+
+  const runImport = async (dryRun) => {
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      setError(null);
+      importLogger.info(dryRun ? 'Previewing Moodle log' : 'Importing Moodle log', { name: file.name });
+
+      const response = await upload(dryRun);
+      if (dryRun) {
+        setPreview(response.summary);
+        setResult(null);
+      } else {
+        setPreview(null);
+        setLinks({});
+        setResult(response);
+        onImported?.();
+      }
+      importLogger.success(response.message, response.summary);
+    } catch (requestError) {
+      importLogger.error('Moodle import failed', requestError);
+      setError(requestError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = (event) => {
+    setFile(event.target.files[0] || null);
+    setPreview(null);
+    setLinks({});
+    setResult(null);
+    setError(null);
+  };
+
+  const toggleLink = (moodleUserId, username) => {
+    setLinks(current => {
+      const { [moodleUserId]: linked, ...rest } = current;
+      return linked ? rest : { ...current, [moodleUserId]: username };
+    });
+  };
+
+  return (
+    <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+      <CardHeader>
+        <CardTitle className="text-white">Import Moodle Logs</CardTitle>
+        <CardDescription className="text-gray-400">
+          Add a Moodle log download (CSV or XLSX) to the clickstream; preview it first to see what can be mapped
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <Input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={chooseFile}
+            className="max-w-xs bg-white/10 border-white/20 text-white"
+          />
+          <Input
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            title="Time zone of the times in the file"
+            className="max-w-48 bg-white/10 border-white/20 text-white"
+          />
+          <Button onClick={() => runImport(true)} disabled={!file || busy} variant="outline" className="border-white/20 text-gray-300 hover:bg-white/10">
+            Preview
+          </Button>
+          <Button onClick={() => runImport(false)} disabled={!preview || busy} className="bg-blue-600 hover:bg-blue-700">
+            {preview ? `Import ${preview.importable} events` : 'Import'}
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        {result && (
+          <p className="text-sm text-green-300">
+            {result.message}{result.duplicates > 0 ? ` (${result.duplicates} already imported)` : ''}
+          </p>
+        )}
+        {preview && <ImportSummary summary={preview} links={links} onToggleLink={toggleLink} />}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MoodleImportCard;
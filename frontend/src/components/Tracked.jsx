@@ -0,0 +1,21 @@
+/**
+ * Tracked Component
+ * Marks its only child for declarative click tracking (see lib/clickTracking.js).
+ * The child must pass data attributes on to its DOM element, as the ui
+ * components do.
+ *
+ *   <Tracked name="browse_courses"><Button>Browse Courses</Button></Tracked>
+ *
+ * Without a name it only adds context for the tracked elements inside it:
+ *
+ *   <Tracked context={{ from: 'dashboard' }}><div>...</div></Tracked>
+ */
+
+import { Children, cloneElement } from 'react';
+import { trackAttributes } from '@/lib/clickTracking';
+
+export function Tracked({ name, context, children }) {
+  return cloneElement(Children.only(children), trackAttributes(name, context));
+}
+
+export default Tracked;
@@ -0,0 +1,124 @@
+/**
+ * Video Coverage Heatmap Component
+ * One timeline per video course showing which parts were watched, re-watched
+ * or skipped, with markers where viewers rewind to and where they drop off
+ */
+
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+
+const STATUS_STYLES = {
+  rewatched: { label: 'Re-watched', rgb: '168, 85, 247' },
+  watched: { label: 'Watched', rgb: '59, 130, 246' },
+  skipped: { label: 'Skipped', rgb: '234, 179, 8' },
+  unwatched: { label: 'Not watched', rgb: '255, 255, 255' }
+};
+
+const formatPosition = (seconds) => {
+  const total = Math.round(seconds);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Stronger colour for buckets watched more often; skipped and unwatched stay flat
+const bucketStyle = (bucket, maxViews) => {
+  const { rgb } = STATUS_STYLES[bucket.status];
+  const opacity = bucket.status === 'watched' || bucket.status === 'rewatched'
+    ? 0.3 + 0.7 * (bucket.views / maxViews)
+    : bucket.status === 'skipped' ? 0.35 : 0.08;
+  return { backgroundColor: `rgba(${rgb}, ${opacity})` };
+};
+
+const bucketTooltip = (bucket) => [
+  `${formatPosition(bucket.start)} – ${formatPosition(bucket.end)}`,
+  STATUS_STYLES[bucket.status].label,
+  `Views: ${bucket.views}`,
+  `Viewers: ${bucket.viewers}`,
+  bucket.rewatches > 0 && `Re-watches: ${bucket.rewatches}`,
+  bucket.skips > 0 && `Skipped over: ${bucket.skips}`,
+  bucket.rewinds > 0 && `Rewinds to here: ${bucket.rewinds}`,
+  bucket.dropOffs > 0 && `Drop-offs: ${bucket.dropOffs}`
+].filter(Boolean).join('\n');
+
+function CoverageTimeline({ video }) {
+  const maxViews = Math.max(1, ...video.buckets.map(bucket => bucket.views));
+
+  return (
+    <div className="space-y-1">
+      <div className="flex h-8 rounded overflow-hidden border border-white/10">
+        {video.buckets.map((bucket) => (
+          <div
+            key={bucket.start}
+            className="flex-1 border-r border-black/20 last:border-r-0"
+            style={bucketStyle(bucket, maxViews)}
+            title={bucketTooltip(bucket)}
+          />
+        ))}
+      </div>
+      {/* Rewind (amber) and drop-off (red) markers under the timeline */}
+      <div className="flex h-2">
+        {video.buckets.map((bucket) => (
+          <div key={bucket.start} className="flex-1 flex justify-center gap-px">
+            {bucket.rewinds > 0 && <span className="w-1 h-2 rounded-sm bg-amber-400" />}
+            {bucket.dropOffs > 0 && <span className="w-1 h-2 rounded-sm bg-red-500" />}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>0:00</span>
+        <span>{formatPosition(video.duration)}</span>
+      </div>
+    </div>
+  );
+}
+
+export function VideoCoverageHeatmap({ videos }) {
+  if (!videos || videos.length === 0) {
+    return <p className="text-gray-400">No video courses found.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {videos.map((video) => (
+        <div key={video.courseId} className="space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="font-semibold text-white">{video.title}</div>
+            <div className="flex items-center space-x-2">
+              <Badge variant="outline" className="bg-white/10 text-gray-300">
+                {video.sessions} {video.sessions === 1 ? 'session' : 'sessions'}
+              </Badge>
+              <Badge variant="outline" className="bg-blue-500/20 text-blue-300">
+                {video.watchedPercent}% watched
+              </Badge>
+            </div>
+          </div>
+
+          {video.buckets.length > 0 ? (
+            <CoverageTimeline video={video} />
+          ) : (
+            <p className="text-sm text-gray-500">No playback positions recorded yet.</p>
+          )}
+        </div>
+      ))}
+
+      <div className="flex flex-wrap gap-4 text-xs text-gray-400">
+        {Object.entries(STATUS_STYLES).map(([status, { label, rgb }]) => (
+          <div key={status} className="flex items-center space-x-1">
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: `rgba(${rgb}, ${status === 'unwatched' ? 0.15 : 0.8})` }} />
+            <span>{label}</span>
+          </div>
+        ))}
+        <div className="flex items-center space-x-1">
+          <span className="w-1 h-3 rounded-sm bg-amber-400" />
+          <span>Rewind target</span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <span className="w-1 h-3 rounded-sm bg-red-500" />
+          <span>Drop-off</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VideoCoverageHeatmap;
@@ -0,0 +1,191 @@
+/**
+ * Video Player Component
+ * Plays YouTube videos through the YouTube IFrame Player API and self-hosted
+ * files through an HTML5 <video> element, reporting real playback events
+ * (play, pause, seek, rate change, ended and heartbeats) to the clickstream
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import clickstreamService from '@/services/clickstreamService';
+import { createPlaybackTracker } from '@/lib/videoTracking';
+import { getYouTubeVideoId, loadYouTubeIframeApi } from '@/lib/youtube';
+
+// Enhanced logger for video playback
+const playerLogger = {
+  info: (message, data = null) => {
+    console.log(`🎬 [VIDEO_PLAYER] ${message}`, data ? { data } : '');
+  },
+  error: (message, error = null) => {
+    console.error(`❌ [VIDEO_PLAYER] ${message}`, error ? { error } : '');
+  }
+};
+
+// YouTube reports no seek events, so the position is polled this often
+const YOUTUBE_POLL_INTERVAL_MS = 1000;
+
+const VIDEO_EVENT_TRACKERS = {
+  video_play: 'trackVideoPlay',
+  video_pause: 'trackVideoPause',
+  video_seek: 'trackVideoSeek',
+  video_rate_change: 'trackVideoRateChange',
+  video_ended: 'trackVideoEnded',
+  video_heartbeat: 'trackVideoHeartbeat'
+};
+
+// Build the tracker's send function; previews log locally instead of recording
+const createSender = (courseId, videoUrl, provider, preview) => (eventType, playback) => {
+  playerLogger.info(`Video event: ${eventType}`, { courseId, ...playback });
+  if (preview) return;
+  clickstreamService[VIDEO_EVENT_TRACKERS[eventType]](courseId, videoUrl, { provider, ...playback });
+};
+
+function YouTubePlayer({ course, videoId, preview }) {
+  const { id: courseId, videoUrl } = course;
+  const containerRef = useRef(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    let player = null;
+    let pollTimer = null;
+    let cancelled = false;
+    const tracker = createPlaybackTracker({
+      send: createSender(courseId, videoUrl, 'youtube', preview),
+      detectSeeks: true
+    });
+
+    const position = () => player?.getCurrentTime?.() ?? tracker.lastPosition;
+    const duration = () => player?.getDuration?.() || null;
+
+    loadYouTubeIframeApi()
+      .then((YT) => {
+        if (cancelled || !containerRef.current) return;
+
+        player = new YT.Player(containerRef.current, {
+          videoId,
+          width: '100%',
+          height: '100%',
+          playerVars: { rel: 0, modestbranding: 1, playsinline: 1 },
+          events: {
+            onReady: () => {
+              playerLogger.info('YouTube player ready', { courseId, videoId });
+              pollTimer = setInterval(() => tracker.tick(position(), duration()), YOUTUBE_POLL_INTERVAL_MS);
+            },
+            onStateChange: ({ data }) => {
+              switch (data) {
+                case YT.PlayerState.PLAYING:
+                  tracker.tick(position(), duration());
+                  tracker.play(position(), duration());
+                  break;
+                case YT.PlayerState.PAUSED:
+                  tracker.pause(position(), duration());
+                  break;
+                case YT.PlayerState.BUFFERING:
+                case YT.PlayerState.CUED:
+                  tracker.stall(position());
+                  break;
+                case YT.PlayerState.ENDED:
+                  tracker.ended(duration());
+                  break;
+                default:
+                  break;
+              }
+            },
+            onPlaybackRateChange: ({ data }) => {
+              tracker.rateChange(data, position(), duration());
+            }
+          }
+        });
+      })
+      .catch((error) => {
+        playerLogger.error('YouTube IFrame API unavailable', error);
+        if (!cancelled) setLoadError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(pollTimer);
+      if (player) {
+        tracker.close(position(), duration());
+        player.destroy();
+      }
+    };
+  }, [courseId, videoUrl, videoId, preview]);
+
+  if (loadError) {
+    // Without the API the video still plays, but playback cannot be tracked
+    return (
+      <iframe
+        src={`https://www.youtube.com/embed/${videoId}`}
+        title={course.title}
+        className="w-full h-full"
+        frameBorder="0"
+        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+        allowFullScreen
+      />
+    );
+  }
+
+  // The API replaces this element with its own iframe, so it needs a wrapper React owns
+  return (
+    <div className="w-full h-full">
+      <div ref={containerRef} className="w-full h-full" />
+    </div>
+  );
+}
+
+function Html5VideoPlayer({ course, preview }) {
+  const { id: courseId, videoUrl } = course;
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+
+    const tracker = createPlaybackTracker({ send: createSender(courseId, videoUrl, 'html5', preview) });
+    const duration = () => (Number.isFinite(video.duration) ? video.duration : null);
+
+    const handlers = {
+      play: () => tracker.play(video.currentTime, duration()),
+      // The browser fires pause right before ended; only report the ended event
+      pause: () => {
+        if (!video.ended) tracker.pause(video.currentTime, duration());
+      },
+      seeking: () => tracker.seek(tracker.lastPosition, video.currentTime, duration()),
+      ratechange: () => tracker.rateChange(video.playbackRate, video.currentTime, duration()),
+      ended: () => tracker.ended(duration()),
+      timeupdate: () => {
+        if (!video.seeking) tracker.tick(video.currentTime, duration());
+      }
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => video.addEventListener(event, handler));
+
+    return () => {
+      Object.entries(handlers).forEach(([event, handler]) => video.removeEventListener(event, handler));
+      tracker.close(video.currentTime, duration());
+    };
+  }, [courseId, videoUrl, preview]);
+
+  return (
+    <video
+      ref={videoRef}
+      src={videoUrl}
+      title={course.title}
+      className="w-full h-full bg-black"
+      controls
+      preload="metadata"
+    />
+  );
+}
+
+export function VideoPlayer({ course, preview = false }) {
+  const videoId = getYouTubeVideoId(course.videoUrl);
+
+  if (videoId) {
+    return <YouTubePlayer course={course} videoId={videoId} preview={preview} />;
+  }
+
+  return <Html5VideoPlayer course={course} preview={preview} />;
+}
+
+export default VideoPlayer;
@@ -0,0 +1,329 @@
+/**
+ * Content Form Component for instructor authoring
+ * Built with Shadcn UI components, React Hook Form and zod
+ * Edits text, video and quiz items with a live CourseViewer preview and saves
+ * them as drafts or published content through the content API
+ */
+
+import React, { useState } from 'react';
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { QuizBuilder } from '@/components/forms/QuizBuilder';
+import CourseViewer from '@/components/pages/CourseViewer';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  CONTENT_LEVELS,
+  CONTENT_TYPES,
+  contentSchema,
+  toContentPayload,
+  toFormFieldName,
+  toFormValues
+} from '@/lib/contentForm';
+
+// Enhanced logger for form events
+const formLogger = {
+  info: (message, data = null) => {
+    console.log(`📝 [CONTENT_FORM] ${message}`, data ? { data } : '');
+  },
+  success: (message, data = null) => {
+    console.log(`✅ [CONTENT_FORM] ${message}`, data ? { data } : '');
+  },
+  error: (message, error = null) => {
+    console.error(`❌ [CONTENT_FORM] ${message}`, error ? { error } : '');
+  },
+  validation: (message, data = null) => {
+    console.log(`🔍 [CONTENT_FORM] ${message}`, data ? { data } : '');
+  }
+};
+
+const inputClassName = 'bg-white/5 border-white/10 text-white placeholder:text-gray-500';
+const selectClassName = 'w-full h-9 bg-white/5 border border-white/10 text-white rounded-md px-3';
+const labelClassName = 'text-sm font-medium text-gray-400';
+
+export function ContentForm({ initialContent, onSaved, onCancel }) {
+  const { apiRequest } = useAuth();
+  const [savingStatus, setSavingStatus] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const isNew = !initialContent?.id;
+
+  const form = useForm({
+    resolver: zodResolver(contentSchema),
+    defaultValues: toFormValues(initialContent),
+    mode: 'onChange'
+  });
+
+  const values = useWatch({ control: form.control });
+  const type = values.type;
+
+  // The preview renders exactly what would be saved
+  const previewCourse = {
+    id: initialContent?.id ?? 'preview',
+    createdAt: initialContent?.createdAt,
+    ...toContentPayload(form.getValues(), initialContent?.status || 'draft')
+  };
+
+  const save = (status) => form.handleSubmit(async (formValues) => {
+    const payload = toContentPayload(formValues, status);
+    formLogger.info(isNew ? 'Creating content' : 'Updating content', { id: initialContent?.id, status });
+    setSavingStatus(status);
+    setSaveError(null);
+
+    try {
+      const response = await apiRequest(isNew ? '/content' : `/content/${initialContent.id}`, {
+        method: isNew ? 'POST' : 'PUT',
+        body: JSON.stringify(payload)
+      });
+
+      formLogger.success('Content saved', { id: response.content.id, status });
+      form.reset(toFormValues(response.content));
+      if (onSaved) {
+        onSaved(response.content);
+      }
+    } catch (error) {
+      formLogger.error('Failed to save content', error);
+      // Show server-side field errors next to the matching inputs
+      (error.errors || []).forEach(({ field, message }) => {
+        form.setError(toFormFieldName(field), { type: 'server', message });
+      });
+      setSaveError(error.message);
+    } finally {
+      setSavingStatus(null);
+    }
+  }, (errors) => {
+    formLogger.validation('Form validation failed', errors);
+  });
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+      {/* Editor */}
+      <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+        <CardHeader>
+          <CardTitle className="text-2xl text-white">
+            {isNew ? 'New Content' : 'Edit Content'}
+          </CardTitle>
+          <CardDescription className="text-gray-400">
+            {isNew ? 'Create a reading, video or quiz item' : `Editing "${initialContent.title}"`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {saveError && (
+            <div className="p-4 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg">
+              <p className="font-medium">Content could not be saved</p>
+              <p className="text-red-700">{saveError}</p>
+            </div>
+          )}
+
+          <Form {...form}>
+            <form onSubmit={(e) => e.preventDefault()} className="space-y-5">
+              <FormField
+                control={form.control}
+                name="title"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className={labelClassName}>Title</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Introduction to Web Development" {...field} className={inputClassName} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="type"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className={labelClassName}>Content Type</FormLabel>
+                    <div className="flex flex-wrap gap-2">
+                      {CONTENT_TYPES.map(({ value, label }) => (
+                        <Button
+                          key={value}
+                          type="button"
+                          variant={field.value === value ? 'default' : 'outline'}
+                          onClick={() => field.onChange(value)}
+                          className={field.value === value
+                            ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                            : 'border-white/20 text-gray-300 hover:bg-white/10'}
+                        >
+                          {label}
+                        </Button>
+                      ))}
+                    </div>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="description"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className={labelClassName}>Description</FormLabel>
+                    <FormControl>
+                      <Textarea rows={2} placeholder="What learners will get out of this item" {...field} className={inputClassName} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <FormField
+                  control={form.control}
+                  name="category"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className={labelClassName}>Category</FormLabel>
+                      <FormControl>
+                        <Input placeholder="Web Development" {...field} className={inputClassName} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="level"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className={labelClassName}>Level</FormLabel>
+                      <FormControl>
+                        <select {...field} className={selectClassName}>
+                          <option value="" className="bg-gray-800">Not set</option>
+                          {CONTENT_LEVELS.map(level => (
+                            <option key={level} value={level} className="bg-gray-800">{level}</option>
+                          ))}
+                        </select>
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="duration"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className={labelClassName}>Duration</FormLabel>
+                      <FormControl>
+                        <Input placeholder="30 min" {...field} className={inputClassName} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              <FormField
+                control={form.control}
+                name="tags"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className={labelClassName}>Tags</FormLabel>
+                    <FormControl>
+                      <Input placeholder="HTML, CSS, JavaScript" {...field} className={inputClassName} />
+                    </FormControl>
+                    <FormDescription className="text-gray-500">Separate tags with commas</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              {type === 'text' && (
+                <FormField
+                  control={form.control}
+                  name="content"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className={labelClassName}>Body</FormLabel>
+                      <FormControl>
+                        <Textarea rows={12} placeholder={'## Getting Started\n\nWrite the reading material in Markdown...'} {...field} className={`${inputClassName} font-mono`} />
+                      </FormControl>
+                      <FormDescription className="text-gray-500">
+                        Markdown is supported: headings, lists, tables, fenced code blocks, images and callouts such as <code>&gt; [!TIP]</code>
+                      </FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              )}
+
+              {type === 'video' && (
+                <FormField
+                  control={form.control}
+                  name="videoUrl"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel className={labelClassName}>Video URL</FormLabel>
+                      <FormControl>
+                        <Input placeholder="https://www.youtube.com/watch?v=..." {...field} className={inputClassName} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              )}
+
+              {type === 'quiz' && <QuizBuilder />}
+
+              <div className="flex flex-wrap justify-end gap-3 pt-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={onCancel}
+                  disabled={!!savingStatus}
+                  className="border-white/20 text-gray-300 hover:bg-white/10"
+                >
+                  Cancel
+                </Button>
+                <Button
+                  type="button"
+                  onClick={save('draft')}
+                  disabled={!!savingStatus}
+                  className="bg-gray-600 hover:bg-gray-700 text-white"
+                >
+                  {savingStatus === 'draft' ? 'Saving...' : 'Save Draft'}
+                </Button>
+                <Button
+                  type="button"
+                  onClick={save('published')}
+                  disabled={!!savingStatus}
+                  className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white"
+                >
+                  {savingStatus === 'published' ? 'Publishing...' : 'Publish'}
+                </Button>
+              </div>
+            </form>
+          </Form>
+        </CardContent>
+      </Card>
+
+      {/* Live preview */}
+      <div className="space-y-3">
+        <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-400">Live Preview</h3>
+        <CourseViewer
+          key={`${type}-${values.questions?.length || 0}`}
+          course={previewCourse}
+          preview
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ContentForm;
@@ -0,0 +1,228 @@
+/**
+ * Quiz Builder Component
+ * Edits the `questions` field array of the content authoring form
+ * Questions and their options can be added, reordered and removed, and one
+ * option per question is marked as the correct answer
+ */
+
+import React from 'react';
+import { useFieldArray, useFormContext, useWatch } from 'react-hook-form';
+import { Button } from '@/components/ui/button';
+import {
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+import { emptyOption, emptyQuestion } from '@/lib/contentForm';
+
+const inputClassName = 'bg-white/5 border-white/10 text-white placeholder:text-gray-500';
+const iconButtonClassName = 'h-8 w-8 text-gray-400 hover:text-white hover:bg-white/10 disabled:opacity-30';
+
+// Array-level errors end up either on the field itself or on its root entry
+const arrayErrorMessage = (error) => error?.message || error?.root?.message;
+
+function QuestionEditor({ index, total, onMove, onRemove }) {
+  const { control, setValue, formState: { errors } } = useFormContext();
+  const optionsName = `questions.${index}.options`;
+  const correctName = `questions.${index}.correct`;
+  const { fields, append, remove, move } = useFieldArray({ control, name: optionsName });
+  const correct = useWatch({ control, name: correctName });
+
+  const markCorrect = (optionIndex) => {
+    setValue(correctName, optionIndex, { shouldDirty: true, shouldValidate: true });
+  };
+
+  // Keep the correct answer pointing at the same option when options move
+  const moveOption = (from, to) => {
+    move(from, to);
+    if (correct === from) {
+      markCorrect(to);
+    } else if (correct === to) {
+      markCorrect(from);
+    }
+  };
+
+  const removeOption = (optionIndex) => {
+    remove(optionIndex);
+    if (correct === optionIndex) {
+      markCorrect(null);
+    } else if (correct > optionIndex) {
+      markCorrect(correct - 1);
+    }
+  };
+
+  const optionsError = arrayErrorMessage(errors.questions?.[index]?.options);
+
+  return (
+    <div className="space-y-4 p-4 rounded-lg border border-white/10 bg-white/5">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-gray-300">Question {index + 1}</h4>
+        <div className="flex items-center space-x-1">
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={() => onMove(index, index - 1)}
+            disabled={index === 0}
+            className={iconButtonClassName}
+            aria-label="Move question up"
+          >
+            ↑
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={() => onMove(index, index + 1)}
+            disabled={index === total - 1}
+            className={iconButtonClassName}
+            aria-label="Move question down"
+          >
+            ↓
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={() => onRemove(index)}
+            disabled={total === 1}
+            className={`${iconButtonClassName} hover:text-red-400`}
+            aria-label="Remove question"
+          >
+            ✕
+          </Button>
+        </div>
+      </div>
+
+      <FormField
+        control={control}
+        name={`questions.${index}.question`}
+        render={({ field }) => (
+          <FormItem>
+            <FormLabel className="text-sm font-medium text-gray-400">Question</FormLabel>
+            <FormControl>
+              <Input placeholder="What does HTML stand for?" {...field} className={inputClassName} />
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-400">Options (select the correct answer)</p>
+        {fields.map((option, optionIndex) => (
+          <div key={option.id} className="flex items-start space-x-2">
+            <button
+              type="button"
+              onClick={() => markCorrect(optionIndex)}
+              className={`mt-1.5 w-6 h-6 shrink-0 rounded-full border-2 flex items-center justify-center transition-colors ${
+                correct === optionIndex ? 'border-green-500 bg-green-500' : 'border-gray-400 hover:border-green-400'
+              }`}
+              aria-label={`Mark option ${optionIndex + 1} as correct`}
+              aria-pressed={correct === optionIndex}
+            >
+              {correct === optionIndex && <div className="w-2 h-2 bg-white rounded-full"></div>}
+            </button>
+            <FormField
+              control={control}
+              name={`${optionsName}.${optionIndex}.text`}
+              render={({ field }) => (
+                <FormItem className="flex-1">
+                  <FormControl>
+                    <Input placeholder={`Option ${optionIndex + 1}`} {...field} className={inputClassName} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => moveOption(optionIndex, optionIndex - 1)}
+              disabled={optionIndex === 0}
+              className={iconButtonClassName}
+              aria-label="Move option up"
+            >
+              ↑
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => moveOption(optionIndex, optionIndex + 1)}
+              disabled={optionIndex === fields.length - 1}
+              className={iconButtonClassName}
+              aria-label="Move option down"
+            >
+              ↓
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => removeOption(optionIndex)}
+              className={`${iconButtonClassName} hover:text-red-400`}
+              aria-label="Remove option"
+            >
+              ✕
+            </Button>
+          </div>
+        ))}
+        {optionsError && <p className="text-destructive text-sm">{optionsError}</p>}
+        <FormField
+          control={control}
+          name={correctName}
+          render={() => (
+            <FormItem>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => append(emptyOption())}
+          className="border-white/20 text-gray-300 hover:bg-white/10"
+        >
+          + Add Option
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export function QuizBuilder() {
+  const { control, formState: { errors } } = useFormContext();
+  const { fields, append, remove, move } = useFieldArray({ control, name: 'questions' });
+  const questionsError = arrayErrorMessage(errors.questions);
+
+  return (
+    <div className="space-y-4">
+      {fields.map((question, index) => (
+        <QuestionEditor
+          key={question.id}
+          index={index}
+          total={fields.length}
+          onMove={move}
+          onRemove={remove}
+        />
+      ))}
+      {questionsError && <p className="text-destructive text-sm">{questionsError}</p>}
+      <Button
+        type="button"
+        variant="outline"
+        onClick={() => append(emptyQuestion())}
+        className="w-full border-dashed border-white/20 text-gray-300 hover:bg-white/10"
+      >
+        + Add Question
+      </Button>
+    </div>
+  );
+}
+
+export default QuizBuilder;
@@ -4,11 +4,16 @@
  * Provides insights into user behavior and learning patterns
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
+import { VideoCoverageHeatmap } from '@/components/VideoCoverageHeatmap';
+import { MoodleImportCard } from '@/components/MoodleImportCard';
+import { ClickstreamEventTable } from '@/components/ClickstreamEventTable';
+import { useAuth } from '@/contexts/AuthContext';
+import { formatMinutes } from '@/lib/utils';
 
 // Enhanced logger for analytics
 const analyticsLogger = {
@@ -23,27 +28,53 @@ const analyticsLogger = {
   }
 };
 
+// Quoted CSV cell; values a spreadsheet would run as a formula get a leading '
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return `"${(/^[=+\-@\t\r]./s.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
+
 export function AnalyticsDashboard({ onBack }) {
-  const [analyticsData, setAnalyticsData] = useState(null);
+  const { apiRequest } = useAuth();
+  const [summary, setSummary] = useState(null);
+  const [sessionSummary, setSessionSummary] = useState(null);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [topContent, setTopContent] = useState([]);
+  const [videoCoverage, setVideoCoverage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [cohort, setCohort] = useState('all');
+  // Once the aggregates have loaded, switching cohort refreshes in the background
+  const loadedRef = useRef(false);
+
+  // Events imported from Moodle logs form their own cohort, filtered on the server
+  const withCohort = useCallback((endpoint) => {
+    if (cohort === 'all') return endpoint;
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}cohort=${cohort}`;
+  }, [cohort]);
 
-  // Fetch analytics data
-  const fetchAnalytics = async () => {
+  // Fetch aggregated analytics; a background refresh keeps the page on screen
+  const fetchAnalytics = useCallback(async ({ background = false } = {}) => {
     try {
-      setLoading(true);
-      analyticsLogger.info('Fetching clickstream analytics data');
-      
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'}/analytics/clickstream`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      if (!background) setLoading(true);
+      analyticsLogger.info('Fetching analytics aggregates', { cohort });
       
-      const data = await response.json();
-      setAnalyticsData(data);
+      const [summaryResponse, typesResponse, contentResponse, coverage, sessionsResponse] = await Promise.all([
+        apiRequest(withCohort('/analytics/summary')),
+        apiRequest(withCohort('/analytics/events-by-type')),
+        apiRequest(withCohort('/analytics/top-content?limit=5')),
+        apiRequest(withCohort('/analytics/videos/coverage')),
+        apiRequest(withCohort('/analytics/sessions?limit=1'))
+      ]);
+      setSummary(summaryResponse.data);
+      setSessionSummary(sessionsResponse.summary);
+      setEventTypes(typesResponse.data);
+      setTopContent(contentResponse.data);
+      setVideoCoverage(coverage.videos);
+      loadedRef.current = true;
       analyticsLogger.success('Analytics data loaded successfully', { 
-        totalEvents: data.data?.length || 0 
+        totalEvents: summaryResponse.data.totalEvents,
+        videos: coverage.videos?.length || 0
       });
       
     } catch (error) {
@@ -52,114 +83,105 @@ export function AnalyticsDashboard({ onBack }) {
     } finally {
       setLoading(false);
     }
-  };
+  }, [apiRequest, withCohort, cohort]);
 
-  // Export functions
-  const exportToCSV = () => {
-    if (!analyticsData?.data) return;
-    
-    const csvContent = [
-      ['Event ID', 'User ID', 'Session ID', 'Event Type', 'Timestamp', 'Course ID', 'Additional Data'],
-      ...analyticsData.data.map(event => [
-        event.id,
-        event.userId,
-        event.sessionId,
-        event.eventType || event.action || 'unknown',
-        event.timestamp,
-        event.eventData?.courseId || '',
-        JSON.stringify(event.eventData || {})
-      ])
-    ].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `learning_analytics_${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
-    
-    analyticsLogger.success('Data exported to CSV');
+  // Exports need the raw events, which are only downloaded on demand, a page
+  // at a time
+  const fetchRawEvents = async () => {
+    const events = [];
+    let cursor = null;
+    do {
+      const response = await apiRequest(withCohort(
+        `/analytics/clickstream?limit=1000${cursor ? `&cursor=${cursor}` : ''}`
+      ));
+      events.push(...response.data);
+      cursor = response.nextCursor;
+    } while (cursor);
+    return events;
   };
 
-  const exportToJSON = () => {
-    if (!analyticsData?.data) return;
-    
-    const jsonData = {
-      exportDate: new Date().toISOString(),
-      totalEvents: analyticsData.data.length,
-      analytics: analytics,
-      rawData: analyticsData.data
-    };
-    
-    const blob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `learning_analytics_${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    window.URL.revokeObjectURL(url);
-    
-    analyticsLogger.success('Data exported to JSON');
+  // Export functions
+  const exportToCSV = async () => {
+    try {
+      const events = await fetchRawEvents();
+      const csvContent = [
+        ['Event ID', 'User ID', 'Session ID', 'Event Type', 'Timestamp', 'Course ID', 'Additional Data'],
+        ...events.map(event => [
+          event.id,
+          event.userId,
+          event.sessionId,
+          event.eventType,
+          event.timestamp,
+          event.eventData?.courseId || '',
+          JSON.stringify(event.eventData || {})
+        ])
+      ].map(row => row.map(csvCell).join(',')).join('\n');
+      
+      const blob = new Blob([csvContent], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `learning_analytics_${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      
+      analyticsLogger.success('Data exported to CSV');
+    } catch (error) {
+      analyticsLogger.error('CSV export failed', error);
+    }
   };
 
-  useEffect(() => {
-    fetchAnalytics();
-  }, []);
-
-  // Process analytics data for display
-  const processAnalytics = (clickstream) => {
-    if (!clickstream || clickstream.length === 0) {
-      return {
-        totalEvents: 0,
-        uniqueSessions: 0,
-        eventTypes: {},
-        recentEvents: [],
-        topCourses: {},
-        quizCompletions: []
+  const exportToJSON = async () => {
+    try {
+      const events = await fetchRawEvents();
+      const jsonData = {
+        exportDate: new Date().toISOString(),
+        totalEvents: events.length,
+        analytics: summary,
+        rawData: events
       };
+      
+      const blob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `learning_analytics_${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      
+      analyticsLogger.success('Data exported to JSON');
+    } catch (error) {
+      analyticsLogger.error('JSON export failed', error);
     }
+  };
 
-    const uniqueSessions = [...new Set(clickstream.map(event => event.sessionId))];
-    const eventTypes = {};
-    const topCourses = {};
-    const quizCompletions = [];
-
-    clickstream.forEach(event => {
-      // Count event types
-      const eventType = event.eventType || event.action || 'unknown';
-      eventTypes[eventType] = (eventTypes[eventType] || 0) + 1;
-
-      // Track course interactions
-      if (event.eventData?.courseId) {
-        const courseKey = `${event.eventData.courseId} - ${event.eventData.courseTitle || 'Unknown'}`;
-        topCourses[courseKey] = (topCourses[courseKey] || 0) + 1;
-      }
+  // Server-side export in Moodle's log report columns, with times in the
+  // browser's time zone like Moodle's own downloads
+  const exportToMoodle = async (format) => {
+    try {
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const blob = await apiRequest(
+        withCohort(`/analytics/export/moodle?format=${format}&timezone=${encodeURIComponent(timezone)}`),
+        { responseType: 'blob' }
+      );
 
-      // Track quiz completions
-      if (eventType === 'quiz_complete') {
-        quizCompletions.push({
-          courseId: event.eventData?.courseId,
-          courseTitle: event.eventData?.courseTitle,
-          score: event.eventData?.score,
-          totalQuestions: event.eventData?.totalQuestions,
-          percentage: event.eventData?.percentage,
-          timestamp: event.timestamp
-        });
-      }
-    });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `moodle_logs_${new Date().toISOString().split('T')[0]}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
 
-    return {
-      totalEvents: clickstream.length,
-      uniqueSessions: uniqueSessions.length,
-      eventTypes,
-      recentEvents: clickstream.slice(-10).reverse(),
-      topCourses,
-      quizCompletions
-    };
+      analyticsLogger.success(`Data exported to Moodle ${format.toUpperCase()}`);
+    } catch (error) {
+      analyticsLogger.error('Moodle export failed', error);
+    }
   };
 
-  const analytics = analyticsData?.data ? processAnalytics(analyticsData.data) : null;
+  useEffect(() => {
+    fetchAnalytics({ background: loadedRef.current });
+  }, [fetchAnalytics]);
+
 
   // Loading state
   if (loading) {
@@ -255,9 +277,43 @@ export function AnalyticsDashboard({ onBack }) {
               </svg>
               Export JSON
             </Button>
+            <Button onClick={() => exportToMoodle('csv')} variant="outline" className="bg-orange-600 hover:bg-orange-700 text-white border-orange-600">
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+              Moodle CSV
+            </Button>
+            <Button onClick={() => exportToMoodle('xlsx')} variant="outline" className="bg-orange-600 hover:bg-orange-700 text-white border-orange-600">
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+              Moodle XLSX
+            </Button>
           </div>
         </div>
 
+        <MoodleImportCard onImported={() => fetchAnalytics({ background: true })} />
+
+        {/* Cohort Filter */}
+        <div className="flex flex-wrap gap-2">
+          {[
+            ['all', '👥 All Learners'],
+            ['platform', '🏫 Platform Learners'],
+            ['moodle', '📥 Moodle Imports']
+          ].map(([value, label]) => (
+            <Button
+              key={value}
+              variant={cohort === value ? "default" : "outline"}
+              onClick={() => setCohort(value)}
+              className={cohort === value
+                ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                : 'border-white/20 text-gray-300 hover:bg-white/10'}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+
         {/* Overview Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
@@ -266,17 +322,20 @@ export function AnalyticsDashboard({ onBack }) {
               <CardDescription className="text-gray-400">All tracked interactions</CardDescription>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-blue-300">{analytics?.totalEvents || 0}</div>
+              <div className="text-3xl font-bold text-blue-300">{summary?.totalEvents || 0}</div>
             </CardContent>
           </Card>
 
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader className="pb-3">
-              <CardTitle className="text-lg text-white">Unique Sessions</CardTitle>
-              <CardDescription className="text-gray-400">Different user sessions</CardDescription>
+              <CardTitle className="text-lg text-white">Sessions</CardTitle>
+              <CardDescription className="text-gray-400">Ended by sign-out or 30 minutes of inactivity</CardDescription>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-green-300">{analytics?.uniqueSessions || 0}</div>
+              <div className="text-3xl font-bold text-green-300">{sessionSummary?.totalSessions || 0}</div>
+              <div className="text-sm text-gray-400 mt-1">
+                Avg {formatMinutes(sessionSummary?.averageMinutes || 0)} · {sessionSummary?.activeSessions || 0} active now
+              </div>
             </CardContent>
           </Card>
 
@@ -286,7 +345,7 @@ export function AnalyticsDashboard({ onBack }) {
               <CardDescription className="text-gray-400">Completed assessments</CardDescription>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-purple-300">{analytics?.quizCompletions?.length || 0}</div>
+              <div className="text-3xl font-bold text-purple-300">{summary?.quizCompletions || 0}</div>
             </CardContent>
           </Card>
 
@@ -297,14 +356,14 @@ export function AnalyticsDashboard({ onBack }) {
             </CardHeader>
             <CardContent>
               <div className="text-3xl font-bold text-yellow-300">
-                {analytics?.eventTypes ? Object.keys(analytics.eventTypes).length : 0}
+                {eventTypes.length}
               </div>
             </CardContent>
           </Card>
         </div>
 
         {/* Event Types Breakdown */}
-        {analytics?.eventTypes && Object.keys(analytics.eventTypes).length > 0 && (
+        {eventTypes.length > 0 && (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader>
               <CardTitle className="text-xl text-white">Event Types Breakdown</CardTitle>
@@ -312,7 +371,7 @@ export function AnalyticsDashboard({ onBack }) {
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                {Object.entries(analytics.eventTypes).map(([eventType, count]) => (
+                {eventTypes.map(({ eventType, count }) => (
                   <div key={eventType} className="text-center">
                     <Badge variant="outline" className="bg-white/10 text-gray-300 mb-2">
                       {eventType.replace('_', ' ').toUpperCase()}
@@ -325,8 +384,51 @@ export function AnalyticsDashboard({ onBack }) {
           </Card>
         )}
 
+        {/* Top Content */}
+        {topContent.length > 0 && (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">Top Content</CardTitle>
+              <CardDescription className="text-gray-400">Most active courses and activities</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-3">
+                {topContent.map((item) => (
+                  <div key={item.courseId} className="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+                    <div>
+                      <div className="font-semibold text-white">{item.title}</div>
+                      <div className="text-xs text-gray-400">
+                        {item.views} views · {item.learners} {item.learners === 1 ? 'learner' : 'learners'}
+                        {item.averageQuizPercentage !== null && ` · average quiz score ${item.averageQuizPercentage}%`}
+                      </div>
+                    </div>
+                    <Badge variant="outline" className="bg-blue-500/20 text-blue-300">
+                      {item.events} events
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Video Watch Coverage */}
+        {videoCoverage && (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">Video Watch Coverage</CardTitle>
+              <CardDescription className="text-gray-400">
+                Which parts of each video were watched, re-watched or skipped, and where viewers rewind or drop off
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <VideoCoverageHeatmap videos={videoCoverage} />
+            </CardContent>
+          </Card>
+        )}
+
         {/* Quiz Results */}
-        {analytics?.quizCompletions && analytics.quizCompletions.length > 0 && (
+        {summary?.recentQuizCompletions?.length > 0 && (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader>
               <CardTitle className="text-xl text-white">Quiz Performance</CardTitle>
@@ -334,7 +436,7 @@ export function AnalyticsDashboard({ onBack }) {
             </CardHeader>
             <CardContent>
               <div className="space-y-4">
-                {analytics.quizCompletions.slice(0, 5).map((quiz, index) => (
+                {summary.recentQuizCompletions.map((quiz, index) => (
                   <div key={index} className="flex items-center justify-between p-4 bg-white/5 rounded-lg">
                     <div>
                       <div className="font-semibold text-white">{quiz.courseTitle || `Course ${quiz.courseId}`}</div>
@@ -364,8 +466,21 @@ export function AnalyticsDashboard({ onBack }) {
           </Card>
         )}
 
+        {/* Event Log */}
+        {summary?.totalEvents > 0 && (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">Event Log</CardTitle>
+              <CardDescription className="text-gray-400">Every tracked interaction, newest first</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ClickstreamEventTable key={cohort} cohort={cohort} eventTypes={eventTypes} />
+            </CardContent>
+          </Card>
+        )}
+
         {/* Recent Events */}
-        {analytics?.recentEvents && analytics.recentEvents.length > 0 && (
+        {summary?.recentEvents?.length > 0 && (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader>
               <CardTitle className="text-xl text-white">Recent Activity</CardTitle>
@@ -373,11 +488,11 @@ export function AnalyticsDashboard({ onBack }) {
             </CardHeader>
             <CardContent>
               <div className="space-y-3">
-                {analytics.recentEvents.slice(0, 8).map((event, index) => (
+                {summary.recentEvents.slice(0, 8).map((event, index) => (
                   <div key={index} className="flex items-center justify-between p-3 bg-white/5 rounded-lg">
                     <div className="flex items-center space-x-3">
                       <Badge variant="outline" className="bg-blue-500/20 text-blue-300">
-                        {(event.eventType || event.action || 'unknown').replace('_', ' ')}
+                        {event.eventType.replace('_', ' ')}
                       </Badge>
                       <div>
                         <div className="text-sm text-white">
@@ -399,7 +514,7 @@ export function AnalyticsDashboard({ onBack }) {
         )}
 
         {/* No Data State */}
-        {(!analytics || analytics.totalEvents === 0) && (
+        {(!summary || summary.totalEvents === 0) && (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardContent className="p-8 text-center">
               <div className="text-4xl mb-4">📊</div>
@@ -0,0 +1,196 @@
+/**
+ * Content Authoring Page Component
+ * Lets instructors and admins list, create, edit and delete learning content
+ * Drafts stay hidden from learners until they are published
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ContentForm } from '@/components/forms/ContentForm';
+import { useAuth } from '@/contexts/AuthContext';
+
+// Enhanced logger for the authoring page
+const authoringLogger = {
+  info: (message, data = null) => {
+    console.log(`✏️ [CONTENT_AUTHORING] ${message}`, data ? { data } : '');
+  },
+  success: (message, data = null) => {
+    console.log(`✅ [CONTENT_AUTHORING] ${message}`, data ? { data } : '');
+  },
+  error: (message, error = null) => {
+    console.error(`❌ [CONTENT_AUTHORING] ${message}`, error ? { error } : '');
+  }
+};
+
+const TYPE_ICONS = { text: '📄', video: '🎥', quiz: '📝' };
+
+export function ContentAuthoring({ onBack }) {
+  const { apiRequest } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // null shows the content list, {} a blank form, and an item edits that item
+  const [editing, setEditing] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      authoringLogger.info('Fetching content for authoring');
+      setLoading(true);
+      setError(null);
+
+      const data = await apiRequest('/content/manage');
+      setItems(data.content || []);
+      authoringLogger.success('Content fetched', { count: data.content?.length });
+    } catch (err) {
+      authoringLogger.error('Failed to fetch content', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const handleSaved = (saved) => {
+    setItems(current => {
+      const exists = current.some(item => item.id === saved.id);
+      return exists
+        ? current.map(item => (item.id === saved.id ? saved : item))
+        : [...current, saved];
+    });
+    setEditing(saved);
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete "${item.title}"? It can be restored later by an instructor.`)) {
+      return;
+    }
+
+    try {
+      await apiRequest(`/content/${item.id}`, { method: 'DELETE' });
+      authoringLogger.success('Content deleted', { id: item.id });
+      setItems(current => current.filter(existing => existing.id !== item.id));
+    } catch (err) {
+      authoringLogger.error('Failed to delete content', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-indigo-900 p-4">
+      <div className="max-w-7xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div className="space-y-2">
+            <Button
+              variant="ghost"
+              onClick={editing ? () => setEditing(null) : onBack}
+              className="text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              {editing ? 'Back to Content' : 'Back to Dashboard'}
+            </Button>
+            <h1 className="text-4xl font-bold text-white">Content Authoring</h1>
+            <p className="text-xl text-gray-300">
+              Create and publish reading material, videos and quizzes
+            </p>
+          </div>
+          {!editing && (
+            <Button
+              onClick={() => setEditing({})}
+              className="bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white"
+            >
+              + New Content
+            </Button>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-4 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {editing ? (
+          <ContentForm
+            key={editing.id || 'new'}
+            initialContent={editing}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">All Content</CardTitle>
+              <CardDescription className="text-gray-400">
+                {items.length} items, including drafts
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {loading ? (
+                <div className="text-center py-8 text-gray-400">
+                  <div className="animate-spin text-3xl mb-2">✏️</div>
+                  Loading content...
+                </div>
+              ) : items.length === 0 ? (
+                <div className="text-center py-8 text-gray-400">
+                  No content yet. Create the first item to get started.
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {items.map(item => (
+                    <div key={item.id} className="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+                      <div className="flex items-center space-x-3 min-w-0">
+                        <span className="text-2xl">{TYPE_ICONS[item.type] || '❓'}</span>
+                        <div className="min-w-0">
+                          <p className="text-white font-medium truncate">{item.title}</p>
+                          <p className="text-xs text-gray-400">
+                            {[item.category, item.level, item.duration].filter(Boolean).join(' • ')}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2 shrink-0">
+                        <Badge
+                          variant="outline"
+                          className={item.status === 'draft'
+                            ? 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30'
+                            : 'bg-green-500/20 text-green-300 border-green-500/30'}
+                        >
+                          {item.status === 'draft' ? 'Draft' : 'Published'}
+                        </Badge>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setEditing(item)}
+                          className="text-gray-300 hover:text-white hover:bg-white/10"
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDelete(item)}
+                          className="text-red-400 hover:text-red-300 hover:bg-red-500/10"
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ContentAuthoring;
@@ -2,14 +2,20 @@
  * Course Viewer Component
  * Displays individual course content based on type (text, video, quiz)
  * Includes progress tracking and clickstream logging
+ * In preview mode (used by content authoring) only the content card is rendered
+ * and no clickstream events are recorded
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
+import { MarkdownContent } from '@/components/MarkdownContent';
+import { VideoPlayer } from '@/components/VideoPlayer';
 import clickstreamService from '@/services/clickstreamService';
+import { readingTimeMinutes } from '@/lib/markdown';
+import { createReadingTracker } from '@/lib/readingTracking';
 
 // Enhanced logger for course viewer
 const courseLogger = {
@@ -27,12 +33,88 @@ const courseLogger = {
   }
 };
 
+const READING_EVENT_TRACKERS = {
+  text_content_scroll: 'trackTextContentScroll',
+  text_content_section: 'trackTextContentSection',
+  text_content_complete: 'trackTextContentComplete'
+};
+
+// Reading time keeps running between scrolls at this interval
+const READING_TICK_MS = 1000;
+
+// The section being read is the last heading above this share of the viewport
+const READING_LINE = 0.3;
+
+// How far through the text the bottom of the viewport is (0-100), and the
+// section under the reading line; text before the first heading is index -1
+const measureReading = (element) => {
+  const rect = element.getBoundingClientRect();
+  const depth = rect.height > 0 ? ((window.innerHeight - rect.top) / rect.height) * 100 : 100;
+
+  let section = { heading: null, index: -1 };
+  element.querySelectorAll('h2, h3, h4, h5').forEach((heading, index) => {
+    if (heading.getBoundingClientRect().top <= window.innerHeight * READING_LINE) {
+      section = { heading: heading.textContent, index };
+    }
+  });
+
+  return { depth: Math.min(100, Math.max(0, depth)), section };
+};
+
 // Text Content Component
-function TextContent({ course }) {
+function TextContent({ course, preview }) {
+  const contentRef = useRef(null);
+  const readingTime = readingTimeMinutes(course.content);
+
   useEffect(() => {
     courseLogger.info('Text content displayed', { courseId: course.id });
-    clickstreamService.trackTextContentView(course.id);
-  }, [course.id]);
+    if (!preview) {
+      clickstreamService.trackTextContentView(course.id);
+    }
+  }, [course.id, preview]);
+
+  // Scroll milestones, time per section and completion
+  useEffect(() => {
+    const element = contentRef.current;
+    if (preview || !element) return;
+
+    const tracker = createReadingTracker({
+      send: (eventType, reading) => {
+        courseLogger.interaction(`Reading event: ${eventType}`, { courseId: course.id, ...reading });
+        clickstreamService[READING_EVENT_TRACKERS[eventType]](course.id, reading);
+      },
+      expectedReadingMs: readingTime * 60000
+    });
+
+    const update = () => {
+      if (document.visibilityState !== 'visible') return;
+      const { depth, section } = measureReading(element);
+      tracker.update(depth, section);
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        tracker.resume();
+        update();
+      } else {
+        tracker.pause();
+      }
+    };
+
+    if (document.visibilityState !== 'visible') tracker.pause();
+    update();
+    const tickTimer = setInterval(update, READING_TICK_MS);
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(tickTimer);
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      tracker.close();
+    };
+  }, [course.id, preview, readingTime]);
 
   return (
     <Card className="bg-white/5 backdrop-blur-sm border-white/10">
@@ -48,36 +130,16 @@ function TextContent({ course }) {
         </div>
       </CardHeader>
       <CardContent className="space-y-6">
-        <div className="prose prose-invert max-w-none">
-          <div className="text-gray-300 leading-relaxed">
-            <h3 className="text-xl font-semibold text-white mb-4">Introduction to Web Development</h3>
-            <p className="mb-4">
-              Web development is the process of building and maintaining websites. It involves several key technologies 
-              and concepts that work together to create interactive web experiences.
-            </p>
-            
-            <h4 className="text-lg font-semibold text-gray-200 mb-3">Core Technologies:</h4>
-            <ul className="list-disc list-inside space-y-2 mb-4">
-              <li><strong className="text-blue-300">HTML</strong> - Structure and content of web pages</li>
-              <li><strong className="text-green-300">CSS</strong> - Styling and layout of web pages</li>
-              <li><strong className="text-yellow-300">JavaScript</strong> - Interactive behavior and functionality</li>
-            </ul>
-
-            <h4 className="text-lg font-semibold text-gray-200 mb-3">Getting Started:</h4>
-            <p className="mb-4">
-              Begin by understanding HTML structure, then learn CSS for styling, and finally add JavaScript 
-              for interactivity. Practice building simple projects to reinforce your learning.
-            </p>
-
-            <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-4 mt-6">
-              <h5 className="text-blue-300 font-semibold mb-2">💡 Pro Tip:</h5>
-              <p className="text-sm text-gray-300">
-                Start with small projects and gradually increase complexity. Use browser developer tools 
-                to experiment and debug your code.
-              </p>
-            </div>
+        {course.content ? (
+          <div ref={contentRef}>
+            <MarkdownContent markdown={course.content} />
           </div>
-        </div>
+        ) : (
+          <div className="text-center py-8 text-gray-400">
+            <div className="text-4xl mb-2">📄</div>
+            <p>This reading material is being written and will be available soon</p>
+          </div>
+        )}
         
         <Separator className="bg-white/10" />
         
@@ -86,7 +148,7 @@ function TextContent({ course }) {
             📚 Reading Material
           </Badge>
           <div className="text-sm text-gray-400">
-            Estimated reading time: 5 minutes
+            Estimated reading time: {readingTime} {readingTime === 1 ? 'minute' : 'minutes'}
           </div>
         </div>
       </CardContent>
@@ -95,27 +157,10 @@ function TextContent({ course }) {
 }
 
 // Video Content Component
-function VideoContent({ course }) {
-  const [videoLoaded, setVideoLoaded] = useState(false);
-
+function VideoContent({ course, preview }) {
   useEffect(() => {
     courseLogger.info('Video content displayed', { courseId: course.id, videoUrl: course.videoUrl });
-  }, [course.id]);
-
-  const handleVideoLoad = () => {
-    setVideoLoaded(true);
-    courseLogger.interaction('Video loaded', { courseId: course.id });
-  };
-
-  const handleVideoPlay = () => {
-    courseLogger.interaction('Video play started', { courseId: course.id });
-    clickstreamService.trackVideoPlay(course.id, course.videoUrl);
-  };
-
-  const handleVideoPause = () => {
-    courseLogger.interaction('Video paused', { courseId: course.id });
-    clickstreamService.trackVideoPause(course.id, course.videoUrl, 0); // currentTime would need to be tracked
-  };
+  }, [course.id, course.videoUrl]);
 
   return (
     <Card className="bg-white/5 backdrop-blur-sm border-white/10">
@@ -133,17 +178,7 @@ function VideoContent({ course }) {
       <CardContent className="space-y-6">
         <div className="aspect-video bg-gray-800 rounded-lg overflow-hidden">
           {course.videoUrl ? (
-            <iframe
-              src={course.videoUrl.replace('watch?v=', 'embed/')}
-              title={course.title}
-              className="w-full h-full"
-              frameBorder="0"
-              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-              allowFullScreen
-              onLoad={handleVideoLoad}
-              onPlay={handleVideoPlay}
-              onPause={handleVideoPause}
-            />
+            <VideoPlayer course={course} preview={preview} />
           ) : (
             <div className="flex items-center justify-center h-full text-gray-400">
               <div className="text-center">
@@ -170,11 +205,13 @@ function VideoContent({ course }) {
 }
 
 // Quiz Content Component
-function QuizContent({ course }) {
+function QuizContent({ course, preview }) {
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [answers, setAnswers] = useState([]);
   const [showResults, setShowResults] = useState(false);
+  // When the current attempt started, for the time spent on the quiz
+  const quizStartRef = useRef(Date.now());
 
   const questions = course.quizData?.questions || [];
 
@@ -185,10 +222,11 @@ function QuizContent({ course }) {
     });
     
     // Track quiz start
-    if (questions.length > 0) {
+    quizStartRef.current = Date.now();
+    if (questions.length > 0 && !preview) {
       clickstreamService.trackQuizStart(course.id, course.title, questions.length);
     }
-  }, [course.id, questions.length]);
+  }, [course.id, questions.length, preview]);
 
   const handleAnswerSelect = (answerIndex) => {
     setSelectedAnswer(answerIndex);
@@ -203,6 +241,7 @@ function QuizContent({ course }) {
     });
     
     // Track quiz answer in clickstream
+    if (preview) return;
     clickstreamService.trackQuizAnswer(course.id, currentQuestion, answerIndex, isCorrect);
   };
 
@@ -220,7 +259,7 @@ function QuizContent({ course }) {
     } else {
       // Quiz completed - calculate score and track completion
       const score = calculateScore(newAnswers);
-      const timeSpent = Date.now() - parseInt(clickstreamService.sessionId.split('_')[1]);
+      const timeSpent = Date.now() - quizStartRef.current;
       
       setShowResults(true);
       courseLogger.success('Quiz completed', { 
@@ -231,7 +270,9 @@ function QuizContent({ course }) {
       });
       
       // Track quiz completion in clickstream
-      clickstreamService.trackQuizComplete(course.id, score, questions.length, timeSpent);
+      if (!preview) {
+        clickstreamService.trackQuizComplete(course.id, score, questions.length, timeSpent);
+      }
     }
   };
 
@@ -250,6 +291,7 @@ function QuizContent({ course }) {
     setSelectedAnswer(null);
     setAnswers([]);
     setShowResults(false);
+    quizStartRef.current = Date.now();
     courseLogger.info('Quiz reset', { courseId: course.id });
   };
 
@@ -383,7 +425,7 @@ function QuizContent({ course }) {
 }
 
 // Main Course Viewer Component
-export function CourseViewer({ course, onBack }) {
+export function CourseViewer({ course, onBack, preview = false }) {
   useEffect(() => {
     courseLogger.info('Course viewer opened', { 
       courseId: course.id, 
@@ -395,11 +437,11 @@ export function CourseViewer({ course, onBack }) {
   const renderContent = () => {
     switch (course.type) {
       case 'text':
-        return <TextContent course={course} />;
+        return <TextContent course={course} preview={preview} />;
       case 'video':
-        return <VideoContent course={course} />;
+        return <VideoContent course={course} preview={preview} />;
       case 'quiz':
-        return <QuizContent course={course} />;
+        return <QuizContent course={course} preview={preview} />;
       default:
         return (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
@@ -413,6 +455,10 @@ export function CourseViewer({ course, onBack }) {
     }
   };
 
+  if (preview) {
+    return renderContent();
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-indigo-900 p-4">
       <div className="max-w-4xl mx-auto space-y-6">
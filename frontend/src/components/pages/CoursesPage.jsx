@@ -10,6 +10,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { Input } from '@/components/ui/input';
+import { Tracked } from '@/components/Tracked';
 
 // Enhanced logger for courses page
 const coursesLogger = {
@@ -199,20 +200,21 @@ export function CoursesPage({ onBack, onSelectCourse }) {
             {/* Type Filter */}
             <div className="flex flex-wrap gap-2">
               {['all', 'text', 'video', 'quiz'].map((filterType) => (
-                <Button
-                  key={filterType}
-                  variant={filter === filterType ? "default" : "outline"}
-                  onClick={() => setFilter(filterType)}
-                  className={`${
-                    filter === filterType
-                      ? 'bg-blue-600 hover:bg-blue-700 text-white'
-                      : 'border-white/20 text-gray-300 hover:bg-white/10'
-                  }`}
-                >
-                  {filterType === 'all' ? '📚 All Content' : 
-                   filterType === 'text' ? '📄 Reading' :
-                   filterType === 'video' ? '🎥 Videos' : '📝 Quizzes'}
-                </Button>
+                <Tracked key={filterType} name="filter_content" context={{ filter: filterType }}>
+                  <Button
+                    variant={filter === filterType ? "default" : "outline"}
+                    onClick={() => setFilter(filterType)}
+                    className={`${
+                      filter === filterType
+                        ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                        : 'border-white/20 text-gray-300 hover:bg-white/10'
+                    }`}
+                  >
+                    {filterType === 'all' ? '📚 All Content' : 
+                     filterType === 'text' ? '📄 Reading' :
+                     filterType === 'video' ? '🎥 Videos' : '📝 Quizzes'}
+                  </Button>
+                </Tracked>
               ))}
             </div>
             
@@ -10,6 +10,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { useAuth } from '@/contexts/AuthContext';
+import { formatMinutes } from '@/lib/utils';
 
 // Enhanced logger for progress tracking
 const progressLogger = {
@@ -25,28 +26,30 @@ const progressLogger = {
 };
 
 export function LearningProgress({ onBack }) {
-  const { user } = useAuth();
+  const { user, apiRequest, hasRole } = useAuth();
   const [progressData, setProgressData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Instructors and admins can look at any learner, including Moodle imports
+  const canViewLearners = hasRole('instructor', 'admin');
+  const [learners, setLearners] = useState([]);
+  const [selectedLearner, setSelectedLearner] = useState(null);
+  const ownUserId = user?.username || user?.id;
+  const viewedUserId = selectedLearner || ownUserId;
+  const isOwnProgress = String(viewedUserId) === String(ownUserId);
 
-  // Fetch user progress data
+  // Fetch user progress data, aggregated on the server
   const fetchProgress = async () => {
     try {
       setLoading(true);
-      progressLogger.info('Fetching learning progress data', { userId: user?.username });
+      progressLogger.info('Fetching learning progress data', { userId: viewedUserId });
       
-      // Fetch clickstream data for this user
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'}/analytics/clickstream?userId=${user?.username || user?.id}`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const processedProgress = processProgressData(data.data || []);
-      setProgressData(processedProgress);
-      progressLogger.success('Progress data loaded successfully', processedProgress);
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const response = await apiRequest(
+        `/analytics/users/${encodeURIComponent(viewedUserId)}/summary?timezone=${encodeURIComponent(timezone)}`
+      );
+      setProgressData(response.data);
+      progressLogger.success('Progress data loaded successfully', response.data);
       
     } catch (error) {
       progressLogger.error('Failed to fetch progress data', error);
@@ -56,123 +59,18 @@ export function LearningProgress({ onBack }) {
     }
   };
 
-  // Process clickstream data into learning progress
-  const processProgressData = (clickstream) => {
-    if (!clickstream || clickstream.length === 0) {
-      return {
-        totalSessions: 0,
-        coursesViewed: [],
-        quizzesTaken: [],
-        videoWatched: [],
-        textContentViewed: [],
-        achievements: [],
-        learningStreak: 0,
-        totalTimeSpent: 0
-      };
-    }
-
-    const sessions = [...new Set(clickstream.map(event => event.sessionId))];
-    const coursesViewed = new Set();
-    const quizzesTaken = [];
-    const videoWatched = [];
-    const textContentViewed = [];
-    const achievements = [];
-
-    // Process events
-    clickstream.forEach(event => {
-      const eventType = event.eventType || event.action || 'unknown';
-      
-      // Track course views
-      if (eventType === 'course_view' && event.eventData?.courseId) {
-        coursesViewed.add(event.eventData.courseId);
-      }
-      
-      // Track quiz completions
-      if (eventType === 'quiz_complete') {
-        quizzesTaken.push({
-          courseId: event.eventData?.courseId,
-          courseTitle: event.eventData?.courseTitle,
-          score: event.eventData?.score || 0,
-          totalQuestions: event.eventData?.totalQuestions || 0,
-          percentage: event.eventData?.percentage || 0,
-          timestamp: event.timestamp
-        });
-      }
-      
-      // Track video interactions
-      if (eventType === 'video_play') {
-        videoWatched.push({
-          courseId: event.eventData?.courseId,
-          timestamp: event.timestamp
-        });
-      }
-      
-      // Track text content
-      if (eventType === 'text_content_view') {
-        textContentViewed.push({
-          courseId: event.eventData?.courseId,
-          timestamp: event.timestamp
-        });
-      }
-    });
-
-    // Calculate achievements
-    if (coursesViewed.size >= 1) {
-      achievements.push({
-        title: 'First Steps',
-        description: 'Viewed your first course',
-        icon: '🎯',
-        earned: true
-      });
-    }
-    
-    if (quizzesTaken.length >= 1) {
-      achievements.push({
-        title: 'Quiz Master',
-        description: 'Completed your first quiz',
-        icon: '🧠',
-        earned: true
-      });
-    }
-    
-    if (quizzesTaken.some(quiz => quiz.percentage >= 80)) {
-      achievements.push({
-        title: 'High Achiever',
-        description: 'Scored 80% or higher on a quiz',
-        icon: '⭐',
-        earned: true
-      });
-    }
-    
-    if (coursesViewed.size >= 3) {
-      achievements.push({
-        title: 'Explorer',
-        description: 'Explored 3 different courses',
-        icon: '🔍',
-        earned: true
-      });
-    }
-
-    // Calculate learning streak (simplified: number of different days with activity)
-    const activityDates = [...new Set(clickstream.map(event => 
-      new Date(event.timestamp).toDateString()
-    ))];
-
-    return {
-      totalSessions: sessions.length,
-      coursesViewed: Array.from(coursesViewed),
-      quizzesTaken,
-      videoWatched,
-      textContentViewed,
-      achievements,
-      learningStreak: activityDates.length,
-      totalTimeSpent: sessions.length * 15 // Rough estimate
-    };
-  };
+  const earnedAchievements = progressData?.achievements?.filter(achievement => achievement.earned) || [];
 
   useEffect(() => {
     fetchProgress();
-  }, [user]);
+  }, [user, selectedLearner]);
+
+  useEffect(() => {
+    if (!canViewLearners) return;
+    apiRequest('/analytics/learners')
+      .then(response => setLearners(response.data || []))
+      .catch(learnersError => progressLogger.error('Failed to fetch learners', learnersError));
+  }, [canViewLearners, apiRequest]);
 
   // Loading state
   if (loading) {
@@ -245,10 +143,28 @@ export function LearningProgress({ onBack }) {
               Back to Dashboard
             </Button>
             <div>
-              <h1 className="text-3xl font-bold text-white">Your Learning Progress</h1>
+              <h1 className="text-3xl font-bold text-white">
+                {isOwnProgress ? 'Your Learning Progress' : `Learning Progress: ${viewedUserId}`}
+              </h1>
               <p className="text-gray-400">Track your achievements and milestones</p>
             </div>
           </div>
+          {canViewLearners && learners.length > 0 && (
+            <select
+              value={viewedUserId}
+              onChange={(e) => setSelectedLearner(e.target.value)}
+              className="bg-white/10 border border-white/20 text-white rounded-md px-3 py-2 min-w-48 ml-auto mr-4"
+            >
+              {!learners.some(learner => String(learner.userId) === String(ownUserId)) && (
+                <option value={ownUserId} className="bg-gray-800">{ownUserId} (you)</option>
+              )}
+              {learners.map((learner) => (
+                <option key={learner.userId} value={learner.userId} className="bg-gray-800">
+                  {learner.username}{learner.source === 'moodle' ? ' (Moodle)' : ''}
+                </option>
+              ))}
+            </select>
+          )}
           <Button onClick={fetchProgress} className="bg-blue-600 hover:bg-blue-700">
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
@@ -258,7 +174,7 @@ export function LearningProgress({ onBack }) {
         </div>
 
         {/* Progress Overview */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader className="pb-3">
               <CardTitle className="text-lg text-white">Learning Sessions</CardTitle>
@@ -295,13 +211,87 @@ export function LearningProgress({ onBack }) {
               <CardDescription className="text-gray-400">Days with activity</CardDescription>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-yellow-300">{progressData?.learningStreak || 0}</div>
+              <div className="text-3xl font-bold text-yellow-300">{progressData?.activeDays || 0}</div>
+            </CardContent>
+          </Card>
+
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader className="pb-3">
+              <CardTitle className="text-lg text-white">Time on Task</CardTitle>
+              <CardDescription className="text-gray-400">
+                {formatMinutes(progressData?.weeklyMinutes)} this week
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="text-3xl font-bold text-pink-300">{formatMinutes(progressData?.timeSpentMinutes)}</div>
             </CardContent>
           </Card>
         </div>
 
+        {/* Reading Progress */}
+        {progressData?.readings?.length > 0 && (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">📖 Reading Progress</CardTitle>
+              <CardDescription className="text-gray-400">
+                {progressData.readingsCompleted} of {progressData.readings.length} reading materials read to the end
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-4">
+                {progressData.readings.map((reading) => (
+                  <div key={reading.courseId} className="p-3 bg-white/5 rounded-lg space-y-2">
+                    <div className="flex items-center justify-between">
+                      <div className="font-semibold text-white">{reading.title || `Course ${reading.courseId}`}</div>
+                      <Badge
+                        variant="outline"
+                        className={reading.completed ? 'bg-green-500/20 text-green-300' : 'bg-yellow-500/20 text-yellow-300'}
+                      >
+                        {reading.completed ? 'Completed' : reading.scrollDepth > 0 ? `Read ${reading.scrollDepth}%` : 'Opened'}
+                      </Badge>
+                    </div>
+                    <div className="w-full bg-gray-200/20 rounded-full h-2">
+                      <div
+                        className="bg-gradient-to-r from-green-500 to-emerald-500 h-2 rounded-full transition-all duration-500"
+                        style={{ width: `${reading.scrollDepth}%` }}
+                      ></div>
+                    </div>
+                    {reading.readingSeconds > 0 && (
+                      <div className="text-xs text-gray-400">{formatMinutes(reading.readingSeconds / 60)} reading</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Time per Course */}
+        {progressData?.timeByContent?.length > 0 && (
+          <Card className="bg-white/5 backdrop-blur-sm border-white/10">
+            <CardHeader>
+              <CardTitle className="text-xl text-white">⏱️ Time per Course</CardTitle>
+              <CardDescription className="text-gray-400">
+                Active time on each course, not counting breaks longer than {progressData.idleTimeoutMinutes} minutes
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-3">
+                {progressData.timeByContent.map((item) => (
+                  <div key={item.courseId} className="flex items-center justify-between p-3 bg-white/5 rounded-lg">
+                    <div className="font-semibold text-white">{item.title || `Course ${item.courseId}`}</div>
+                    <Badge variant="outline" className="bg-pink-500/20 text-pink-300">
+                      {formatMinutes(item.activeSeconds / 60)}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Achievements */}
-        {progressData?.achievements && progressData.achievements.length > 0 && (
+        {earnedAchievements.length > 0 && (
           <Card className="bg-white/5 backdrop-blur-sm border-white/10">
             <CardHeader>
               <CardTitle className="text-xl text-white">🏆 Achievements</CardTitle>
@@ -309,8 +299,8 @@ export function LearningProgress({ onBack }) {
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {progressData.achievements.map((achievement, index) => (
-                  <div key={index} className="flex items-center space-x-3 p-4 bg-white/5 rounded-lg">
+                {earnedAchievements.map((achievement) => (
+                  <div key={achievement.id} className="flex items-center space-x-3 p-4 bg-white/5 rounded-lg">
                     <div className="text-3xl">{achievement.icon}</div>
                     <div>
                       <div className="font-semibold text-white">{achievement.title}</div>
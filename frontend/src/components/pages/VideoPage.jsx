@@ -10,6 +10,8 @@ import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { Input } from '@/components/ui/input';
 import clickstreamService from '@/services/clickstreamService';
+import { getYouTubeVideoId } from '@/lib/youtube';
+import { trackAttributes } from '@/lib/clickTracking';
 
 // Enhanced logger for video page
 const videoLogger = {
@@ -96,7 +98,6 @@ export function VideoPage({ onBack, onSelectVideo }) {
   // Handle video selection
   const handleVideoSelect = (video) => {
     videoLogger.info('Video selected', { videoId: video.id, title: video.title });
-    clickstreamService.trackVideoPlay(video.id, video.videoUrl);
     if (onSelectVideo) {
       onSelectVideo(video);
     }
@@ -104,17 +105,8 @@ export function VideoPage({ onBack, onSelectVideo }) {
 
   // Extract video thumbnail from YouTube URL
   const getVideoThumbnail = (videoUrl) => {
-    if (!videoUrl) return null;
-    
-    // Extract YouTube video ID
-    const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-    const match = videoUrl.match(regExp);
-    
-    if (match && match[2].length === 11) {
-      return `https://img.youtube.com/vi/${match[2]}/mqdefault.jpg`;
-    }
-    
-    return null;
+    const videoId = getYouTubeVideoId(videoUrl);
+    return videoId ? `https://img.youtube.com/vi/${videoId}/mqdefault.jpg` : null;
   };
 
   // Loading state
@@ -266,6 +258,7 @@ export function VideoPage({ onBack, onSelectVideo }) {
                   key={video.id} 
                   className="bg-white/5 backdrop-blur-sm border-white/10 shadow-xl hover:shadow-2xl transition-all duration-300 hover:scale-105 cursor-pointer group overflow-hidden"
                   onClick={() => handleVideoSelect(video)}
+                  {...trackAttributes('select_video', { courseId: video.id, videoUrl: video.videoUrl })}
                 >
                   {/* Video Thumbnail */}
                   {thumbnail && (
@@ -1,14 +1,21 @@
 /**
  * Authentication Context for Learning Website
  * Provides centralized authentication state management with JWT token handling
+ * Renews short-lived access tokens silently using rotating refresh tokens
  * Includes comprehensive logging for debugging authentication flow
  */
 
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
 
 // Constants for API configuration
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
+// Renew the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Tabs share the stored tokens, so only one of them renews at a time
+const REFRESH_LOCK_NAME = 'auth-token-refresh';
+
 // Authentication action types
 const AUTH_ACTIONS = {
   LOGIN_REQUEST: 'LOGIN_REQUEST',
@@ -19,6 +26,7 @@ const AUTH_ACTIONS = {
   REGISTER_FAILURE: 'REGISTER_FAILURE',
   LOGOUT: 'LOGOUT',
   SET_USER: 'SET_USER',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
   CLEAR_ERROR: 'CLEAR_ERROR'
 };
 
@@ -47,6 +55,24 @@ const authLogger = {
   }
 };
 
+// Decode a JWT payload without verifying it (the server does the verification)
+const decodeTokenPayload = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64));
+  } catch {
+    return null;
+  }
+};
+
+// Clear authentication storage
+const clearAuthStorage = () => {
+  authLogger.info('Clearing authentication storage');
+  localStorage.removeItem('auth_token');
+  localStorage.removeItem('auth_refresh_token');
+  localStorage.removeItem('auth_user');
+};
+
 // Authentication reducer for state management
 function authReducer(state, action) {
   authLogger.info(`Action dispatched: ${action.type}`, action.payload);
@@ -114,6 +140,13 @@ function authReducer(state, action) {
         isAuthenticated: true
       };
       
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      authLogger.success('Access token refreshed');
+      return {
+        ...state,
+        token: action.payload.token
+      };
+      
     case AUTH_ACTIONS.CLEAR_ERROR:
       return {
         ...state,
@@ -132,6 +165,14 @@ const AuthContext = createContext();
 // Authentication Provider Component
 export function AuthProvider({ children }) {
   const [state, dispatch] = useReducer(authReducer, initialAuthState);
+  // Latest access token, readable from in-flight requests after a refresh
+  const tokenRef = useRef(null);
+  // Shared refresh request so concurrent 401s trigger only one renewal
+  const refreshPromiseRef = useRef(null);
+
+  useEffect(() => {
+    tokenRef.current = state.token;
+  }, [state.token]);
 
   // Initialize authentication on app load
   useEffect(() => {
@@ -151,8 +192,16 @@ export function AuthProvider({ children }) {
         
         // Validate token format (basic JWT check)
         const tokenParts = token.split('.');
-        if (tokenParts.length === 3) {
-          authLogger.success('Valid token format found, restoring session');
+        const payload = decodeTokenPayload(token);
+        const isExpired = !payload?.exp || payload.exp * 1000 <= Date.now();
+        const hasRefreshToken = !!localStorage.getItem('auth_refresh_token');
+        
+        if (tokenParts.length === 3 && isExpired && !hasRefreshToken) {
+          authLogger.warn('Stored token expired and cannot be renewed, clearing storage');
+          clearAuthStorage();
+        } else if (tokenParts.length === 3) {
+          // An expired access token is renewed right away by the renewal timer
+          authLogger.success('Valid token format found, restoring session', { isExpired });
           dispatch({ 
             type: AUTH_ACTIONS.LOGIN_SUCCESS, 
             payload: { user, token } 
@@ -170,41 +219,149 @@ export function AuthProvider({ children }) {
     }
   };
 
-  // Clear authentication storage
-  const clearAuthStorage = () => {
-    authLogger.info('Clearing authentication storage');
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('auth_user');
-  };
-
   // Store authentication data
-  const storeAuthData = (user, token) => {
+  const storeAuthData = (user, token, refreshToken) => {
     authLogger.info('Storing authentication data');
     localStorage.setItem('auth_token', token);
+    localStorage.setItem('auth_refresh_token', refreshToken);
     localStorage.setItem('auth_user', JSON.stringify(user));
   };
 
-  // API request helper with authentication
-  const apiRequest = async (endpoint, options = {}) => {
+  // Exchange the stored refresh token for a new access/refresh token pair.
+  // Tabs take turns through a Web Lock; a tab that waited uses the token the
+  // previous one stored instead of presenting the rotated refresh token again.
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      const renew = async () => {
+        const storedToken = localStorage.getItem('auth_token');
+        const storedPayload = storedToken ? decodeTokenPayload(storedToken) : null;
+        if (storedToken !== tokenRef.current && storedPayload?.exp * 1000 - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+          authLogger.info('Using access token renewed by another tab');
+          tokenRef.current = storedToken;
+          dispatch({ 
+            type: AUTH_ACTIONS.TOKEN_REFRESHED, 
+            payload: { token: storedToken } 
+          });
+          return storedToken;
+        }
+
+        const refreshToken = localStorage.getItem('auth_refresh_token');
+        if (!refreshToken) {
+          throw new Error('No refresh token available');
+        }
+
+        authLogger.info('Refreshing access token');
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.token) {
+          throw new Error(data.message || 'Session refresh failed');
+        }
+
+        localStorage.setItem('auth_token', data.token);
+        localStorage.setItem('auth_refresh_token', data.refreshToken);
+        tokenRef.current = data.token;
+        dispatch({ 
+          type: AUTH_ACTIONS.TOKEN_REFRESHED, 
+          payload: { token: data.token } 
+        });
+        return data.token;
+      };
+
+      refreshPromiseRef.current = (navigator.locks ? navigator.locks.request(REFRESH_LOCK_NAME, renew) : renew())
+        .finally(() => {
+          refreshPromiseRef.current = null;
+        });
+    }
+
+    return refreshPromiseRef.current;
+  }, []);
+
+  // Follow renewals made by other tabs, so this tab's timer does not renew
+  // the same token again
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'auth_token' || !tokenRef.current || !event.newValue || event.newValue === tokenRef.current) return;
+      tokenRef.current = event.newValue;
+      dispatch({ 
+        type: AUTH_ACTIONS.TOKEN_REFRESHED, 
+        payload: { token: event.newValue } 
+      });
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Silently renew the access token shortly before it expires. A failure here
+  // is not fatal: the next API request retries the refresh on its 401.
+  useEffect(() => {
+    const payload = state.token ? decodeTokenPayload(state.token) : null;
+    if (!payload?.exp) return;
+
+    const delay = Math.max(payload.exp * 1000 - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0);
+    const timer = setTimeout(() => {
+      refreshSession().catch(error => {
+        authLogger.warn('Silent session renewal failed', error.message);
+      });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [state.token, refreshSession]);
+
+  // API request helper with authentication. Memoised so pages can list it as
+  // an effect dependency without refetching on every render.
+  // Pass responseType: 'blob' for file downloads; errors are still read as JSON
+  const apiRequest = useCallback(async (endpoint, options = {}) => {
     const url = `${API_BASE_URL}${endpoint}`;
+    const { responseType = 'json', ...fetchOptions } = options;
     authLogger.info(`Making API request to: ${endpoint}`);
     
-    const config = {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
-    };
+    const send = (token) => {
+      const config = {
+        ...fetchOptions,
+        headers: {
+          'Content-Type': 'application/json',
+          ...fetchOptions.headers
+        }
+      };
 
-    // Add authentication header if token exists
-    if (state.token) {
-      config.headers.Authorization = `Bearer ${state.token}`;
-      authLogger.info('Added authentication header to request');
-    }
+      // Add authentication header if token exists
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+        authLogger.info('Added authentication header to request');
+      }
+
+      return fetch(url, config);
+    };
 
     try {
-      const response = await fetch(url, config);
+      let response = await send(tokenRef.current);
+
+      // Access token expired or revoked: renew it once and replay the request
+      if (response.status === 401 && tokenRef.current && !endpoint.startsWith('/auth/')) {
+        authLogger.warn(`Received 401 from ${endpoint}, attempting session refresh`);
+        let newToken;
+        try {
+          newToken = await refreshSession();
+        } catch (refreshError) {
+          authLogger.error('Session refresh failed, signing out', refreshError);
+          clearAuthStorage();
+          dispatch({ type: AUTH_ACTIONS.LOGOUT });
+          throw new Error('Your session has expired. Please log in again.');
+        }
+        response = await send(newToken);
+      }
+
+      if (responseType === 'blob' && response.ok) {
+        authLogger.info(`API download from ${endpoint}`, { status: response.status });
+        return await response.blob();
+      }
+
       const data = await response.json();
       
       authLogger.info(`API response from ${endpoint}`, { 
@@ -213,7 +370,11 @@ export function AuthProvider({ children }) {
       });
 
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        // Keep the status and any field errors so forms can show them inline
+        const requestError = new Error(data.message || `HTTP error! status: ${response.status}`);
+        requestError.status = response.status;
+        requestError.errors = data.errors || [];
+        throw requestError;
       }
 
       return data;
@@ -221,7 +382,7 @@ export function AuthProvider({ children }) {
       authLogger.error(`API request failed for ${endpoint}`, error);
       throw error;
     }
-  };
+  }, [refreshSession]);
 
   // Login function
   const login = async (email, password) => {
@@ -234,13 +395,10 @@ export function AuthProvider({ children }) {
         body: JSON.stringify({ email, password })
       });
 
-      if (response.token) {
-        const { token } = response;
-        // The user object is the response itself, minus the token
-        const user = { ...response };
-        delete user.token;
-        
-        storeAuthData(user, token);
+      if (response.success && response.token) {
+        const { user, token, refreshToken } = response;
+
+        storeAuthData(user, token, refreshToken);
         dispatch({ 
           type: AUTH_ACTIONS.LOGIN_SUCCESS, 
           payload: { user, token } 
@@ -274,9 +432,9 @@ export function AuthProvider({ children }) {
       });
 
       if (response.success && response.token) {
-        const { user, token } = response;
+        const { user, token, refreshToken } = response;
 
-        storeAuthData(user, token);
+        storeAuthData(user, token, refreshToken);
         dispatch({ 
           type: AUTH_ACTIONS.REGISTER_SUCCESS, 
           payload: { user, token } 
@@ -298,6 +456,18 @@ export function AuthProvider({ children }) {
   // Logout function
   const logout = () => {
     authLogger.info('Logging out user');
+    
+    // Revoke tokens server-side without blocking the UI on the response
+    const refreshToken = localStorage.getItem('auth_refresh_token');
+    fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(tokenRef.current && { Authorization: `Bearer ${tokenRef.current}` })
+      },
+      body: JSON.stringify({ refreshToken })
+    }).catch(error => authLogger.warn('Server-side logout failed', error.message));
+    
     clearAuthStorage();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
@@ -307,6 +477,9 @@ export function AuthProvider({ children }) {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
   };
 
+  // Role check; users stored before roles existed are learners
+  const hasRole = (...roles) => roles.includes(state.user?.role || 'learner');
+
   // Context value
   const value = {
     // State
@@ -321,7 +494,8 @@ export function AuthProvider({ children }) {
     register,
     logout,
     clearError,
-    apiRequest
+    apiRequest,
+    hasRole
   };
 
   authLogger.info('AuthProvider rendering', { 
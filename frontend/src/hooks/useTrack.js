@@ -0,0 +1,19 @@
+/**
+ * useTrack hook
+ * Records a click from code, for actions that do not come from one tracked
+ * element (see lib/clickTracking.js), such as callbacks passed to child pages
+ *
+ *   const track = useTrack();
+ *   track('select_course', { courseId: course.id });
+ */
+
+import { useCallback } from 'react';
+import clickstreamService from '@/services/clickstreamService';
+
+export function useTrack() {
+  return useCallback((name, context = {}) => {
+    clickstreamService.trackButtonClick(name, context);
+  }, []);
+}
+
+export default useTrack;
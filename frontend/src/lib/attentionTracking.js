@@ -0,0 +1,133 @@
+/**
+ * Attention tracker
+ * Tells whether the learner is actually looking at the page, so engagement
+ * metrics do not count time the tab spent in the background:
+ *
+ *   tab_hidden / tab_visible    the Page Visibility API hid or showed the tab
+ *   window_blur / window_focus  another window took focus while the tab stayed visible
+ *   idle_start / idle_end       no mouse, keyboard, touch or scroll input for a while
+ *   heartbeat                   sent at a low rate while the page is visible,
+ *                               focused and not idle
+ *
+ * Durations in event data are in milliseconds.
+ */
+
+export const IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+export const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// How often idleness and heartbeats are checked
+const CHECK_INTERVAL_MS = 5000;
+
+const INPUT_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'scroll', 'touchstart', 'pointerdown'];
+
+/**
+ * @param {object} options
+ * @param {function} options.send  (eventType, data) => void
+ */
+export const createAttentionTracker = ({
+  send,
+  idleTimeoutMs = IDLE_TIMEOUT_MS,
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS
+}) => {
+  let started = false;
+  let checkTimer = null;
+  let lastInputAt = Date.now();
+  let lastHeartbeatAt = Date.now();
+  let hiddenAt = null;
+  let visibleAt = Date.now();
+  let blurredAt = null;
+  let idleSince = null;
+
+  const isVisible = () => document.visibilityState === 'visible';
+
+  const endIdle = () => {
+    if (idleSince === null) return;
+    send('idle_end', { idleDuration: Date.now() - idleSince });
+    idleSince = null;
+  };
+
+  const handleInput = () => {
+    lastInputAt = Date.now();
+    if (isVisible()) endIdle();
+  };
+
+  const handleVisibilityChange = () => {
+    const now = Date.now();
+    if (isVisible()) {
+      if (hiddenAt === null) return;
+      send('tab_visible', { hiddenDuration: now - hiddenAt });
+      hiddenAt = null;
+      visibleAt = now;
+      lastInputAt = now;
+      lastHeartbeatAt = now;
+    } else {
+      if (hiddenAt !== null) return;
+      // A hidden tab is inactive already; idleness starts afresh on return
+      idleSince = null;
+      hiddenAt = now;
+      send('tab_hidden', { visibleDuration: now - visibleAt });
+    }
+  };
+
+  const handleBlur = () => {
+    // Hiding the tab blurs the window too; tab_hidden already covers that
+    if (!isVisible() || blurredAt !== null) return;
+    blurredAt = Date.now();
+    send('window_blur', {});
+  };
+
+  const handleFocus = () => {
+    if (blurredAt === null) return;
+    const now = Date.now();
+    send('window_focus', { blurDuration: now - blurredAt });
+    blurredAt = null;
+    lastInputAt = now;
+    lastHeartbeatAt = now;
+  };
+
+  const check = () => {
+    if (!isVisible()) return;
+    const now = Date.now();
+
+    if (idleSince === null && now - lastInputAt >= idleTimeoutMs) {
+      idleSince = lastInputAt;
+      send('idle_start', { idleSince: new Date(lastInputAt).toISOString() });
+    }
+
+    if (idleSince === null && blurredAt === null && now - lastHeartbeatAt >= heartbeatIntervalMs) {
+      send('heartbeat', { interval: now - lastHeartbeatAt });
+      lastHeartbeatAt = now;
+    }
+  };
+
+  return {
+    start() {
+      if (started) return;
+      started = true;
+      const now = Date.now();
+      lastInputAt = now;
+      lastHeartbeatAt = now;
+      visibleAt = now;
+      hiddenAt = isVisible() ? null : now;
+      blurredAt = null;
+      idleSince = null;
+
+      INPUT_EVENTS.forEach(type => window.addEventListener(type, handleInput, { passive: true, capture: true }));
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      window.addEventListener('blur', handleBlur);
+      window.addEventListener('focus', handleFocus);
+      checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+    },
+
+    stop() {
+      if (!started) return;
+      started = false;
+      INPUT_EVENTS.forEach(type => window.removeEventListener(type, handleInput, { capture: true }));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+      clearInterval(checkTimer);
+      checkTimer = null;
+    }
+  };
+};
@@ -0,0 +1,55 @@
+/**
+ * Declarative click tracking
+ * Elements opt in to click tracking with data attributes instead of calling
+ * the clickstream from their handlers. A single document listener (see
+ * clickstreamService.enableClickCapture) records clicks on them as
+ * button_click events:
+ *
+ *   <button data-track="browse_courses" data-track-from="dashboard">
+ *
+ * is recorded as { buttonName: 'browse_courses', context: { from: 'dashboard' } }.
+ * data-track-* attributes on ancestors add context as well, so a whole page
+ * can be tagged once; the attribute closest to the clicked element wins.
+ * Context values are recorded as the strings the attributes hold, so an id
+ * such as "007" keeps its form and a key always has the same type.
+ */
+
+// dataset key of data-track-* attributes: data-track-course-id -> trackCourseId
+const CONTEXT_KEY = /^track([A-Z].*)$/;
+
+const toKebabCase = (key) => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * Data attributes that mark an element as tracked, to spread onto it
+ * @param {string} name     recorded as buttonName; omit to only add context
+ * @param {object} context  recorded as context, e.g. { courseId: 3 } as { courseId: '3' }
+ */
+export const trackAttributes = (name, context = {}) => ({
+  ...(name && { 'data-track': name }),
+  ...Object.fromEntries(
+    Object.entries(context)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [`data-track-${toKebabCase(key)}`, String(value)])
+  )
+});
+
+/**
+ * The tracked element a click landed in, with its context
+ * @returns {object|null} { name, context }
+ */
+export const readTrackedClick = (target) => {
+  const element = target instanceof Element ? target.closest('[data-track]') : null;
+  if (!element) return null;
+
+  const context = {};
+  for (let node = element; node; node = node.parentElement) {
+    Object.entries(node.dataset).forEach(([key, value]) => {
+      const match = key.match(CONTEXT_KEY);
+      if (!match) return;
+      const contextKey = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+      if (!(contextKey in context)) context[contextKey] = value;
+    });
+  }
+
+  return { name: element.dataset.track, context };
+};
@@ -0,0 +1,132 @@
+/**
+ * Content authoring form helpers
+ * Zod schema and conversions between the content API shape and the shape the
+ * authoring form edits. The form keeps tags as comma-separated text and quiz
+ * options as { text } objects so react-hook-form field arrays can track them.
+ * Rules mirror backend/utils/contentValidation.js.
+ */
+
+import { z } from 'zod';
+
+export const CONTENT_TYPES = [
+  { value: 'text', label: '📄 Reading' },
+  { value: 'video', label: '🎥 Video' },
+  { value: 'quiz', label: '📝 Quiz' }
+];
+
+export const CONTENT_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+export const emptyOption = () => ({ text: '' });
+export const emptyQuestion = () => ({ question: '', options: [emptyOption(), emptyOption()], correct: 0 });
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const questionSchema = z.object({
+  question: z.string().trim().min(1, { message: 'Question text is required' }),
+  options: z
+    .array(z.object({
+      text: z.string().trim().min(1, { message: 'Option text is required' })
+    }))
+    .min(2, { message: 'Add at least two options' }),
+  correct: z.number().int().nullable()
+}).refine(question => question.correct !== null && question.correct < question.options.length, {
+  message: 'Mark the correct answer',
+  path: ['correct']
+});
+
+// Per-type fields are only checked for the selected type, so switching type
+// does not leave the form blocked by fields that will not be saved
+export const contentSchema = z.object({
+  title: z
+    .string()
+    .trim()
+    .min(1, { message: 'Title is required' })
+    .max(200, { message: 'Title must be 200 characters or fewer' }),
+  type: z.enum(['text', 'video', 'quiz']),
+  description: z.string().max(500, { message: 'Description must be 500 characters or fewer' }),
+  category: z.string(),
+  level: z.enum(['', ...CONTENT_LEVELS]),
+  duration: z.string(),
+  tags: z.string(),
+  content: z.string(),
+  videoUrl: z.string(),
+  questions: z.array(z.any())
+}).superRefine((values, ctx) => {
+  if (values.type === 'text' && !values.content.trim()) {
+    ctx.addIssue({ code: 'custom', path: ['content'], message: 'Reading content needs a body' });
+  }
+
+  if (values.type === 'video' && !isHttpUrl(values.videoUrl)) {
+    ctx.addIssue({ code: 'custom', path: ['videoUrl'], message: 'Enter a valid http(s) video URL' });
+  }
+
+  if (values.type === 'quiz') {
+    const result = z.array(questionSchema).min(1, { message: 'Add at least one question' }).safeParse(values.questions);
+    if (!result.success) {
+      result.error.issues.forEach(issue => {
+        ctx.addIssue({ code: 'custom', path: ['questions', ...issue.path], message: issue.message });
+      });
+    }
+  }
+});
+
+export const toFormValues = (item = {}) => ({
+  title: item.title || '',
+  type: item.type || 'text',
+  description: item.description || '',
+  category: item.category || '',
+  level: item.level || '',
+  duration: item.duration || '',
+  tags: (item.tags || []).join(', '),
+  content: item.content || '',
+  videoUrl: item.videoUrl || '',
+  questions: item.quizData?.questions?.length
+    ? item.quizData.questions.map(question => ({
+      question: question.question || '',
+      options: (question.options || []).map(text => ({ text })),
+      correct: Number.isInteger(question.correct) ? question.correct : null
+    }))
+    : [emptyQuestion()]
+});
+
+// Build the API payload; only the selected type's body field is sent
+export const toContentPayload = (values, status) => {
+  const payload = {
+    title: values.title.trim(),
+    type: values.type,
+    description: values.description.trim(),
+    category: values.category.trim() || undefined,
+    level: values.level || undefined,
+    duration: values.duration.trim() || undefined,
+    tags: values.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    status
+  };
+
+  if (values.type === 'text') {
+    payload.content = values.content;
+  } else if (values.type === 'video') {
+    payload.videoUrl = values.videoUrl.trim();
+  } else if (values.type === 'quiz') {
+    payload.quizData = {
+      questions: (values.questions || []).map(question => ({
+        question: question.question,
+        options: (question.options || []).map(option => option.text),
+        correct: question.correct
+      }))
+    };
+  }
+
+  return payload;
+};
+
+// Map API field errors (e.g. quizData.questions[0].correct) onto form field names
+export const toFormFieldName = (field) => field
+  .replace(/^quizData\.questions/, 'questions')
+  .replace(/\[(\d+)\]/g, '.$1');
@@ -0,0 +1,146 @@
+/**
+ * Durable event queue
+ * Keeps clickstream events that have not reached the server yet in IndexedDB,
+ * so they survive reloads, closed tabs and long offline stretches. Falls back
+ * to an in-memory queue where IndexedDB is unavailable (some private modes).
+ *
+ * Records are kept in insertion order under an auto-increment key and are only
+ * removed when the caller confirms the server acknowledged them. When the queue
+ * is full the oldest events are evicted first.
+ */
+
+const DB_NAME = 'lms-clickstream';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingEvents';
+
+export const DEFAULT_MAX_QUEUE_SIZE = 5000;
+
+// RFC 4122 v4 id; randomUUID is only available in secure contexts
+export const createEventId = () => {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+
+  const bytes = new Uint8Array(16);
+  globalThis.crypto.getRandomValues(bytes);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { autoIncrement: true });
+  };
+  return requestResult(request);
+};
+
+const createIndexedDbStore = (database) => {
+  // Run `operation(store)` in one transaction and resolve once it has committed
+  const transact = (mode, operation) => new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return {
+    append: (records) => transact('readwrite', store => {
+      records.forEach(record => store.add(record));
+    }),
+    count: () => transact('readonly', store => store.count()),
+    // Oldest records first, with their keys
+    oldest: async (limit) => {
+      const records = [];
+      await transact('readonly', store => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor && records.length < limit) {
+            records.push({ key: cursor.key, ...cursor.value });
+            cursor.continue();
+          }
+        };
+      });
+      return records;
+    },
+    oldestKeys: (limit) => transact('readonly', store => store.getAllKeys(null, limit)),
+    remove: (keys) => transact('readwrite', store => {
+      keys.forEach(key => store.delete(key));
+    })
+  };
+};
+
+const createMemoryStore = () => {
+  let records = [];
+  let nextKey = 1;
+
+  return {
+    append: async (newRecords) => {
+      newRecords.forEach(record => records.push({ key: nextKey++, ...record }));
+    },
+    count: async () => records.length,
+    oldest: async (limit) => records.slice(0, limit),
+    oldestKeys: async (limit) => records.slice(0, limit).map(record => record.key),
+    remove: async (keys) => {
+      const removed = new Set(keys);
+      records = records.filter(record => !removed.has(record.key));
+    }
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {number} options.maxSize  events kept before the oldest are evicted
+ * @param {function} options.onEvict (count) => void, called after an eviction
+ */
+export const createEventQueue = ({ maxSize = DEFAULT_MAX_QUEUE_SIZE, onEvict } = {}) => {
+  let storePromise = null;
+
+  // Open IndexedDB on first use; if it cannot be opened, keep events in memory
+  const getStore = () => {
+    if (!storePromise) {
+      storePromise = typeof indexedDB === 'undefined'
+        ? Promise.resolve(createMemoryStore())
+        : openDatabase().then(createIndexedDbStore, () => createMemoryStore());
+    }
+    return storePromise;
+  };
+
+  return {
+    // Persist events keyed by their eventId; events without one (queued by
+    // older clients) get one here so their retries can be recognised too
+    async add(events) {
+      if (events.length === 0) return;
+
+      const store = await getStore();
+      const queuedAt = new Date().toISOString();
+      await store.append(events.map(event => {
+        const eventId = event.eventId || createEventId();
+        return { id: eventId, queuedAt, event: { ...event, eventId } };
+      }));
+
+      const overflow = (await store.count()) - maxSize;
+      if (overflow > 0) {
+        await store.remove(await store.oldestKeys(overflow));
+        if (onEvict) onEvict(overflow);
+      }
+    },
+
+    // Oldest queued records as { key, id, queuedAt, event }
+    peek: async (limit) => (await getStore()).oldest(limit),
+
+    // Delete records once the server has acknowledged them
+    acknowledge: async (keys) => (await getStore()).remove(keys),
+
+    size: async () => (await getStore()).count()
+  };
+};
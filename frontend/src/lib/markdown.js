@@ -0,0 +1,57 @@
+/**
+ * Markdown helpers for reading material
+ * Word counting for reading-time estimates and a rehype plugin that turns
+ * GitHub-style callout blockquotes (`> [!TIP]`) into tagged callouts
+ */
+
+const WORDS_PER_MINUTE = 200;
+
+export const CALLOUT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+const CALLOUT_MARKER = new RegExp(`^\\s*\\[!(${CALLOUT_TYPES.join('|')})\\]\\s*`, 'i');
+
+// Count words in the readable text only: code blocks, image and link targets
+// and Markdown punctuation are not words a learner reads
+export const countWords = (markdown = '') => {
+  const text = markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`~|-]/g, ' ');
+
+  return text.split(/\s+/).filter(Boolean).length;
+};
+
+export const readingTimeMinutes = (markdown = '') => {
+  return Math.max(1, Math.round(countWords(markdown) / WORDS_PER_MINUTE));
+};
+
+const findFirstParagraph = (node) => node.children?.find(child => child.type === 'element' && child.tagName === 'p');
+
+// Runs after sanitisation so the data attribute it adds is not stripped
+export function rehypeCallouts() {
+  const visit = (node) => {
+    if (node.type === 'element' && node.tagName === 'blockquote') {
+      const paragraph = findFirstParagraph(node);
+      const firstText = paragraph?.children?.[0];
+      const match = firstText?.type === 'text' && firstText.value.match(CALLOUT_MARKER);
+
+      if (match) {
+        firstText.value = firstText.value.slice(match[0].length);
+        if (!firstText.value) {
+          paragraph.children.shift();
+          // Drop the line break that followed the marker
+          if (paragraph.children[0]?.tagName === 'br') paragraph.children.shift();
+        }
+        if (paragraph.children.length === 0) {
+          node.children = node.children.filter(child => child !== paragraph);
+        }
+        node.properties = { ...node.properties, dataCallout: match[1].toLowerCase() };
+      }
+    }
+
+    node.children?.forEach(visit);
+  };
+
+  return visit;
+}
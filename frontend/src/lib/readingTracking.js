@@ -0,0 +1,110 @@
+/**
+ * Reading progress tracker
+ * Turns scroll positions on a piece of reading material into clickstream
+ * events:
+ *
+ *   text_content_scroll    the learner scrolled past 25, 50, 75 or 100% of the text
+ *   text_content_section   time spent on one section (the text under a heading)
+ *   text_content_complete  the learner reached the end after a plausible reading time
+ *
+ * Reading time only runs while the page is visible, so a text left open in a
+ * background tab does not count as read. Times in event data are in
+ * milliseconds.
+ */
+
+export const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+// Reaching the end in less than this share of the estimated reading time
+// (i.e. faster than twice the usual reading pace) counts as skimming
+export const MIN_READING_FRACTION = 0.5;
+
+// Shorter stays in a section are scrolling past it, not reading it
+const MIN_SECTION_MS = 2000;
+
+/**
+ * @param {object} options
+ * @param {function} options.send               (eventType, data) => void
+ * @param {number}   options.expectedReadingMs  estimated time to read the whole text
+ */
+export const createReadingTracker = ({ send, expectedReadingMs }) => {
+  const milestonesReached = new Set();
+  let maxDepth = 0;
+  let readingMs = 0;
+  let lastTickAt = Date.now();
+  let section = null;
+  let sectionMs = 0;
+  let completed = false;
+
+  const advance = (now) => {
+    if (lastTickAt === null) return;
+    readingMs += now - lastTickAt;
+    sectionMs += now - lastTickAt;
+    lastTickAt = now;
+  };
+
+  const closeSection = () => {
+    if (section && sectionMs >= MIN_SECTION_MS) {
+      send('text_content_section', {
+        heading: section.heading,
+        headingIndex: section.index,
+        duration: Math.round(sectionMs)
+      });
+    }
+    sectionMs = 0;
+  };
+
+  const checkCompletion = () => {
+    if (completed || maxDepth < 100 || readingMs < expectedReadingMs * MIN_READING_FRACTION) return;
+    completed = true;
+    send('text_content_complete', {
+      scrollDepth: 100,
+      readingTime: Math.round(readingMs),
+      expectedReadingTime: Math.round(expectedReadingMs)
+    });
+  };
+
+  return {
+    /**
+     * Called on scroll and regularly while the text is open
+     * @param {number} depth        percentage of the text scrolled past (0-100)
+     * @param {object} currentSection { heading, index } under the reading line, or null
+     */
+    update(depth, currentSection, now = Date.now()) {
+      advance(now);
+
+      if (lastTickAt !== null && currentSection?.index !== section?.index) {
+        closeSection();
+        section = currentSection;
+      }
+
+      maxDepth = Math.max(maxDepth, Math.round(depth));
+      SCROLL_MILESTONES
+        .filter(milestone => maxDepth >= milestone && !milestonesReached.has(milestone))
+        .forEach((milestone) => {
+          milestonesReached.add(milestone);
+          send('text_content_scroll', { scrollDepth: milestone, readingTime: Math.round(readingMs) });
+        });
+
+      checkCompletion();
+    },
+
+    // The page was hidden: stop the clock and close the section being read
+    pause(now = Date.now()) {
+      advance(now);
+      closeSection();
+      lastTickAt = null;
+    },
+
+    resume(now = Date.now()) {
+      if (lastTickAt === null) lastTickAt = now;
+    },
+
+    // The text is being closed
+    close(now = Date.now()) {
+      advance(now);
+      closeSection();
+      section = null;
+      lastTickAt = null;
+    }
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * Session manager
+ * Keeps the clickstream session in sessionStorage, so reloading the page or
+ * navigating within the tab resumes the session instead of starting another.
+ *
+ *   - A session expires after 30 minutes without activity; the next event
+ *     ends it (as of its last activity) and starts a new one.
+ *   - Signing out ends the session; a different user never resumes it.
+ *   - Each new session records the id of the one before it in the tab, so
+ *     consecutive sessions can be linked.
+ *
+ * Times are epoch milliseconds.
+ */
+
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+const STORAGE_KEY = 'clickstream_session';
+
+export const generateSessionId = () => `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+// sessionStorage can be unavailable (some private modes) or hold a damaged
+// value; the session then simply lives in memory
+const browserStorage = () => {
+  try {
+    return window.sessionStorage;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {object} options
+ * @param {Storage} options.storage    where the session is kept (sessionStorage)
+ * @param {number}  options.timeoutMs  inactivity after which a session expires
+ */
+export const createSessionManager = ({
+  storage = browserStorage(),
+  timeoutMs = SESSION_TIMEOUT_MS
+} = {}) => {
+  let session = null;
+
+  const load = () => {
+    try {
+      return JSON.parse(storage?.getItem(STORAGE_KEY)) || null;
+    } catch {
+      return null;
+    }
+  };
+
+  const save = () => {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(session));
+    } catch {
+      // Quota exceeded or storage disabled; the in-memory session still works
+    }
+  };
+
+  const isExpired = (candidate, now) => now - candidate.lastActivityAt >= timeoutMs;
+
+  // Start a new session after `previous`, returning the previous session when
+  // it was still open and has to be ended as of its last activity
+  const startAfter = (previous, userId, reason, now) => {
+    session = {
+      id: generateSessionId(),
+      userId,
+      startedAt: now,
+      lastActivityAt: now,
+      previousSessionId: previous?.id ?? null,
+      endedAt: null
+    };
+    save();
+
+    const expired = previous && !previous.endedAt
+      ? { ...previous, endedAt: previous.lastActivityAt, endReason: reason }
+      : null;
+    return { session, expired, resumed: false };
+  };
+
+  return {
+    current() {
+      return session;
+    },
+
+    /**
+     * Resume the stored session, or start a new one when there is none, it
+     * belongs to another user, has ended or has expired
+     * @returns {object} { session, resumed, expired (the stored session to end, or null) }
+     */
+    begin(userId, now = Date.now()) {
+      const stored = session || load();
+
+      if (stored && !stored.endedAt && stored.userId === userId && !isExpired(stored, now)) {
+        session = { ...stored, lastActivityAt: now };
+        save();
+        return { session, expired: null, resumed: true };
+      }
+
+      const reason = stored && stored.userId !== userId ? 'user_change' : 'timeout';
+      return startAfter(stored, userId, reason, now);
+    },
+
+    /**
+     * Note an event. Returns null while the session continues, or
+     * { session, expired } when it had expired or ended and a new one started.
+     * `active` is false for events that signal the learner went away, which
+     * do not keep the session alive.
+     */
+    touch(now = Date.now(), { active = true } = {}) {
+      if (!session) return null;
+
+      if (session.endedAt || isExpired(session, now)) {
+        return startAfter(session, session.userId, 'timeout', now);
+      }
+
+      if (active) {
+        session = { ...session, lastActivityAt: now };
+        save();
+      }
+      return null;
+    },
+
+    /**
+     * End the current session, e.g. on sign out
+     * @returns {object|null} the ended session
+     */
+    end(reason, now = Date.now()) {
+      if (!session || session.endedAt) return null;
+      session = { ...session, lastActivityAt: now, endedAt: now, endReason: reason };
+      save();
+      return session;
+    }
+  };
+};
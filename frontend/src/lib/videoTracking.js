@@ -0,0 +1,153 @@
+/**
+ * Video playback tracker
+ * Turns raw player callbacks (YouTube or HTML5) into clickstream video events:
+ * video_play, video_pause, video_seek, video_rate_change, video_ended and a
+ * periodic video_heartbeat while playing.
+ *
+ * Every event carries the playback position (`currentTime`) and `duration` in
+ * seconds. Events that close a stretch of continuous playback (pause, seek,
+ * rate change, ended and heartbeat) also carry `watchedFrom`, the position the
+ * stretch started at, so [watchedFrom, currentTime] is a watched segment.
+ */
+
+export const HEARTBEAT_INTERVAL_MS = 15000;
+
+// A position jump this far from where playback should be counts as a seek
+const SEEK_THRESHOLD_SECONDS = 2;
+
+const roundTime = (seconds) => (Number.isFinite(seconds) ? Math.round(seconds * 10) / 10 : null);
+
+/**
+ * @param {object} options
+ * @param {function} options.send       (eventType, data) => void
+ * @param {boolean}  options.detectSeeks infer seeks from position jumps (for
+ *                                       players without a seek event, e.g. YouTube)
+ */
+export const createPlaybackTracker = ({ send, detectSeeks = false }) => {
+  let playing = false;
+  // Buffering or cued: the segment stays open but the position holds still
+  let stalled = false;
+  let watchedFrom = null;
+  let lastPosition = 0;
+  let lastTickAt = Date.now();
+  let lastHeartbeatAt = Date.now();
+  let playbackRate = 1;
+
+  const emit = (eventType, data) => {
+    send(eventType, {
+      ...data,
+      currentTime: roundTime(data.currentTime),
+      duration: roundTime(data.duration),
+      ...(data.watchedFrom !== undefined && { watchedFrom: roundTime(data.watchedFrom) }),
+      playbackRate
+    });
+  };
+
+  const moveTo = (position) => {
+    lastPosition = position;
+    lastTickAt = Date.now();
+  };
+
+  const tracker = {
+    play(position, duration) {
+      if (playing) {
+        // Playback resuming after a stall continues the same segment
+        if (stalled) {
+          stalled = false;
+          moveTo(position);
+        }
+        return;
+      }
+      playing = true;
+      stalled = false;
+      watchedFrom = position;
+      lastHeartbeatAt = Date.now();
+      moveTo(position);
+      emit('video_play', { currentTime: position, duration });
+    },
+
+    pause(position, duration, reason = 'user') {
+      if (!playing) return;
+      playing = false;
+      stalled = false;
+      emit('video_pause', { currentTime: position, duration, watchedFrom, reason });
+      moveTo(position);
+    },
+
+    seek(from, to, duration) {
+      if (Math.abs(to - from) < 0.5) return;
+      emit('video_seek', {
+        currentTime: to,
+        duration,
+        seekFrom: roundTime(from),
+        watchedFrom: playing ? watchedFrom : null
+      });
+      watchedFrom = to;
+      moveTo(to);
+    },
+
+    rateChange(rate, position, duration) {
+      if (rate === playbackRate) return;
+      const previousRate = playbackRate;
+      emit('video_rate_change', {
+        currentTime: position,
+        duration,
+        previousRate,
+        newRate: rate,
+        watchedFrom: playing ? watchedFrom : null
+      });
+      playbackRate = rate;
+      watchedFrom = position;
+      moveTo(position);
+    },
+
+    // The player is buffering: stop expecting the position to advance until
+    // playback resumes, so a long stall is not taken for a seek
+    stall(position) {
+      if (!playing || stalled) return;
+      stalled = true;
+      moveTo(position);
+    },
+
+    ended(duration) {
+      emit('video_ended', { currentTime: duration, duration, watchedFrom: playing ? watchedFrom : null });
+      playing = false;
+      stalled = false;
+      moveTo(duration);
+    },
+
+    // Called regularly with the current position (timeupdate or a poll)
+    tick(position, duration) {
+      if (detectSeeks) {
+        const elapsed = (Date.now() - lastTickAt) / 1000;
+        const expected = lastPosition + (playing && !stalled ? elapsed * playbackRate : 0);
+        if (Math.abs(position - expected) > SEEK_THRESHOLD_SECONDS) {
+          // seek() ignores small jumps; the position still has to be taken
+          // as the new reference, or the next tick sees another jump
+          tracker.seek(lastPosition, position, duration);
+          moveTo(position);
+          return;
+        }
+      }
+
+      if (playing && Date.now() - lastHeartbeatAt >= HEARTBEAT_INTERVAL_MS) {
+        emit('video_heartbeat', { currentTime: position, duration, watchedFrom });
+        watchedFrom = position;
+        lastHeartbeatAt = Date.now();
+      }
+
+      moveTo(position);
+    },
+
+    get lastPosition() {
+      return lastPosition;
+    },
+
+    // Close an open segment when the player goes away mid-playback
+    close(position, duration) {
+      tracker.pause(position ?? lastPosition, duration, 'closed');
+    }
+  };
+
+  return tracker;
+};
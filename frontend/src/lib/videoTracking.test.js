@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaybackTracker } from './videoTracking.js';
+
+const DURATION = 300;
+
+describe('createPlaybackTracker with seek detection', () => {
+  let now;
+  let events;
+  let tracker;
+
+  // Advance the clock and report the player's position, as the YouTube poll does
+  const tickAfter = (seconds, position) => {
+    now += seconds * 1000;
+    tracker.tick(position, DURATION);
+  };
+
+  const eventsOfType = (eventType) => events.filter(event => event.eventType === eventType);
+
+  beforeEach(() => {
+    now = Date.parse('2025-08-12T10:00:00Z');
+    mock.method(Date, 'now', () => now);
+    events = [];
+    tracker = createPlaybackTracker({
+      send: (eventType, data) => events.push({ eventType, ...data }),
+      detectSeeks: true
+    });
+    tracker.play(0, DURATION);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not report a seek while playback advances normally', () => {
+    for (let second = 1; second <= 10; second++) {
+      tickAfter(1, second);
+    }
+    assert.deepEqual(eventsOfType('video_seek'), []);
+  });
+
+  it('does not take a buffering stall for a seek', () => {
+    tickAfter(1, 1);
+    tracker.stall(1);
+    tickAfter(5, 1);
+    tickAfter(5, 1);
+    tracker.play(1, DURATION);
+    tickAfter(1, 2);
+    tickAfter(1, 3);
+
+    assert.deepEqual(eventsOfType('video_seek'), []);
+    assert.equal(eventsOfType('video_play').length, 1);
+  });
+
+  it('keeps the watched segment open across a stall', () => {
+    tickAfter(1, 1);
+    tracker.stall(1);
+    tickAfter(4, 1);
+    tracker.play(1, DURATION);
+    tickAfter(1, 2);
+    tracker.pause(2, DURATION);
+
+    const [pause] = eventsOfType('video_pause');
+    assert.equal(pause.watchedFrom, 0);
+    assert.equal(pause.currentTime, 2);
+  });
+
+  it('resynchronises after a small jump without reporting a seek', () => {
+    tickAfter(1, 1);
+    // An unreported stall: the position is 3s behind where it should be but
+    // only 0.2s from the last tick, which seek() ignores
+    tickAfter(3, 1.2);
+    tickAfter(1, 2.2);
+    tickAfter(1, 3.2);
+
+    assert.deepEqual(eventsOfType('video_seek'), []);
+  });
+
+  it('reports a real jump forward as a seek', () => {
+    tickAfter(1, 1);
+    tickAfter(1, 120);
+
+    const seeks = eventsOfType('video_seek');
+    assert.equal(seeks.length, 1);
+    assert.equal(seeks[0].seekFrom, 1);
+    assert.equal(seeks[0].currentTime, 120);
+    assert.equal(seeks[0].watchedFrom, 0);
+  });
+
+  it('reports a jump backwards as a seek and starts a new segment there', () => {
+    for (let second = 1; second <= 10; second++) {
+      tickAfter(1, second);
+    }
+    tickAfter(1, 3);
+    tickAfter(1, 4);
+    tracker.pause(4, DURATION);
+
+    const seeks = eventsOfType('video_seek');
+    assert.equal(seeks.length, 1);
+    assert.equal(seeks[0].seekFrom, 10);
+    assert.equal(seeks[0].currentTime, 3);
+    assert.equal(seeks[0].watchedFrom, 0);
+    assert.equal(eventsOfType('video_pause')[0].watchedFrom, 3);
+  });
+
+  it('reports a seek made while paused', () => {
+    tickAfter(1, 1);
+    tracker.pause(1, DURATION);
+    tickAfter(10, 1);
+    tickAfter(1, 90);
+
+    const seeks = eventsOfType('video_seek');
+    assert.equal(seeks.length, 1);
+    assert.equal(seeks[0].seekFrom, 1);
+    assert.equal(seeks[0].watchedFrom, null);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * YouTube helpers
+ * Video id parsing and a one-time loader for the YouTube IFrame Player API
+ */
+
+const IFRAME_API_URL = 'https://www.youtube.com/iframe_api';
+const API_LOAD_TIMEOUT_MS = 15000;
+
+let apiPromise = null;
+
+// Accepts watch, embed, short (youtu.be) and /v/ URLs
+export const getYouTubeVideoId = (videoUrl) => {
+  if (!videoUrl) return null;
+
+  const match = videoUrl.match(/^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/);
+  return match && match[2].length === 11 ? match[2] : null;
+};
+
+// Resolve with window.YT once the IFrame Player API is ready. The script is
+// only injected once; later callers share the same promise.
+export const loadYouTubeIframeApi = () => {
+  if (window.YT?.Player) {
+    return Promise.resolve(window.YT);
+  }
+
+  if (!apiPromise) {
+    apiPromise = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        apiPromise = null;
+        reject(new Error('Timed out loading the YouTube player'));
+      }, API_LOAD_TIMEOUT_MS);
+
+      // The API calls this global when it is ready; keep any existing handler working
+      const previousReady = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        clearTimeout(timeout);
+        if (typeof previousReady === 'function') previousReady();
+        resolve(window.YT);
+      };
+
+      const script = document.createElement('script');
+      script.src = IFRAME_API_URL;
+      script.async = true;
+      script.onerror = () => {
+        clearTimeout(timeout);
+        apiPromise = null;
+        script.remove();
+        reject(new Error('Failed to load the YouTube player'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return apiPromise;
+};
@@ -4,6 +4,11 @@
  * Follows best logging practices with detailed interaction tracking
  */
 
+import { createEventId, createEventQueue, DEFAULT_MAX_QUEUE_SIZE } from '@/lib/eventQueue';
+import { createAttentionTracker } from '@/lib/attentionTracking';
+import { readTrackedClick } from '@/lib/clickTracking';
+import { createSessionManager } from '@/lib/sessionManager';
+
 // Enhanced clickstream logger
 const clickstreamLogger = {
   info: (message, data = null) => {
@@ -23,73 +28,126 @@ const clickstreamLogger = {
   }
 };
 
+// Events are buffered and sent in batches once either threshold is reached
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL_MS = 5000;
+
+// Browsers cap beacon payloads (64 KB in most), so large buffers go in chunks
+const BEACON_MAX_BYTES = 60000;
+
+// Queued events are sent this many at a time while draining the offline queue
+const QUEUE_BATCH_SIZE = 50;
+
+// Failed sends are retried with exponential backoff (plus jitter) up to this cap
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Events from before the offline queue existed
+const LEGACY_FAILED_EVENTS_KEY = 'failed_clickstream_events';
+
+// Access token kept by AuthContext. The server stores events under the user
+// of the token they are sent with, and as anonymous without one.
+const AUTH_TOKEN_KEY = 'auth_token';
+
+const currentAccessToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+
+// Events sent when the learner goes away; they do not keep a session alive
+const INACTIVE_EVENT_TYPES = ['tab_hidden', 'window_blur', 'idle_start'];
+
 class ClickstreamService {
   constructor() {
     this.baseURL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
-    this.sessionId = this.generateSessionId();
+    this.sessions = createSessionManager();
+    this.sessionId = null;
     this.userId = null;
     this.isInitialized = false;
+    this.buffer = [];
+    this.flushTimer = null;
+    this.isSending = false;
+    this.sendingPass = null;
+    this.hasPendingPass = false;
+    this.retryAttempt = 0;
+    this.retryTimer = null;
+    this.queue = createEventQueue({
+      maxSize: DEFAULT_MAX_QUEUE_SIZE,
+      onEvict: (count) => clickstreamLogger.error(`Offline queue full, dropped ${count} oldest events`)
+    });
+    this.attention = createAttentionTracker({
+      send: (eventType, data) => this.trackAttention(eventType, data)
+    });
+    this.handleTrackedClick = null;
     
     clickstreamLogger.info('Clickstream service initialized', { 
-      sessionId: this.sessionId,
       timestamp: new Date().toISOString() 
     });
   }
 
-  /**
-   * Generate unique session ID
-   */
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
-
   /**
    * Initialize clickstream tracking with user context
+   * Resumes the tab's session after a reload (see lib/sessionManager.js)
    */
   initialize(user) {
     // Prefer username for consistency, fallback to id, then anonymous
     this.userId = user?.username || user?.id || 'anonymous';
     this.isInitialized = true;
+
+    const { session, expired, resumed } = this.sessions.begin(this.userId);
+    this.sessionId = session.id;
     
     clickstreamLogger.success('Clickstream tracking initialized', {
       userId: this.userId,
       userObject: user,
       sessionId: this.sessionId,
+      resumed,
       timestamp: new Date().toISOString()
     });
 
-    // Track session start
-    this.trackEvent('session_start', {
-      user: this.userId,
-      userUsername: user?.username,
-      userId: user?.id,
-      sessionId: this.sessionId,
-      userAgent: navigator.userAgent,
-      viewport: {
-        width: window.innerWidth,
-        height: window.innerHeight
-      },
-      timestamp: new Date().toISOString()
-    });
+    if (expired) {
+      this.recordSessionEnd(expired);
+    }
+    if (!resumed) {
+      this.recordSessionStart(session, user);
+    }
+
+    this.attention.start();
   }
 
   /**
    * Track user interaction events
+   * Events are buffered and sent with the next batch (see flush)
    */
-  async trackEvent(eventType, eventData = {}) {
-    if (!this.isInitialized && eventType !== 'session_start') {
+  trackEvent(eventType, eventData = {}) {
+    if (!this.isInitialized) {
       clickstreamLogger.error('Clickstream not initialized. Call initialize() first.');
       return;
     }
 
+    // An event after 30 minutes of inactivity belongs to a new session
+    const renewed = this.sessions.touch(Date.now(), { active: !INACTIVE_EVENT_TYPES.includes(eventType) });
+    if (renewed) {
+      this.sessionId = renewed.session.id;
+      if (renewed.expired) {
+        this.recordSessionEnd(renewed.expired);
+      }
+      this.recordSessionStart(renewed.session);
+    }
+
+    this.bufferEvent(eventType, eventData);
+  }
+
+  /**
+   * Add an event to the buffer. Session events pass the session they belong
+   * to and when they happened, which may be before now.
+   */
+  bufferEvent(eventType, eventData, { sessionId = this.sessionId, userId = this.userId, timestamp = Date.now() } = {}) {
     const clickstreamEvent = {
-      sessionId: this.sessionId,
-      userId: this.userId,
+      // Lets the server ignore copies of this event sent again by a retry
+      eventId: createEventId(),
+      sessionId,
+      userId,
       eventType,
-      action: eventType, // Add action field for backward compatibility
       eventData,
-      details: eventData, // Add details field for easier access
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(timestamp).toISOString(),
       url: window.location.href,
       userAgent: navigator.userAgent,
       viewport: {
@@ -100,77 +158,228 @@ class ClickstreamService {
 
     clickstreamLogger.interaction(`Event tracked: ${eventType}`, clickstreamEvent);
 
-    try {
-      const response = await fetch(`${this.baseURL}/clickstream`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(clickstreamEvent)
-      });
+    this.buffer.push(clickstreamEvent);
+    if (this.buffer.length >= BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
 
-      if (response.ok) {
-        const result = await response.json();
-        clickstreamLogger.api('Event sent to server successfully', { 
-          eventType, 
-          eventId: result.id 
-        });
-        return result;
-      } else {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  /**
+   * Take every buffered event, leaving the buffer empty
+   */
+  drainBuffer() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const events = this.buffer;
+    this.buffer = [];
+    return events;
+  }
+
+  /**
+   * Send a batch of events to the server
+   * Resolves only when the server acknowledged the batch
+   */
+  async sendBatch(events) {
+    const token = currentAccessToken();
+    const response = await fetch(`${this.baseURL}/clickstream/batch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(events)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.message || 'Batch was not recorded');
+    }
+    return result;
+  }
+
+  /**
+   * Move buffered events into the offline queue and send them. Resolves once
+   * everything queued so far has been sent, or sending failed and was
+   * scheduled for a retry.
+   */
+  async flush() {
+    const events = this.drainBuffer();
+    // Events an earlier flush queued may still be on their way
+    if (events.length === 0) return this.processQueue();
+
+    try {
+      await this.queue.add(events);
     } catch (error) {
-      clickstreamLogger.error('Failed to send clickstream event', {
-        error: error.message,
-        eventType,
-        eventData
+      // Without a queue the events can still be sent once, just not retried
+      clickstreamLogger.error('Failed to queue clickstream events', error);
+      return this.sendBatch(events).catch(sendError => {
+        clickstreamLogger.error('Failed to send clickstream batch', { error: sendError.message, count: events.length });
       });
-      
-      // Store failed events in localStorage for retry
-      this.storeFailedEvent(clickstreamEvent);
     }
+
+    return this.processQueue();
   }
 
   /**
-   * Store failed events for retry
+   * Send queued events oldest first. Events leave the queue only once the
+   * server acknowledged their batch; on failure the rest wait for a retry.
+   * Resolves when the running pass is done, including another pass for
+   * events queued while it ran, so callers can wait for their events to be
+   * sent (e.g. before signing out).
    */
-  storeFailedEvent(event) {
+  processQueue() {
+    if (this.isSending) {
+      // Events may have been queued after the running pass last looked
+      this.hasPendingPass = true;
+      return this.sendingPass;
+    }
+
+    this.sendingPass = this.sendQueued();
+    return this.sendingPass;
+  }
+
+  async sendQueued() {
+    this.isSending = true;
     try {
-      const failedEvents = JSON.parse(localStorage.getItem('failed_clickstream_events') || '[]');
-      failedEvents.push(event);
-      localStorage.setItem('failed_clickstream_events', JSON.stringify(failedEvents));
-      clickstreamLogger.info('Failed event stored for retry', { eventType: event.eventType });
-    } catch (error) {
-      clickstreamLogger.error('Failed to store event in localStorage', error);
+      do {
+        this.hasPendingPass = false;
+
+        if (navigator.onLine === false) {
+          clickstreamLogger.info('Offline, queued events will be sent when the connection returns');
+          return;
+        }
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        try {
+          for (;;) {
+            const records = await this.queue.peek(QUEUE_BATCH_SIZE);
+            if (records.length === 0) break;
+
+            const result = await this.sendBatch(records.map(record => record.event));
+            await this.queue.acknowledge(records.map(record => record.key));
+            this.retryAttempt = 0;
+
+            clickstreamLogger.api('Event batch sent to server successfully', {
+              count: result.count,
+              eventTypes: records.map(record => record.event.eventType)
+            });
+
+            // Rejected events were received but are invalid; sending them again would not help
+            if (result.rejected?.length > 0) {
+              clickstreamLogger.error(`Server quarantined ${result.rejected.length} invalid events`, result.rejected);
+            }
+          }
+        } catch (error) {
+          clickstreamLogger.error('Failed to send clickstream batch', { error: error.message });
+          this.scheduleRetry();
+          return;
+        }
+      } while (this.hasPendingPass);
+    } finally {
+      // Cleared in the same step as the last check, so no pass request is missed
+      this.isSending = false;
+    }
+  }
+
+  /**
+   * Retry the queue later, doubling the delay after every failed attempt
+   */
+  scheduleRetry() {
+    const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** this.retryAttempt);
+    const jitteredDelay = Math.round(delay * (0.8 + Math.random() * 0.4));
+    this.retryAttempt++;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.processQueue(), jitteredDelay);
+    clickstreamLogger.info(`Retrying queued events in ${Math.round(jitteredDelay / 1000)}s`, {
+      attempt: this.retryAttempt
+    });
+  }
+
+  /**
+   * Retry immediately when the browser comes back online
+   */
+  handleOnline() {
+    clickstreamLogger.info('Connection restored, sending queued events');
+    this.retryAttempt = 0;
+    this.processQueue();
+  }
+
+  /**
+   * Send buffered events with navigator.sendBeacon, which the browser delivers
+   * even after the page is gone. Used when the page is hidden or unloading.
+   * The payload is text/plain so the cross-origin request needs no preflight;
+   * beacons cannot set headers, so the access token goes in the body. The
+   * server stores beacon events whose token has expired as anonymous.
+   * Events the browser will not send are kept in the offline queue.
+   */
+  flushWithBeacon() {
+    const events = this.drainBuffer();
+    if (events.length === 0) return;
+
+    // The page may be going away, so nothing waits for the queue to store them
+    const keepQueued = (chunk) => this.queue.add(chunk).catch(error => {
+      clickstreamLogger.error('Failed to queue clickstream events', error);
+    });
+
+    if (!navigator.sendBeacon || navigator.onLine === false) {
+      keepQueued(events);
+      return;
     }
+
+    const token = currentAccessToken();
+    const payloadOf = (chunk) => JSON.stringify({ token, events: chunk });
+
+    const chunks = [[]];
+    events.forEach(event => {
+      const chunk = chunks[chunks.length - 1];
+      if (chunk.length > 0 && payloadOf([...chunk, event]).length > BEACON_MAX_BYTES) {
+        chunks.push([event]);
+      } else {
+        chunk.push(event);
+      }
+    });
+
+    chunks.forEach(chunk => {
+      const body = new Blob([payloadOf(chunk)], { type: 'text/plain' });
+      if (navigator.sendBeacon(`${this.baseURL}/clickstream/batch`, body)) {
+        clickstreamLogger.api('Event batch queued with sendBeacon', { count: chunk.length });
+      } else {
+        // The browser refused the beacon (too large or quota exceeded)
+        keepQueued(chunk);
+      }
+    });
   }
 
   /**
-   * Retry failed events
+   * Resume sending events queued by earlier visits, importing any events
+   * left in localStorage by older versions of this service
    */
-  async retryFailedEvents() {
+  async resumeQueue() {
     try {
-      const failedEvents = JSON.parse(localStorage.getItem('failed_clickstream_events') || '[]');
-      if (failedEvents.length === 0) return;
-
-      clickstreamLogger.info(`Retrying ${failedEvents.length} failed events`);
-
-      const retryPromises = failedEvents.map(event => 
-        fetch(`${this.baseURL}/clickstream`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(event)
-        })
-      );
-
-      await Promise.allSettled(retryPromises);
-      
-      // Clear failed events after retry
-      localStorage.removeItem('failed_clickstream_events');
-      clickstreamLogger.success('Failed events retry completed');
+      const legacyEvents = JSON.parse(localStorage.getItem(LEGACY_FAILED_EVENTS_KEY) || '[]');
+      if (legacyEvents.length > 0) {
+        await this.queue.add(legacyEvents);
+        clickstreamLogger.info(`Moved ${legacyEvents.length} stored events into the offline queue`);
+      }
+      localStorage.removeItem(LEGACY_FAILED_EVENTS_KEY);
     } catch (error) {
-      clickstreamLogger.error('Error during failed events retry', error);
+      clickstreamLogger.error('Failed to import stored events', error);
+    }
+
+    const pending = await this.queue.size();
+    if (pending > 0) {
+      clickstreamLogger.info(`Resuming ${pending} queued events`);
     }
+    return this.processQueue();
   }
 
   // Specific tracking methods for different interaction types
@@ -244,24 +453,63 @@ class ClickstreamService {
 
   /**
    * Track video interactions
+   * `playback` holds the player position and duration in seconds, plus
+   * watchedFrom/seekFrom/playbackRate where relevant (see lib/videoTracking.js)
    */
-  trackVideoPlay(courseId, videoUrl) {
+  trackVideoPlay(courseId, videoUrl, playback = {}) {
     return this.trackEvent('video_play', {
       courseId,
       videoUrl,
+      ...playback,
       playTime: new Date().toISOString()
     });
   }
 
-  trackVideoPause(courseId, videoUrl, currentTime) {
+  trackVideoPause(courseId, videoUrl, playback = {}) {
     return this.trackEvent('video_pause', {
       courseId,
       videoUrl,
-      currentTime,
+      ...playback,
       pauseTime: new Date().toISOString()
     });
   }
 
+  trackVideoSeek(courseId, videoUrl, playback = {}) {
+    return this.trackEvent('video_seek', {
+      courseId,
+      videoUrl,
+      ...playback,
+      seekTime: new Date().toISOString()
+    });
+  }
+
+  trackVideoRateChange(courseId, videoUrl, playback = {}) {
+    return this.trackEvent('video_rate_change', {
+      courseId,
+      videoUrl,
+      ...playback,
+      changeTime: new Date().toISOString()
+    });
+  }
+
+  trackVideoEnded(courseId, videoUrl, playback = {}) {
+    return this.trackEvent('video_ended', {
+      courseId,
+      videoUrl,
+      ...playback,
+      endTime: new Date().toISOString()
+    });
+  }
+
+  trackVideoHeartbeat(courseId, videoUrl, playback = {}) {
+    return this.trackEvent('video_heartbeat', {
+      courseId,
+      videoUrl,
+      ...playback,
+      heartbeatTime: new Date().toISOString()
+    });
+  }
+
   /**
    * Track text content interactions
    */
@@ -273,6 +521,27 @@ class ClickstreamService {
     });
   }
 
+  /**
+   * Track reading progress
+   * `reading` holds the scroll depth, section or reading times reported by
+   * lib/readingTracking.js
+   */
+  trackTextContentScroll(courseId, reading = {}) {
+    return this.trackEvent('text_content_scroll', { courseId, ...reading });
+  }
+
+  trackTextContentSection(courseId, reading = {}) {
+    return this.trackEvent('text_content_section', { courseId, ...reading });
+  }
+
+  trackTextContentComplete(courseId, reading = {}) {
+    return this.trackEvent('text_content_complete', {
+      courseId,
+      ...reading,
+      completeTime: new Date().toISOString()
+    });
+  }
+
   /**
    * Track button clicks
    */
@@ -284,6 +553,30 @@ class ClickstreamService {
     });
   }
 
+  /**
+   * Record clicks on elements marked with data-track attributes
+   * (see lib/clickTracking.js). Opt-in: call once tracking is initialised.
+   */
+  enableClickCapture() {
+    if (this.handleTrackedClick) return;
+
+    this.handleTrackedClick = (event) => {
+      const click = readTrackedClick(event.target);
+      if (click && this.isInitialized) {
+        this.trackButtonClick(click.name, click.context);
+      }
+    };
+    // Capture phase, so handlers that stop propagation do not hide the click
+    document.addEventListener('click', this.handleTrackedClick, true);
+    clickstreamLogger.info('Click capture enabled');
+  }
+
+  disableClickCapture() {
+    if (!this.handleTrackedClick) return;
+    document.removeEventListener('click', this.handleTrackedClick, true);
+    this.handleTrackedClick = null;
+  }
+
   /**
    * Track search/filter actions
    */
@@ -297,25 +590,73 @@ class ClickstreamService {
   }
 
   /**
-   * Track session end
+   * Track page visibility, window focus, idleness and heartbeats
+   * (see lib/attentionTracking.js)
    */
-  trackSessionEnd() {
-    return this.trackEvent('session_end', {
-      sessionDuration: Date.now() - parseInt(this.sessionId.split('_')[1]),
-      endTime: new Date().toISOString()
-    });
+  trackAttention(eventType, data = {}) {
+    this.trackEvent(eventType, data);
+
+    // The tab may never be shown again, so do not wait for the next batch
+    if (eventType === 'tab_hidden') {
+      this.flushWithBeacon();
+    }
+  }
+
+  /**
+   * Record the start of a session, linked to the session before it
+   */
+  recordSessionStart(session, user = null) {
+    this.bufferEvent('session_start', {
+      user: this.userId,
+      userUsername: user?.username,
+      userId: user?.id,
+      sessionId: session.id,
+      previousSessionId: session.previousSessionId,
+      userAgent: navigator.userAgent,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      },
+      startTime: new Date(session.startedAt).toISOString()
+    }, { sessionId: session.id, timestamp: session.startedAt });
+  }
+
+  /**
+   * Record the end of a session as of when it ended
+   */
+  recordSessionEnd(session) {
+    this.bufferEvent('session_end', {
+      reason: session.endReason,
+      sessionDuration: session.endedAt - session.startedAt,
+      endTime: new Date(session.endedAt).toISOString()
+    }, { sessionId: session.id, userId: session.userId, timestamp: session.endedAt });
+  }
+
+  /**
+   * Track session end when the user signs out. Tracking stops until
+   * initialize is called for the next sign-in, which starts a new session.
+   */
+  trackSessionEnd(reason = 'logout') {
+    const session = this.sessions.end(reason);
+    if (session) {
+      this.recordSessionEnd(session);
+    }
+    this.attention.stop();
+    this.isInitialized = false;
   }
 
   /**
    * Get session statistics
    */
   getSessionStats() {
-    const sessionStart = parseInt(this.sessionId.split('_')[1]);
+    const session = this.sessions.current();
     const currentTime = Date.now();
+    const sessionStart = session?.startedAt ?? currentTime;
     const duration = currentTime - sessionStart;
 
     return {
       sessionId: this.sessionId,
+      previousSessionId: session?.previousSessionId ?? null,
       userId: this.userId,
       duration: duration,
       durationFormatted: this.formatDuration(duration),
@@ -325,9 +666,10 @@ class ClickstreamService {
   }
 
   /**
-   * Format duration in seconds to readable format
+   * Format a duration in milliseconds to readable format
    */
-  formatDuration(seconds) {
+  formatDuration(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
     
@@ -344,14 +686,29 @@ class ClickstreamService {
 // Create singleton instance
 const clickstreamService = new ClickstreamService();
 
-// Auto-retry failed events on page load
+// Send events queued by earlier visits on page load
 window.addEventListener('load', () => {
-  clickstreamService.retryFailedEvents();
+  clickstreamService.resumeQueue();
+});
+
+// Retry queued events as soon as the connection is back
+window.addEventListener('online', () => {
+  clickstreamService.handleOnline();
+});
+
+// Send buffered events while the page is hidden: the tab may never come back
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    clickstreamService.flushWithBeacon();
+  }
 });
 
-// Track session end on page unload
-window.addEventListener('beforeunload', () => {
-  clickstreamService.trackSessionEnd();
+// Send buffered events when the page is unloaded. pagehide fires reliably
+// where beforeunload does not (mobile, bfcache) and the beacon outlives the
+// page. The session stays open: a reload resumes it, and otherwise it ends
+// after 30 minutes without activity.
+window.addEventListener('pagehide', () => {
+  clickstreamService.flushWithBeacon();
 });
 
 export default clickstreamService;